@@ -0,0 +1,69 @@
+// =============================================================================
+//  Daily Impressionist — alerts.js
+//  Price alert rules for watched tickers. Rules live on the watchlist entry
+//  (`alerts` beside `lots` in stockWidgets); whether each one has fired is
+//  kept by the worker under `alertState`, so editing rules and polling quotes
+//  never write the same key. No DOM — shared by the page and the worker.
+// =============================================================================
+
+const ALERT_STATE_KEY = 'alertState'; // rule id → { sig, active, firedAt }
+
+// Rule shapes — { id, type, value }:
+//   above  — price at or above `value`
+//   below  — price at or below `value`
+//   move   — day change of at least `value` percent, either way
+const ALERT_TYPES = {
+  above: 'Price above',
+  below: 'Price below',
+  move:  'Day move ±%',
+};
+
+// Rules worth checking: a known type and a finite value
+function validAlerts(alerts) {
+  return (alerts ?? []).filter(a => a?.id && a.type in ALERT_TYPES && Number.isFinite(a.value));
+}
+
+function alertTriggered(rule, quote) {
+  if (quote?.price == null) return false;
+  switch (rule.type) {
+    case 'above': return quote.price >= rule.value;
+    case 'below': return quote.price <= rule.value;
+    case 'move':  return quote.change != null && Math.abs(quote.change) >= rule.value;
+    default:      return false;
+  }
+}
+
+// Identifies a rule's settings — editing the rule resets its state
+const alertSig = rule => `${rule.type}:${rule.value}`;
+
+// Check one ticker's rules against a fresh quote. A rule fires when its
+// condition turns true, and not again until the condition has cleared — and
+// never twice within `cooldownMs`, so a price hovering at the line doesn't
+// raise a notification on every poll. Returns the rules that fired and the
+// state to store for every rule.
+function evaluateAlerts(rules, quote, state, now, cooldownMs) {
+  const fired = [];
+  const next  = {};
+  for (const rule of validAlerts(rules)) {
+    const prev   = state[rule.id]?.sig === alertSig(rule) ? state[rule.id] : null;
+    const active = alertTriggered(rule, quote);
+    const cooled = prev?.firedAt == null || now - prev.firedAt >= cooldownMs;
+    const fire   = active && !prev?.active && cooled;
+    if (fire) fired.push(rule);
+    next[rule.id] = { sig: alertSig(rule), active, firedAt: fire ? now : prev?.firedAt ?? null };
+  }
+  return { fired, state: next };
+}
+
+function alertMessage(rule, ticker, quote) {
+  const name  = quote?.shortName || ticker;
+  const price = quote?.price;
+  switch (rule.type) {
+    case 'above': return `${name} is at ${price}, above your alert at ${rule.value}`;
+    case 'below': return `${name} is at ${price}, below your alert at ${rule.value}`;
+    default: {
+      const sign = quote.change >= 0 ? '+' : '';
+      return `${name} has moved ${sign}${quote.change.toFixed(2)}% today (alert at ±${rule.value}%)`;
+    }
+  }
+}
@@ -0,0 +1,591 @@
+// =============================================================================
+//  Daily Impressionist — artwork.js
+//  The museum side: shared random/filter helpers, the shown history, and six
+//  sources behind one orchestrator. No DOM — the background service worker
+//  runs the pipeline; the new-tab page only borrows its helpers.
+// =============================================================================
+
+// ─── Shared Utilities ─────────────────────────────────────────────────────────
+
+// Every random choice in the fetch pipeline takes the call's `rng`, so daily
+// mode can pass a generator seeded from the date and get the same picks.
+const pickRandom = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+const pickArtist = (scope, rng) => pickRandom(scope.artists, rng);
+const stripHtml  = s   => String(s ?? '').replace(/<[^>]*>/g, '').trim();
+
+// Fisher–Yates, driven by `rng`
+function shuffle(arr, rng = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Mulberry32 — tiny, fast, and identical on every machine for the same seed
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a — turns a date key into a 32-bit seed
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h  = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// "2024-05-17" in the user's local timezone
+function localDateKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Returns true if the string contains any artist on the configured list
+function matchesArtist(str, artists = SETTINGS.artists) {
+  const lower = stripHtml(str).toLowerCase();
+  return artists.some(a => lower.includes(a.toLowerCase()));
+}
+
+// Returns true if the raw date string falls within the configured era
+function inImpressionistEra(raw, start = SETTINGS.eraStart, end = SETTINGS.eraEnd) {
+  if (!raw) return true;                      // unknown date → keep
+  const m = String(raw).match(/\d{4}/);
+  if (!m) return true;                        // unparseable  → keep
+  const y = +m[0];
+  return y >= start && y <= end;
+}
+
+
+// ─── Cache Utilities ──────────────────────────────────────────────────────────
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader   = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Fetches an image URL and returns it as a base64 data URL for local storage.
+async function toDataUrl(imageUrl) {
+  const res = await fetch(imageUrl);
+  return blobToDataUrl(await res.blob());
+}
+
+// Everything cached alongside an artwork, from one download: the encoded
+// image plus its palette (palette.js), so a cache hit can tint the wall at once.
+async function encodeImage(imageUrl) {
+  const res  = await fetch(imageUrl);
+  const blob = await res.blob();
+  return { dataUrl: await blobToDataUrl(blob), palette: await paletteFromImage(blob) };
+}
+
+
+// ─── Shown History ────────────────────────────────────────────────────────────
+// Every painting put on screen is remembered as "<source>:<museum object ID>".
+// Candidates seen within the last `historyDays` days or `historyViews` views
+// are skipped by every fetcher, so the same Monet doesn't come back that week.
+
+const HISTORY_KEY = 'shownHistory';
+
+const historyKey = artwork =>
+  artwork?.src && artwork.id != null ? `${artwork.src}:${artwork.id}` : null;
+
+const wasShown = (seen, src, id) => seen.has(`${src}:${id}`);
+
+// Keep only entries still inside the window (oldest first, newest last)
+function pruneHistory(history, now, days = SETTINGS.historyDays, views = SETTINGS.historyViews) {
+  const cutoff = now - days * 86_400_000;
+  return history.filter((entry, i) => i >= history.length - views || entry.at >= cutoff);
+}
+
+// Log a view. A repeat (an offline pick shown before) moves to the end
+// instead of using up another of the `historyViews` slots.
+const withShown = (history, key, now) => [...history.filter(e => e.key !== key), { key, at: now }];
+
+async function loadShownKeys() {
+  const { [HISTORY_KEY]: history = [] } = await chrome.storage.local.get(HISTORY_KEY);
+  return new Set(pruneHistory(history, Date.now()).map(e => e.key));
+}
+
+async function recordShown(artwork) {
+  const key = historyKey(artwork);
+  if (!key) return;                           // FALLBACK has no museum ID
+  await navigator.locks.request('history', async () => {
+    const { [HISTORY_KEY]: history = [] } = await chrome.storage.local.get(HISTORY_KEY);
+    const now = Date.now();
+    await chrome.storage.local.set({ [HISTORY_KEY]: pruneHistory(withShown(history, key, now), now) });
+  });
+}
+
+
+// ─── Source Registry & Orchestrator ──────────────────────────────────────────
+
+const FETCHERS = {
+  met:         fetchFromMet,
+  aic:         fetchFromAIC,
+  vam:         fetchFromVAM,
+  cleveland:   fetchFromCleveland,
+  rijks:       fetchFromRijks,
+  smithsonian: fetchFromSmithsonian,
+};
+
+// Sources switched on in the options page; keyed ones also need their key.
+function enabledSources() {
+  return Object.keys(FETCHERS).filter(src => {
+    const key = SOURCES[src]?.key;
+    return SETTINGS.sources[src] && (!key || SETTINGS.keys[key]);
+  });
+}
+
+// The artists and era a fetch picks from — the user's own in random mode
+const userScope = () => ({ artists: SETTINGS.artists, eraStart: SETTINGS.eraStart, eraEnd: SETTINGS.eraEnd });
+
+// The painting of the day must come out the same for everyone, so it ignores
+// the options page: every keyless museum, the default artists and era.
+const DAILY_SOURCES = Object.keys(FETCHERS).filter(src => !SOURCES[src]?.key);
+const DAILY_SCOPE   = {
+  artists:  DEFAULT_SETTINGS.artists,
+  eraStart: DEFAULT_SETTINGS.eraStart,
+  eraEnd:   DEFAULT_SETTINGS.eraEnd,
+};
+
+// A source that hasn't answered by then is aborted and skipped — on a captive
+// or flaky connection fetches can hang far longer than anyone will stare at a
+// loader. The whole chain gets one deadline, then the offline tier answers.
+const SOURCE_TIMEOUT_MS = 3000;
+const CHAIN_DEADLINE_MS = 6000;
+
+// Runs a fetcher with its own abort signal. On timeout the signal cancels its
+// requests and its `rng` refuses further draws, so a straggler can't keep
+// calling out or eat into the random sequence of the source after it.
+function withTimeout(fetcher, ctx, ms) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const timer   = setTimeout(() => controller.abort(new Error(`timed out after ${ms} ms`)), ms);
+  const aborted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  const guarded = {
+    ...ctx,
+    signal,
+    rng: () => { signal.throwIfAborted(); return ctx.rng(); },
+  };
+  return Promise.race([fetcher(guarded), aborted]).finally(() => clearTimeout(timer));
+}
+
+// Paintings in the history window, plus any keys the caller passes in
+// `exclude`, are skipped. With a `seed` (daily mode), every choice is
+// deterministic and made from DAILY_SOURCES and DAILY_SCOPE; the history is
+// ignored — a personal history would make the daily pick differ.
+// Offline, or once every source has failed, falls through to the offline tier.
+async function fetchRandomArtwork({ seed, exclude = [] } = {}) {
+  const daily = seed != null;
+  // Per call, never module state: the worker can run a prefetch, a queue
+  // refill and the daily pick side by side
+  const ctx = {
+    daily,
+    rng:   daily ? seededRandom(seed) : Math.random,
+    seen:  daily ? new Set() : new Set([...await loadShownKeys(), ...exclude]),
+    scope: daily ? DAILY_SCOPE : userScope(),
+  };
+  const sources = daily ? DAILY_SOURCES : enabledSources();
+  // Offline there's no museum worth asking — straight to the offline tier
+  return fetchThroughTiers(navigator.onLine ? sources : [], ctx);
+}
+
+// Museums first, then the offline tier. null triggers FALLBACK in the page.
+async function fetchThroughTiers(sources, ctx, fetchers = FETCHERS, offline = fetchOfflineArtwork) {
+  return await fetchFromSources(sources, ctx, fetchers) ?? await offline(ctx);
+}
+
+// Tries the sources in shuffled order — so every fetch rotates through
+// museums unpredictably — and returns the first painting found, or null once
+// they're all spent or `budget` ms have passed. A museum that answers with
+// nothing suitable passes to the next one; in daily mode one that fails or
+// times out ends the chain instead, since where it failed is down to this
+// connection and would give this user a different painting of the day.
+async function fetchFromSources(sources, ctx, fetchers = FETCHERS, budget = CHAIN_DEADLINE_MS) {
+  const deadline = Date.now() + budget;
+  for (const src of shuffle(sources, ctx.rng)) {
+    const ms = Math.min(SOURCE_TIMEOUT_MS, deadline - Date.now());
+    if (ms <= 0) break;
+
+    // Each source draws from its own generator, seeded from the call's, so
+    // one source's draws never shift another's
+    const rng = seededRandom(ctx.rng() * 2 ** 32);
+    try {
+      const result = await withTimeout(fetchers[src], { ...ctx, rng }, ms);
+      if (result) return { ...result, src };
+    } catch (err) {
+      console.warn(`[Daily Impressionist] ${src} failed:`, err);
+      if (ctx.daily) return null;
+    }
+  }
+  return null;
+}
+
+
+// ─── Offline Tier ─────────────────────────────────────────────────────────────
+// Paintings that need no network: everything already encoded in local storage
+// (queued paintings, today's painting, favorites), and when none of that is
+// there yet, a small pack of public-domain works bundled under offline/. The
+// shown history only records keys, so it can't be drawn from — but it still
+// steers the pick away from recent repeats. Every result is flagged `offline`
+// for the info card.
+
+const OFFLINE_STORAGE_KEYS = ['queue', 'daily', 'favorites'];
+
+// All Art Institute of Chicago, CC0. Keyed like AIC results so the shown
+// history treats a bundled copy and a fetched copy as the same painting.
+const OFFLINE_PACK = [
+  { id: 16568,  title: 'Water Lilies',                    artist: 'Claude Monet',          year: '1906',      file: 'offline/monet-water-lilies.jpg' },
+  { id: 64818,  title: 'Stacks of Wheat (End of Summer)', artist: 'Claude Monet',          year: '1890/91',   file: 'offline/monet-stacks-of-wheat.jpg' },
+  { id: 20684,  title: 'Paris Street; Rainy Day',         artist: 'Gustave Caillebotte',   year: '1877',      file: 'offline/caillebotte-paris-street.jpg' },
+  { id: 14655,  title: 'Two Sisters (On the Terrace)',    artist: 'Pierre-Auguste Renoir', year: '1881',      file: 'offline/renoir-two-sisters.jpg' },
+  { id: 111442, title: "The Child's Bath",                artist: 'Mary Cassatt',          year: '1893',      file: 'offline/cassatt-childs-bath.jpg' },
+  { id: 28560,  title: 'The Bedroom',                     artist: 'Vincent van Gogh',      year: '1889',      file: 'offline/van-gogh-bedroom.jpg' },
+].map(({ file, ...art }) => ({
+  ...art,
+  src:      'aic',
+  file,
+  source:   'Art Institute of Chicago',
+  url:      `https://www.artic.edu/artworks/${art.id}`,
+}));
+
+// Which pack files actually shipped — checked once per worker lifetime
+let bundledPack = null;
+
+async function loadBundledPack() {
+  bundledPack ??= (await Promise.all(OFFLINE_PACK.map(async art => {
+    const imageUrl = chrome.runtime.getURL(art.file);
+    try {
+      return (await fetch(imageUrl, { method: 'HEAD' })).ok ? { ...art, imageUrl } : null;
+    } catch {
+      return null;
+    }
+  }))).filter(Boolean);
+  return bundledPack;
+}
+
+async function fetchOfflineArtwork(ctx) {
+  const stored = await chrome.storage.local.get(OFFLINE_STORAGE_KEYS);
+  return pickOffline(stored, await loadBundledPack(), ctx);
+}
+
+// Stored paintings first, the bundled pack only when nothing is stored.
+// Within the tier, prefer something not shown recently; a repeat still beats
+// the error page.
+function pickOffline(stored, bundled, { rng, seen }) {
+  const saved = [
+    ...(stored.queue || []),
+    stored.daily,
+    ...(stored.favorites || []),
+  ].filter(a => a?.dataUrl);
+
+  const candidates = saved.length ? saved : bundled;
+  const fresh      = candidates.filter(a => !seen.has(historyKey(a)));
+  const pick       = pickRandom(fresh.length ? fresh : candidates, rng);
+  return pick ? { ...pick, offline: true } : null;
+}
+
+
+// ─── Source 1: The Metropolitan Museum of Art ─────────────────────────────────
+// Free API, no key. Searches by artist name in department 11 (European Paintings).
+// Two-step: get matching IDs first, then fetch the chosen object's full record.
+
+async function fetchFromMet({ rng, seen, signal, scope }) {
+  const artist = pickArtist(scope, rng);
+  const search = await fetch(
+    `https://collectionapi.metmuseum.org/public/collection/v1/search` +
+    `?artistOrCulture=true&q=${encodeURIComponent(artist)}&hasImages=true&departmentId=11`,
+    { signal }
+  );
+  const { objectIDs } = await search.json();
+  const fresh = (objectIDs || []).filter(id => !wasShown(seen, 'met', id));
+  if (!fresh.length) return null;
+
+  for (let i = 0; i < 6; i++) {
+    const obj = await fetch(
+      `https://collectionapi.metmuseum.org/public/collection/v1/objects/${pickRandom(fresh, rng)}`,
+      { signal }
+    ).then(r => r.json());
+
+    const imageUrl = obj.primaryImageSmall || obj.primaryImage;
+    if (!imageUrl)                                                         continue;
+    if (!matchesArtist(obj.artistDisplayName, scope.artists))              continue;
+    if (!inImpressionistEra(obj.objectDate, scope.eraStart, scope.eraEnd)) continue;
+
+    // The Met's API has no description text
+    return {
+      id:          obj.objectID,
+      title:       obj.title             || 'Untitled',
+      artist:      obj.artistDisplayName || artist,
+      year:        obj.objectDate        || '',
+      imageUrl,
+      source:      'The Metropolitan Museum of Art',
+      medium:      obj.medium            || '',
+      dimensions:  obj.dimensions        || '',
+      creditLine:  obj.creditLine        || '',
+      description: '',
+      url:         obj.objectURL         || '',
+    };
+  }
+  return null;
+}
+
+
+// ─── Source 2: Art Institute of Chicago ───────────────────────────────────────
+// Free API, no key. Filters by AIC's own `style_title` field ("Impressionism")
+// for maximum accuracy, then cross-checks against the master artist list.
+
+async function fetchFromAIC({ rng, seen, signal, scope }) {
+  const page = Math.floor(rng() * 20) + 1;
+  const res  = await fetch(
+    `https://api.artic.edu/api/v1/artworks/search` +
+    `?q=impressionism&fields=id,title,artist_display,date_display,image_id,style_title,` +
+    `medium_display,dimensions,credit_line,description` +
+    `&limit=50&page=${page}`,
+    { signal }
+  );
+  const { data } = await res.json();
+
+  const valid = (data || []).filter(a =>
+    a.image_id &&
+    !wasShown(seen, 'aic', a.id) &&
+    matchesArtist(a.artist_display, scope.artists) &&
+    a.style_title?.toLowerCase().includes('impressioni') &&
+    inImpressionistEra(a.date_display, scope.eraStart, scope.eraEnd)
+  );
+  if (!valid.length) return null;
+
+  const art = pickRandom(valid, rng);
+  return {
+    id:          art.id,
+    title:       art.title          || 'Untitled',
+    artist:      art.artist_display || 'Unknown',
+    year:        art.date_display   || '',
+    imageUrl:    `https://www.artic.edu/iiif/2/${art.image_id}/full/1686,/0/default.jpg`,
+    source:      'Art Institute of Chicago',
+    medium:      art.medium_display || '',
+    dimensions:  art.dimensions     || '',
+    creditLine:  art.credit_line    || '',
+    description: stripHtml(art.description),
+    url:         `https://www.artic.edu/artworks/${art.id}`,
+  };
+}
+
+
+// ─── Source 3: Victoria and Albert Museum ─────────────────────────────────────
+// Free API, no key. Uses `q_actor` to search specifically by artist/maker name.
+// Search records are summaries, so the chosen object's full record is fetched
+// for its details.
+
+async function fetchFromVAM({ rng, seen, signal, scope }) {
+  const artist = pickArtist(scope, rng);
+  const res    = await fetch(
+    `https://api.vam.ac.uk/v2/objects/search` +
+    `?q_actor=${encodeURIComponent(artist)}&images_exist=1&page_size=50`,
+    { signal }
+  );
+  const { records } = await res.json();
+
+  const valid = (records || []).filter(r =>
+    r._images?._primary_thumbnail &&
+    !wasShown(seen, 'vam', r.systemNumber) &&
+    matchesArtist(r._primaryMaker?.name ?? '', scope.artists) &&
+    inImpressionistEra(r._primaryDate, scope.eraStart, scope.eraEnd)
+  );
+  if (!valid.length) return null;
+
+  const rec      = pickRandom(valid, rng);
+  const imageUrl = rec._images._primary_thumbnail
+    .replace(/\/full\/![^/]+\//, '/full/!1200,1200/');
+
+  return {
+    id:       rec.systemNumber,
+    title:    rec._primaryTitle       || 'Untitled',
+    artist:   rec._primaryMaker?.name || artist,
+    year:     rec._primaryDate        || '',
+    imageUrl,
+    source:   'Victoria and Albert Museum',
+    ...await fetchVamDetails(rec.systemNumber, signal),
+  };
+}
+
+// Details are a nice-to-have — a failed lookup still yields the painting
+async function fetchVamDetails(systemNumber, signal) {
+  const details = {
+    medium:      '',
+    dimensions:  '',
+    creditLine:  '',
+    description: '',
+    url:         `https://collections.vam.ac.uk/item/${systemNumber}/`,
+  };
+  try {
+    const { record } = await fetch(`https://api.vam.ac.uk/v2/object/${systemNumber}`, { signal })
+      .then(r => r.json());
+    details.medium      = record?.materialsAndTechniques || '';
+    details.dimensions  = (record?.dimensions || [])
+      .map(d => [d.dimension, d.value, d.unit].filter(Boolean).join(' '))
+      .join(', ');
+    details.creditLine  = record?.creditLine || '';
+    details.description = stripHtml(record?.summaryDescription || record?.briefDescription);
+  } catch (err) {
+    console.warn('[Daily Impressionist] V&A details failed:', err);
+  }
+  return details;
+}
+
+
+// ─── Source 4: Cleveland Museum of Art ────────────────────────────────────────
+// Free API, no key. Searches by artist name with built-in date-range filtering.
+// Uses the `print` image (highest resolution) with web as fallback.
+
+async function fetchFromCleveland({ rng, seen, signal, scope }) {
+  const artist = pickArtist(scope, rng);
+  const res    = await fetch(
+    `https://openaccess-api.clevelandart.org/api/artworks/` +
+    `?artists=${encodeURIComponent(artist)}&has_image=1&type=Painting` +
+    `&created_after=${scope.eraStart}&created_before=${scope.eraEnd}&limit=100`,
+    { signal }
+  );
+  const { data } = await res.json();
+
+  const valid = (data || []).filter(a => {
+    const imgUrl = a.images?.print?.url || a.images?.web?.url;
+    if (!imgUrl || wasShown(seen, 'cleveland', a.id)) return false;
+    const creatorsStr = (a.creators || []).map(c => c.description).join(' ');
+    return matchesArtist(creatorsStr, scope.artists);
+  });
+  if (!valid.length) return null;
+
+  const art     = pickRandom(valid, rng);
+  // "Claude Monet (French, 1840–1926)" → extract clean name before the parenthesis
+  const rawName = art.creators?.[0]?.description || artist;
+  const name    = rawName.split('(')[0].trim() || artist;
+
+  return {
+    id:          art.id,
+    title:       art.title                                  || 'Untitled',
+    artist:      name,
+    year:        art.creation_date                          || '',
+    imageUrl:    art.images?.print?.url || art.images?.web?.url,
+    source:      'Cleveland Museum of Art',
+    medium:      art.technique                              || '',
+    dimensions:  art.measurements                           || '',
+    creditLine:  art.creditline                             || '',
+    description: stripHtml(art.description),
+    url:         art.url                                    || '',
+  };
+}
+
+
+// ─── Source 5: Rijksmuseum ────────────────────────────────────────────────────
+// Requires a Rijksmuseum key. Free-text search by artist name, paintings with images only.
+// The search result has no date field; `longTitle` ends with it ("…, c. 1873").
+
+async function fetchFromRijks({ rng, seen, signal, scope }) {
+  const artist = pickArtist(scope, rng);
+  const res    = await fetch(
+    `https://www.rijksmuseum.nl/api/en/collection` +
+    `?key=${SETTINGS.keys.RIJKS_KEY}&q=${encodeURIComponent(artist)}&type=painting&imgonly=True&ps=100`,
+    { signal }
+  );
+  const { artObjects } = await res.json();
+
+  const valid = (artObjects || []).filter(a =>
+    a.webImage?.url &&
+    !wasShown(seen, 'rijks', a.objectNumber) &&
+    matchesArtist(a.principalOrFirstMaker, scope.artists) &&
+    inImpressionistEra(rijksDate(a.longTitle), scope.eraStart, scope.eraEnd)
+  );
+  if (!valid.length) return null;
+
+  const art = pickRandom(valid, rng);
+  // The collection search carries no physical details — only the web link
+  return {
+    id:          art.objectNumber,
+    title:       art.title                 || 'Untitled',
+    artist:      art.principalOrFirstMaker || artist,
+    year:        rijksDate(art.longTitle),
+    imageUrl:    art.webImage.url,
+    source:      'Rijksmuseum',
+    medium:      '',
+    dimensions:  '',
+    creditLine:  '',
+    description: '',
+    url:         art.links?.web            || '',
+  };
+}
+
+// "Water Lilies, Claude Monet, c. 1906" → "c. 1906"
+function rijksDate(longTitle) {
+  const tail = String(longTitle ?? '').split(',').pop().trim();
+  return /\d{4}/.test(tail) ? tail : '';
+}
+
+
+// ─── Source 6: Smithsonian Institution ────────────────────────────────────────
+// Requires an api.data.gov key. Searches the Open Access EDAN index by artist
+// name; images are served by the IDS delivery service, sized via `max`.
+
+async function fetchFromSmithsonian({ rng, seen, signal, scope }) {
+  const artist = pickArtist(scope, rng);
+  const res    = await fetch(
+    `https://api.si.edu/openaccess/api/v1.0/search` +
+    `?q=${encodeURIComponent(`${artist} AND online_media_type:Images`)}&rows=100&api_key=${SETTINGS.keys.SI_KEY}`,
+    { signal }
+  );
+  const json = await res.json();
+
+  const valid = (json?.response?.rows || []).filter(r => {
+    const { freetext, descriptiveNonRepeating } = r.content ?? {};
+    return descriptiveNonRepeating?.online_media?.media?.[0]?.content &&
+      !wasShown(seen, 'smithsonian', r.id) &&
+      matchesArtist(siArtist(freetext), scope.artists) &&
+      inImpressionistEra(freetext?.date?.[0]?.content, scope.eraStart, scope.eraEnd);
+  });
+  if (!valid.length) return null;
+
+  const row = pickRandom(valid, rng);
+  const { freetext, descriptiveNonRepeating } = row.content;
+  return {
+    id:          row.id,
+    title:       descriptiveNonRepeating.title?.content || row.title || 'Untitled',
+    artist:      siArtist(freetext) || artist,
+    year:        freetext?.date?.[0]?.content || '',
+    imageUrl:    `${descriptiveNonRepeating.online_media.media[0].content}&max=1600`,
+    source:      'Smithsonian Institution',
+    medium:      siField(freetext?.physicalDescription, /medium/i),
+    dimensions:  siField(freetext?.physicalDescription, /dimensions/i),
+    creditLine:  siField(freetext?.creditLine),
+    description: siField(freetext?.notes),
+    url:         descriptiveNonRepeating.record_link || '',
+  };
+}
+
+// First labelled entry matching `label` (or the first entry at all)
+function siField(entries, label) {
+  const list = entries || [];
+  const hit  = label ? list.find(e => label.test(e.label)) : list[0];
+  return stripHtml(hit?.content);
+}
+
+// Smithsonian names come as labelled entries; the artist is labelled "Artist"
+function siArtist(freetext) {
+  const names = freetext?.name || [];
+  return (names.find(n => /artist/i.test(n.label)) || names[0])?.content || '';
+}
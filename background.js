@@ -0,0 +1,392 @@
+// =============================================================================
+//  Daily Impressionist — background.js
+//  Manifest V3 service worker. Owns everything that should outlive a tab:
+//    • the prefetch queue and painting of the day — fetch, encode, cache
+//    • stock quote polling, written to storage for every open tab to render
+//  Pages ask for work through chrome.runtime messages; chrome.alarms wake the
+//  worker for periodic queue refills and quote refreshes.
+// =============================================================================
+
+// config.js is optional (gitignored) — keys can live in the options page instead
+try { importScripts('config.js'); } catch { /* no legacy config */ }
+importScripts(
+  'settings.js', 'palette.js', 'artwork.js',
+  'quotes.js', 'markets.js', 'portfolio.js', 'alerts.js', 'news.js',
+);
+
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+// The worker can be stopped and restarted at any moment, so settings are
+// re-read at the start of every event instead of once at startup.
+
+async function refreshSettings() {
+  SETTINGS = await loadSettings();
+}
+
+
+// ─── Prefetch Queue ───────────────────────────────────────────────────────────
+// Up to `queueDepth` pre-encoded artworks wait under the `queue` key. Every tab
+// takes exactly one off the front; a refill tops it back up behind it.
+
+const QUEUE_KEY  = 'queue';
+const queueDepth = () => Math.max(1, SETTINGS.queueDepth);
+
+// Tabs opened at the same moment send their requests together, and the awaits
+// inside take/push would interleave. The Web Locks API serialises them.
+const withQueueLock = fn => navigator.locks.request('queue', fn);
+
+// The first entry not shown since it was queued (e.g. by the empty-queue
+// path), and what stays queued behind it — shown ones ahead of it are dropped
+function takeUnshown(queue, shown) {
+  const i = queue.findIndex(entry => !shown.has(historyKey(entry)));
+  return i < 0 ? { next: null, rest: [] } : { next: queue[i], rest: queue.slice(i + 1) };
+}
+
+// Room left, and the painting not already waiting
+function canQueue(queue, entry, depth) {
+  const key = historyKey(entry);
+  return queue.length < depth && !(key && queue.some(e => historyKey(e) === key));
+}
+
+async function takeFromQueue() {
+  return withQueueLock(async () => {
+    const { queue = [], ready } = await chrome.storage.local.get([QUEUE_KEY, 'ready']);
+    // Carry over the single-slot `ready` entry written by earlier versions
+    if (ready) {
+      queue.unshift(ready);
+      await chrome.storage.local.remove('ready');
+    }
+    const { next, rest } = takeUnshown(queue, await loadShownKeys());
+    await chrome.storage.local.set({ [QUEUE_KEY]: rest });
+    return next;
+  });
+}
+
+async function pushToQueue(entry) {
+  return withQueueLock(async () => {
+    const { queue = [] } = await chrome.storage.local.get(QUEUE_KEY);
+    if (!canQueue(queue, entry, queueDepth())) return false;
+    queue.push(entry);
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+    return true;
+  });
+}
+
+// Fetch a fresh random artwork and encode its image and palette, ready to be queued.
+async function prefetchOne() {
+  try {
+    // Paintings already waiting in the queue count as seen too
+    const { [QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(QUEUE_KEY);
+    const artwork = await fetchRandomArtwork({ exclude: queue.map(historyKey) });
+    // Offline picks are already on disk — stored ones encoded, bundled ones packaged
+    if (!artwork || artwork.offline) return artwork;
+    return { ...artwork, ...await encodeImage(artwork.imageUrl) };
+  } catch (err) {
+    console.warn('[Daily Impressionist] Prefetch failed:', err);
+    return null;
+  }
+}
+
+// Fill the queue up to `queueDepth`. Never awaited by the hand-over to a tab.
+// If a refill is already running, return at once rather than fetching the
+// same slots twice.
+async function refillQueue() {
+  if (!navigator.onLine) return;
+  return navigator.locks.request('refill', { ifAvailable: true }, async lock => {
+    if (!lock) return;
+    let failures = 0;
+    while (failures < 3) {
+      const { queue = [] } = await chrome.storage.local.get(QUEUE_KEY);
+      if (queue.length >= queueDepth()) return;
+
+      const entry = await prefetchOne();
+      if (!entry) { failures++; continue; }
+      // Every source failed and the offline tier answered — try again later
+      if (entry.offline) return;
+      if (!await pushToQueue(entry)) return;
+      console.log('[Daily Impressionist] Queued:', entry.title, '—', entry.source);
+    }
+  });
+}
+
+
+// ─── Painting of the Day ──────────────────────────────────────────────────────
+// Daily mode seeds every choice from the local date, so everyone in the same
+// timezone lands on the same painting. It is fetched and encoded once, then
+// served from the `daily` key to every tab until the date changes.
+
+const DAILY_KEY = 'daily';
+
+async function loadDailyArtwork() {
+  const today = localDateKey();
+  const { daily } = await chrome.storage.local.get(DAILY_KEY);
+  if (daily?.date === today) return daily;
+
+  // Tabs opened together just after midnight (or an alarm) share one fetch
+  return navigator.locks.request('daily', async () => {
+    const { daily } = await chrome.storage.local.get(DAILY_KEY);
+    if (daily?.date === today) return daily;
+
+    const artwork = await fetchRandomArtwork({ seed: hashString(today) });
+    // An offline stand-in is not today's painting — don't cache it as one
+    if (!artwork || artwork.offline) return artwork;
+    try {
+      const entry = { ...artwork, ...await encodeImage(artwork.imageUrl), date: today };
+      await chrome.storage.local.set({ [DAILY_KEY]: entry });
+      return entry;
+    } catch (err) {
+      console.warn('[Daily Impressionist] Daily cache failed:', err);
+      return artwork;
+    }
+  });
+}
+
+
+// ─── Next Artwork ─────────────────────────────────────────────────────────────
+// What a new tab should show: today's painting in daily mode, otherwise the
+// head of the queue — or, with the queue empty, one fetched on the spot.
+
+async function nextArtwork() {
+  if (SETTINGS.mode === 'daily') return loadDailyArtwork();
+
+  // Taking an entry removes it, so no two tabs ever show the same painting.
+  const artwork = await takeFromQueue() ?? await prefetchOne();
+  if (artwork) recordShown(artwork);
+
+  // Top the queue back up for the tabs after this one.
+  refillQueue();
+  return artwork;
+}
+
+
+// ─── Quote Polling ────────────────────────────────────────────────────────────
+// One poll serves every open tab: results go into the `quotes` map and pages
+// re-render from chrome.storage.onChanged. Tickers asked for by name are
+// always fetched; the periodic poll skips markets that are closed (markets.js)
+// and failed tickers whose retry isn't due. A failure keeps the last good
+// quote, marked with the reason, and books a retry alarm for the earliest one.
+
+async function refreshQuotes(tickers) {
+  const list = await loadSavedTickers();
+  const { [QUOTES_KEY]: cached = {} } = await chrome.storage.local.get(QUOTES_KEY);
+  const wanted = tickers
+    ? tickers.filter(t => list.includes(t))
+    : list.filter(t => pollDue(cached[t], marketStatus(marketFor(t)), Date.now()));
+  if (!wanted.length) return;
+
+  const results = await Promise.all(wanted.map(async ticker => {
+    const { quote, error } = await fetchStockQuote(ticker);
+    // The session it was fetched in tells needsPoll whether the close is in
+    const session = marketStatus(marketFor(ticker));
+    return [ticker, quote && { ...quote, fetchedAt: Date.now(), session }, error];
+  }));
+
+  const stored = await navigator.locks.request('quotes', async () => {
+    const { [QUOTES_KEY]: quotes = {} } = await chrome.storage.local.get(QUOTES_KEY);
+    // Drop tickers removed from the watchlist since the last poll
+    const next = Object.fromEntries(Object.entries(quotes).filter(([t]) => list.includes(t)));
+    results.forEach(([ticker, data, error]) => {
+      next[ticker] = data ?? failedQuote(next[ticker], error, Date.now());
+    });
+    await chrome.storage.local.set({ [QUOTES_KEY]: next });
+    return next;
+  });
+  await scheduleQuoteRetry(stored);
+  await checkAlerts(Object.fromEntries(results.filter(([, data]) => data)));
+  await refreshFx();
+}
+
+// One alarm for the earliest retry; cleared once nothing is failing
+async function scheduleQuoteRetry(quotes) {
+  const retries = Object.values(quotes).filter(q => q?.error).map(q => q.retryAt);
+  if (!retries.length) return chrome.alarms.clear(QUOTE_RETRY_ALARM);
+  chrome.alarms.create(QUOTE_RETRY_ALARM, { when: Math.max(Math.min(...retries), Date.now() + RETRY_BASE_MS) });
+}
+
+// FX rates for valuing holdings in the base currency (portfolio.js). A pair is
+// refetched once it is older than one quote interval — pegs and majors barely
+// move, and only the pairs some lot actually needs are polled at all.
+async function refreshFx() {
+  const entries = await loadWatchlist();
+  const { [QUOTES_KEY]: quotes = {}, [FX_KEY]: fx = {} } =
+    await chrome.storage.local.get([QUOTES_KEY, FX_KEY]);
+  const maxAge = SETTINGS.quoteRefreshSec * 1000;
+  const due    = fxPairsNeeded(entries, quotes, SETTINGS.baseCurrency)
+    .filter(pair => !fx[pair] || Date.now() - fx[pair].fetchedAt > maxAge);
+  if (!due.length) return;
+
+  const results = await Promise.all(due.map(async pair => {
+    const { quote } = await fetchStockQuote(`${pair}=X`);
+    return [pair, quote && { rate: quote.price, fetchedAt: Date.now() }];
+  }));
+
+  await navigator.locks.request('fx', async () => {
+    const { [FX_KEY]: latest = {} } = await chrome.storage.local.get(FX_KEY);
+    results.forEach(([pair, rate]) => { if (rate) latest[pair] = rate; });
+    await chrome.storage.local.set({ [FX_KEY]: latest });
+  });
+}
+
+
+// ─── Price Alerts ─────────────────────────────────────────────────────────────
+// Rules are checked against every fresh quote, whether the poll came from an
+// open tab or from the alarm with no tab open. A rule that fires raises a
+// desktop notification; open tabs mark the row from `alertState`.
+
+async function checkAlerts(fresh) {
+  const entries = (await loadWatchlist()).filter(e => e.alerts.length && fresh[e.ticker]);
+  if (!entries.length) return;
+
+  const fired = await navigator.locks.request('alerts', async () => {
+    const { [ALERT_STATE_KEY]: state = {} } = await chrome.storage.local.get(ALERT_STATE_KEY);
+    const watched = new Set((await loadWatchlist()).flatMap(e => e.alerts.map(a => a.id)));
+    // Forget rules that have since been deleted
+    const next    = Object.fromEntries(Object.entries(state).filter(([id]) => watched.has(id)));
+    const fired   = [];
+
+    entries.forEach(({ ticker, alerts }) => {
+      const result = evaluateAlerts(alerts, fresh[ticker], state, Date.now(), SETTINGS.alertCooldown * 60_000);
+      Object.assign(next, result.state);
+      result.fired.forEach(rule => fired.push({ rule, ticker }));
+    });
+    await chrome.storage.local.set({ [ALERT_STATE_KEY]: next });
+    return fired;
+  });
+
+  for (const { rule, ticker } of fired) {
+    chrome.notifications.create(`alert:${rule.id}:${Date.now()}`, {
+      type:     'basic',
+      iconUrl:  await alertIcon(rule, fresh[ticker]),
+      title:    `${fresh[ticker].shortName || ticker} — price alert`,
+      message:  alertMessage(rule, ticker, fresh[ticker]),
+      priority: 1,
+    });
+  }
+}
+
+// Notifications need an icon and the extension ships none, so draw one: a
+// green or red disc with an arrow for the direction of the move.
+async function alertIcon(rule, quote) {
+  const up = rule.type === 'above' || (rule.type === 'move' && quote.change >= 0);
+  const canvas = new OffscreenCanvas(64, 64);
+  const ctx    = canvas.getContext('2d');
+  ctx.fillStyle = up ? '#6fcf97' : '#eb5757';
+  ctx.beginPath();
+  ctx.arc(32, 32, 30, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#1C1C1C';
+  ctx.beginPath();
+  if (up) { ctx.moveTo(32, 14); ctx.lineTo(50, 44); ctx.lineTo(14, 44); }
+  else    { ctx.moveTo(32, 50); ctx.lineTo(50, 20); ctx.lineTo(14, 20); }
+  ctx.fill();
+  return blobToDataUrl(await canvas.convertToBlob());
+}
+
+chrome.notifications.onClicked.addListener(id => chrome.notifications.clear(id));
+
+
+// ─── Charts ───────────────────────────────────────────────────────────────────
+// The expanded chart asks for one range at a time. Answers are kept in memory
+// for a minute so flipping between tabs doesn't refetch; a worker that was
+// stopped in between simply fetches again.
+
+const CHART_TTL_MS = 60_000;
+const chartCache   = new Map(); // "<ticker>|<range>" → { chart, at }
+
+async function loadChart(ticker, range) {
+  const key = `${ticker}|${range}`;
+  const hit = chartCache.get(key);
+  if (hit && Date.now() - hit.at < CHART_TTL_MS) return hit.chart;
+
+  const chart = await fetchChart(ticker, range).catch(() => null);
+  if (chart) chartCache.set(key, { chart, at: Date.now() });
+  return chart;
+}
+
+
+// ─── News ─────────────────────────────────────────────────────────────────────
+// Fetched when a row's news section is opened, never polled. Kept in storage
+// so every tab, and a restarted worker, shares the cache; tickers since removed
+// from the watchlist are dropped when the next one is written.
+
+async function loadNews(ticker) {
+  const { [NEWS_KEY]: cache = {} } = await chrome.storage.local.get(NEWS_KEY);
+  const hit   = cache[ticker];
+  const items = await tickerNews(ticker, NEWS_PROVIDERS[DEFAULT_NEWS_PROVIDER], cache);
+  if (cache[ticker] === hit) return items;
+
+  const list = await loadSavedTickers();
+  await navigator.locks.request('news', async () => {
+    const { [NEWS_KEY]: latest = {} } = await chrome.storage.local.get(NEWS_KEY);
+    const next = Object.fromEntries(Object.entries(latest).filter(([t]) => list.includes(t)));
+    next[ticker] = cache[ticker];
+    await chrome.storage.local.set({ [NEWS_KEY]: next });
+  });
+  return items;
+}
+
+
+// ─── Alarms ───────────────────────────────────────────────────────────────────
+
+const REFILL_ALARM      = 'refill';
+const QUOTE_ALARM       = 'quotes';
+const QUOTE_RETRY_ALARM = 'quote-retry';
+
+// Re-creating an alarm replaces it, so this also applies a changed interval.
+async function scheduleAlarms() {
+  await refreshSettings();
+  chrome.alarms.create(REFILL_ALARM, { periodInMinutes: 30 });
+  // Chrome never fires alarms more often than every 30 seconds
+  chrome.alarms.create(QUOTE_ALARM, {
+    periodInMinutes: Math.max(0.5, SETTINGS.quoteRefreshSec / 60),
+  });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleAlarms);
+chrome.runtime.onStartup.addListener(scheduleAlarms);
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area === 'sync' && changes[SETTINGS_KEY]) await scheduleAlarms();
+  // A new lot or base currency may need a pair that isn't cached yet
+  if ((area === 'sync' && changes[SETTINGS_KEY]) || (area === 'local' && changes[STOCK_STORE_KEY])) {
+    await refreshSettings();
+    await refreshFx();
+  }
+});
+
+chrome.alarms.onAlarm.addListener(async alarm => {
+  await refreshSettings();
+  if (alarm.name === REFILL_ALARM) {
+    // Daily mode has no queue — warm today's painting instead
+    if (SETTINGS.mode === 'daily') await loadDailyArtwork();
+    else                           await refillQueue();
+  }
+  if (alarm.name === QUOTE_ALARM || alarm.name === QUOTE_RETRY_ALARM) await refreshQuotes();
+});
+
+
+// ─── Messaging ────────────────────────────────────────────────────────────────
+
+const HANDLERS = {
+  'next-artwork':   () => nextArtwork(),
+  'refresh-quotes': ({ tickers }) => refreshQuotes(tickers),
+  'chart':          ({ ticker, range }) => loadChart(ticker, range),
+  'search-symbols': ({ query }) => searchSymbols(query),
+  'news':           ({ ticker }) => loadNews(ticker),
+  // One-off quote for a symbol not on the watchlist yet — the page checks it exists
+  'lookup-quote':   ({ ticker }) => fetchStockQuote(ticker),
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = HANDLERS[message?.type];
+  if (!handler) return false;
+
+  refreshSettings()
+    .then(() => handler(message))
+    .then(result => sendResponse(result ?? null))
+    .catch(err => {
+      console.warn(`[Daily Impressionist] ${message.type} failed:`, err);
+      sendResponse(null);
+    });
+  return true; // keep the channel open for the async response
+});
@@ -0,0 +1,230 @@
+// =============================================================================
+//  Daily Impressionist — chart.js
+//  Price charts for the stock widget, drawn as inline SVG. MV3 pages can't
+//  load remote code, and a line chart doesn't need a library anyway.
+//    • Sparkline  → behind every row, today's 5-minute bars
+//    • Expanded   → under a clicked row: 1D/5D/1M/1Y tabs, previous-close
+//                   line and a hover crosshair with price and time
+//  Series come from quotes.js as [[time in ms, close], …], oldest first.
+// =============================================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const SPARK_W = 224, SPARK_H = 28;
+const CHART_W = 224, CHART_H = 96;
+
+// ─── Geometry ─────────────────────────────────────────────────────────────────
+// Bars are spaced evenly by index, not by time, so nights and weekends in the
+// 5D and longer ranges don't leave flat gaps across the chart.
+
+// Value range to fit, widened to include the reference line if given
+function seriesBounds(points, baseline = null) {
+  let min = Infinity, max = -Infinity;
+  for (const [, v] of points) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (baseline != null) {
+    min = Math.min(min, baseline);
+    max = Math.max(max, baseline);
+  }
+  if (min === max) { min -= 1; max += 1; } // flat series → draw it mid-height
+  return { min, max };
+}
+
+function scaleY(v, bounds, height, pad) {
+  return pad + (bounds.max - v) * (height - 2 * pad) / (bounds.max - bounds.min);
+}
+
+function scaleX(i, n, width, pad) {
+  return n > 1 ? pad + i * (width - 2 * pad) / (n - 1) : width / 2;
+}
+
+function linePath(points, bounds, width, height, pad = 2) {
+  return points
+    .map(([, v], i) => `${i ? 'L' : 'M'}${scaleX(i, points.length, width, pad).toFixed(1)},` +
+                       `${scaleY(v, bounds, height, pad).toFixed(1)}`)
+    .join('');
+}
+
+// Bar under an x position in viewBox units — the inverse of scaleX
+function indexAtX(x, n, width, pad = 2) {
+  if (n <= 1) return 0;
+  const i = Math.round((x - pad) * (n - 1) / (width - 2 * pad));
+  return Math.min(n - 1, Math.max(0, i));
+}
+
+// Up, down or flat against the reference close (or the first bar without one)
+function seriesTrend(points, prevClose) {
+  if (!points.length) return 'neutral';
+  const base = prevClose ?? points[0][1];
+  const last = points[points.length - 1][1];
+  return last > base ? 'positive' : last < base ? 'negative' : 'neutral';
+}
+
+
+// ─── SVG helpers ──────────────────────────────────────────────────────────────
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+}
+
+
+// ─── Sparkline ────────────────────────────────────────────────────────────────
+
+// Returns null when there is nothing to draw (quote not polled yet, market
+// not open yet today).
+function buildSparkline(series, prevClose) {
+  if (!series?.length) return null;
+  const bounds = seriesBounds(series, prevClose);
+  const svg = svgEl('svg', {
+    class:               `stock-spark ${seriesTrend(series, prevClose)}`,
+    viewBox:             `0 0 ${SPARK_W} ${SPARK_H}`,
+    preserveAspectRatio: 'none',
+    'aria-hidden':       'true',
+  });
+  svg.appendChild(svgEl('path', { d: linePath(series, bounds, SPARK_W, SPARK_H) }));
+  return svg;
+}
+
+
+// ─── Expanded chart ───────────────────────────────────────────────────────────
+// One chart is open at a time, as a panel right below its row.
+
+function formatChartTime(ms, range) {
+  const d = new Date(ms);
+  if (range === '1D') return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (range === '5D') return d.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  if (range === '1M') return d.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  return d.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Returns the new panel, or null when the click closed the open one, so the
+// caller can add more to it.
+function toggleChart(row) {
+  const list   = row.parentElement;
+  const open   = list.querySelector('.stock-chart');
+  const ticker = row.dataset.ticker;
+  open?.remove();
+  list.querySelectorAll('.stock-row.expanded').forEach(r => r.classList.remove('expanded'));
+  if (open?.dataset.chart === ticker) return null; // clicking the open row closes it
+
+  const panel = document.createElement('div');
+  panel.className     = 'stock-chart';
+  panel.dataset.chart = ticker;
+
+  const tabs = document.createElement('div');
+  tabs.className = 'chart-tabs';
+  Object.keys(CHART_RANGES).forEach(range => {
+    const tab = document.createElement('button');
+    tab.className     = 'chart-tab';
+    tab.textContent   = range;
+    tab.dataset.range = range;
+    tab.addEventListener('click', () => showChartRange(panel, range));
+    tabs.appendChild(tab);
+  });
+
+  const body = document.createElement('div');
+  body.className = 'chart-body';
+
+  const readout = document.createElement('div');
+  readout.className = 'chart-readout';
+
+  panel.append(tabs, body, readout);
+  row.after(panel);
+  row.classList.add('expanded');
+  showChartRange(panel, '1D');
+  return panel;
+}
+
+async function showChartRange(panel, range) {
+  panel.dataset.range = range;
+  panel.querySelectorAll('.chart-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.range === range);
+  });
+  panel.querySelector('.chart-body').textContent = '…';
+  panel.querySelector('.chart-readout').textContent = '';
+
+  const chart = await chrome.runtime
+    .sendMessage({ type: 'chart', ticker: panel.dataset.chart, range })
+    .catch(() => null);
+  // Another tab was picked (or the panel closed) while this one loaded
+  if (panel.dataset.range !== range || !panel.isConnected) return;
+  drawChart(panel, chart, range);
+}
+
+// Yahoo's chartPreviousClose is the close just before the range's first bar —
+// yesterday's close on 1D, and on longer ranges the close the range starts from
+const referenceLabel = range => range === '1D' ? 'prev close' : `${range} start`;
+
+function drawChart(panel, chart, range) {
+  const body    = panel.querySelector('.chart-body');
+  const readout = panel.querySelector('.chart-readout');
+  const points  = chart?.points ?? [];
+  if (!points.length) {
+    body.textContent = 'No chart data';
+    return;
+  }
+
+  const { prevClose, currency } = chart;
+  const ticker = panel.dataset.chart;
+  const price  = v => formatPrice(v, ticker, currency);
+  const bounds = seriesBounds(points, prevClose);
+  const pad    = 4;
+  const line   = linePath(points, bounds, CHART_W, CHART_H, pad);
+
+  const svg = svgEl('svg', {
+    class:               `chart-svg ${seriesTrend(points, prevClose)}`,
+    viewBox:             `0 0 ${CHART_W} ${CHART_H}`,
+    preserveAspectRatio: 'none',
+  });
+  // Area under the line, closed along the bottom edge
+  const lastX  = scaleX(points.length - 1, points.length, CHART_W, pad).toFixed(1);
+  const firstX = scaleX(0, points.length, CHART_W, pad).toFixed(1);
+  svg.appendChild(svgEl('path', { class: 'chart-area', d: `${line}L${lastX},${CHART_H}L${firstX},${CHART_H}Z` }));
+  svg.appendChild(svgEl('path', { class: 'chart-line', d: line }));
+
+  if (prevClose != null) {
+    const y = scaleY(prevClose, bounds, CHART_H, pad).toFixed(1);
+    svg.appendChild(svgEl('line', { class: 'chart-prev', x1: 0, x2: CHART_W, y1: y, y2: y }));
+  }
+
+  // Crosshair — one vertical and one horizontal hairline through the hovered bar
+  const cross  = svgEl('g', { class: 'chart-cross hidden' });
+  const crossV = svgEl('line', { y1: 0, y2: CHART_H });
+  const crossH = svgEl('line', { x1: 0, x2: CHART_W });
+  cross.append(crossV, crossH);
+  svg.appendChild(cross);
+
+  // Resting readout: last price and its change against the dashed reference
+  const last    = points[points.length - 1][1];
+  const summary = () => {
+    const change = prevClose ? (last - prevClose) / prevClose * 100 : null;
+    readout.textContent = prevClose != null
+      ? `${price(last)}  ${formatChange(change)}  · ${referenceLabel(range)} ${price(prevClose)}`
+      : price(last);
+  };
+
+  svg.addEventListener('mousemove', e => {
+    const rect = svg.getBoundingClientRect();
+    const x    = (e.clientX - rect.left) * CHART_W / rect.width;
+    const i    = indexAtX(x, points.length, CHART_W, pad);
+    const cx   = scaleX(i, points.length, CHART_W, pad).toFixed(1);
+    const cy   = scaleY(points[i][1], bounds, CHART_H, pad).toFixed(1);
+    crossV.setAttribute('x1', cx);
+    crossV.setAttribute('x2', cx);
+    crossH.setAttribute('y1', cy);
+    crossH.setAttribute('y2', cy);
+    cross.classList.remove('hidden');
+    readout.textContent = `${price(points[i][1])}  · ${formatChartTime(points[i][0], range)}`;
+  });
+  svg.addEventListener('mouseleave', () => {
+    cross.classList.add('hidden');
+    summary();
+  });
+
+  body.replaceChildren(svg);
+  summary();
+}
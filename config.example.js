@@ -1,5 +1,7 @@
 // Copy this file to config.js and fill in your own API keys.
 // config.js is gitignored and will never be committed to the repository.
+// These values only seed the defaults — anything set on the extension's
+// options page (right-click the icon → Options) takes precedence.
 //
 // How to get free keys:
 //   Rijksmuseum : https://data.rijksmuseum.nl/user-generated-content/api/
@@ -8,8 +10,13 @@
 //   RapidAPI    : https://rapidapi.com/hub  → subscribe to "Yahoo Finance" (free tier)
 
 const EXTENSION_CONFIG = {
-  RIJKS_KEY:    '',
-  SI_KEY:       '',
-  POLYGON_KEY:  '',   // US stocks (Polygon.io free tier)
-  RAPIDAPI_KEY: '',   // HK stocks (Yahoo Finance via RapidAPI)
+  RIJKS_KEY:      '',
+  SI_KEY:         '',
+  POLYGON_KEY:    '',   // US stocks (Polygon.io free tier)
+  RAPIDAPI_KEY:   '',   // Yahoo Finance via RapidAPI — tried first for HK stocks
+
+  MODE:           'random', // 'random' per tab, or 'daily' for a painting of the day
+  QUEUE_DEPTH:    3,        // paintings kept pre-encoded for the next tabs
+  HISTORY_DAYS:   30,       // don't repeat a painting shown within this many days…
+  HISTORY_VIEWS:  300,      // …or within this many new tabs
 };
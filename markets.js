@@ -0,0 +1,243 @@
+// =============================================================================
+//  Daily Impressionist — markets.js
+//  Exchange calendars: trading sessions, weekends and holidays per market, so
+//  quotes are only polled while a price can change and every row can say
+//  whether its price is live. No DOM — shared by the page and the worker.
+//  Times are wall-clock times in the exchange's own timezone.
+// =============================================================================
+
+// ─── Calendars ────────────────────────────────────────────────────────────────
+// Holidays are full closures; `earlyClose` days end the regular session early
+// (US half days, HKEX morning-only sessions on the eves of Christmas, New Year
+// and Lunar New Year, London's Christmas and New Year's Eve). Extend both
+// tables when the exchanges publish a new year — past a table's last year a
+// trading day can't be told from a holiday, so its sessions are 'unconfirmed'.
+
+const MARKETS = {
+  US: {
+    label:    'NYSE · NASDAQ',
+    timeZone: 'America/New_York',
+    pre:      ['04:00', '09:30'],
+    regular:  [['09:30', '16:00']],
+    post:     ['16:00', '20:00'],
+    holidays: new Set([
+      '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+      '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+      '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+      '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+      '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+      '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24',
+    ]),
+    earlyClose: {
+      '2025-07-03': '13:00', '2025-11-28': '13:00', '2025-12-24': '13:00',
+      '2026-11-27': '13:00', '2026-12-24': '13:00',
+      '2027-11-26': '13:00',
+    },
+  },
+  HK: {
+    label:    'HKEX',
+    timeZone: 'Asia/Hong_Kong',
+    regular:  [['09:30', '12:00'], ['13:00', '16:00']],
+    holidays: new Set([
+      '2025-01-01', '2025-01-29', '2025-01-30', '2025-01-31', '2025-04-04', '2025-04-18',
+      '2025-04-21', '2025-05-01', '2025-05-05', '2025-07-01', '2025-10-01', '2025-10-07',
+      '2025-10-29', '2025-12-25', '2025-12-26',
+      '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-04-03', '2026-04-06',
+      '2026-04-07', '2026-05-01', '2026-05-25', '2026-06-19', '2026-07-01', '2026-10-01',
+      '2026-10-19', '2026-12-25',
+      '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-03-29', '2027-04-05',
+      '2027-05-13', '2027-06-09', '2027-07-01', '2027-09-16', '2027-10-01', '2027-10-08',
+      '2027-12-27',
+    ]),
+    earlyClose: {
+      '2025-01-28': '12:00', '2025-12-24': '12:00', '2025-12-31': '12:00',
+      '2026-02-16': '12:00', '2026-12-24': '12:00', '2026-12-31': '12:00',
+      '2027-02-05': '12:00', '2027-12-24': '12:00', '2027-12-31': '12:00',
+    },
+  },
+  CN: {
+    label:    'SSE · SZSE',
+    timeZone: 'Asia/Shanghai',
+    regular:  [['09:30', '11:30'], ['13:00', '15:00']],
+    holidays: new Set([
+      '2026-01-01', '2026-01-02', '2026-02-16', '2026-02-17', '2026-02-18', '2026-02-19',
+      '2026-02-20', '2026-02-23', '2026-04-06', '2026-05-01', '2026-05-04', '2026-05-05',
+      '2026-06-19', '2026-09-25', '2026-10-01', '2026-10-02', '2026-10-05', '2026-10-06',
+      '2026-10-07',
+    ]),
+    earlyClose: {},
+  },
+  JP: {
+    label:    'TSE',
+    timeZone: 'Asia/Tokyo',
+    regular:  [['09:00', '11:30'], ['12:30', '15:30']],
+    holidays: new Set([
+      '2026-01-01', '2026-01-02', '2026-01-12', '2026-02-11', '2026-02-23', '2026-03-20',
+      '2026-04-29', '2026-05-04', '2026-05-05', '2026-05-06', '2026-07-20', '2026-08-11',
+      '2026-09-21', '2026-09-22', '2026-09-23', '2026-10-12', '2026-11-03', '2026-11-23',
+      '2026-12-31',
+    ]),
+    earlyClose: {},
+  },
+  UK: {
+    label:    'LSE',
+    timeZone: 'Europe/London',
+    regular:  [['08:00', '16:30']],
+    holidays: new Set([
+      '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31',
+      '2026-12-25', '2026-12-28',
+    ]),
+    earlyClose: { '2026-12-24': '12:30', '2026-12-31': '12:30' },
+  },
+  // No holiday table yet — TWSE closures show as trading days
+  TW: {
+    label:    'TWSE',
+    timeZone: 'Asia/Taipei',
+    regular:  [['09:00', '13:30']],
+    holidays: new Set(),
+    earlyClose: {},
+  },
+
+  // Markets that trade through the night run on a weekly window instead of
+  // daily sessions; `pause` is a daily break inside it.
+  FX: {
+    label:    'FX',
+    timeZone: 'America/New_York',
+    week:     { open: ['Sun', '17:00'], close: ['Fri', '17:00'] },
+  },
+  FUT: {
+    label:    'CME Globex',
+    timeZone: 'America/New_York',
+    week:     { open: ['Sun', '18:00'], close: ['Fri', '17:00'], pause: ['17:00', '18:00'] },
+  },
+  CRYPTO: {
+    label:    'Crypto',
+    timeZone: 'UTC',
+    always:   true,
+  },
+};
+
+// Status of a market at one moment:
+//   open   — regular session, prices live
+//   pre    — pre-market (US only)
+//   post   — after-hours (US only)
+//   lunch  — between the morning and afternoon sessions (HKEX, SSE/SZSE, TSE)
+//   closed — anything else: nights, weekends, holidays
+//   unconfirmed — in session hours past the holiday table's last year, when
+//                 the day may be a holiday; polled as live in case it isn't
+const LIVE_STATUSES = ['open', 'pre', 'post', 'unconfirmed'];
+
+function marketFor(ticker) {
+  return instrumentInfo(ticker).market;
+}
+
+
+// ─── Clock ────────────────────────────────────────────────────────────────────
+
+const hhmm = s => { const [h, m] = s.split(':'); return h * 60 + +m; };
+
+// Formatters are slow to build and asked for on every row, so keep one per zone
+const zoneFormatters = new Map();
+
+// Local date, weekday and minutes past midnight at the exchange
+function zonedParts(date, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }));
+  }
+  const p = Object.fromEntries(
+    zoneFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    dateKey: `${p.year}-${p.month}-${p.day}`,
+    weekday: p.weekday,
+    minutes: +p.hour * 60 + +p.minute,
+  };
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Open or closed within a weekly window, counting minutes from Sunday midnight
+function weekStatus({ open, close, pause }, weekday, minutes) {
+  const at  = ([day, time]) => WEEKDAYS.indexOf(day) * 1440 + hhmm(time);
+  const now = WEEKDAYS.indexOf(weekday) * 1440 + minutes;
+  if (now < at(open) || now >= at(close)) return 'closed';
+  if (pause && minutes >= hhmm(pause[0]) && minutes < hhmm(pause[1])) return 'closed';
+  return 'open';
+}
+
+// Last year the holiday table covers. An empty table (TWSE) never runs out.
+const calendarEnd = market => market.holidays.size
+  ? Math.max(...[...market.holidays].map(d => +d.slice(0, 4)))
+  : Infinity;
+
+function marketStatus(id, date = new Date()) {
+  const market = MARKETS[id];
+  if (market.always) return 'open';
+  const { dateKey, weekday, minutes } = zonedParts(date, market.timeZone);
+  if (market.week) return weekStatus(market.week, weekday, minutes);
+  if (weekday === 'Sat' || weekday === 'Sun' || market.holidays.has(dateKey)) return 'closed';
+
+  const status = sessionStatus(market, dateKey, minutes);
+  if (status !== 'closed' && +dateKey.slice(0, 4) > calendarEnd(market)) return 'unconfirmed';
+  return status;
+}
+
+// Where a trading day's clock stands against its sessions
+function sessionStatus(market, dateKey, minutes) {
+  // An early close cuts the sessions short — HKEX half days drop the afternoon
+  const close    = market.earlyClose[dateKey] ? hhmm(market.earlyClose[dateKey]) : Infinity;
+  const sessions = market.regular
+    .map(([start, end]) => [hhmm(start), Math.min(hhmm(end), close)])
+    .filter(([start, end]) => start < end);
+  const open = sessions[0][0], last = sessions[sessions.length - 1][1];
+
+  if (sessions.some(([start, end]) => minutes >= start && minutes < end)) return 'open';
+  if (minutes > open && minutes < last)                                    return 'lunch';
+  if (market.pre  && minutes >= hhmm(market.pre[0]) && minutes < open)     return 'pre';
+  if (market.post && minutes >= last && minutes < hhmm(market.post[1]))    return 'post';
+  return 'closed';
+}
+
+
+// ─── Polling ──────────────────────────────────────────────────────────────────
+
+// Live sessions are polled on every alarm. Once a market stops trading it is
+// polled one more time, to catch the closing price, and then left alone until
+// it reopens. `quote.session` is the status recorded when it was fetched.
+function needsPoll(quote, status) {
+  if (!quote) return true;
+  if (LIVE_STATUSES.includes(status)) return true;
+  return quote.session !== status;
+}
+
+// A failed fetch keeps the last good quote and is retried on its own clock,
+// backing off from 30 seconds (Chrome's shortest alarm) to 15 minutes, rather
+// than on every poll. `attempt` counts the failures in a row.
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS  = 15 * 60_000;
+
+const retryDelay = attempt => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+function failedQuote(prev, error, now) {
+  const attempt = prev?.error ? prev.attempt + 1 : 0;
+  return { ...prev, error, failedAt: now, attempt, retryAt: now + retryDelay(attempt) };
+}
+
+// Whether the periodic poll should fetch a ticker now
+function pollDue(quote, status, now) {
+  if (quote?.error) return now >= quote.retryAt;
+  return needsPoll(quote, status);
+}
+
+// A price is stale once refreshing it has failed, or when it should be live
+// but is older than `maxAge` (a worker that slept through its alarms).
+// A quote never fetched has no price to be stale.
+function isStale(quote, status, now, maxAge) {
+  if (quote?.fetchedAt == null) return false;
+  if (quote.error) return true;
+  return LIVE_STATUSES.includes(status) && now - quote.fetchedAt > maxAge;
+}
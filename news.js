@@ -0,0 +1,59 @@
+// =============================================================================
+//  Daily Impressionist — news.js
+//  Recent headlines per ticker, for the news section of a stock row. Loaded
+//  by the worker, which fetches and caches them; pages ask for a ticker's
+//  headlines by message. No DOM.
+// =============================================================================
+
+const NEWS_KEY = 'news'; // ticker → { items, fetchedAt }, written by background.js
+
+const NEWS_LIMIT  = 6;
+const NEWS_TTL_MS = 15 * 60_000;
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+// A news provider is { label, fetch(ticker) } where fetch resolves to
+// headlines as [{ title, url, source, publishedAt }], newest first, with
+// publishedAt in ms (or null). It throws when the request itself fails.
+// Anything with that shape can stand in — tests hand tickerNews a stub.
+
+function yahooNewsUrl(ticker) {
+  return `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(ticker)}` +
+         `&quotesCount=0&newsCount=${NEWS_LIMIT}&listsCount=0`;
+}
+
+// Yahoo's search answers with `news` beside the symbol matches
+function parseYahooNews(json) {
+  return (json?.news ?? [])
+    .filter(n => n.title && /^https?:\/\//.test(n.link ?? ''))
+    .map(n => ({
+      title:       n.title,
+      url:         n.link,
+      source:      n.publisher || '',
+      publishedAt: n.providerPublishTime ? n.providerPublishTime * 1000 : null,
+    }))
+    .sort((a, b) => (b.publishedAt ?? 0) - (a.publishedAt ?? 0));
+}
+
+async function fetchYahooNews(ticker) {
+  const res = await fetch(yahooNewsUrl(ticker));
+  return parseYahooNews(await res.json());
+}
+
+const NEWS_PROVIDERS = {
+  yahoo: { label: 'Yahoo Finance', fetch: fetchYahooNews },
+};
+
+const DEFAULT_NEWS_PROVIDER = 'yahoo';
+
+
+// ─── Cache ────────────────────────────────────────────────────────────────────
+
+// Headlines for `ticker` from `cache` while younger than NEWS_TTL_MS, or else
+// from `provider`, whose answer is written back into `cache`.
+async function tickerNews(ticker, provider, cache, now = Date.now()) {
+  const hit = cache[ticker];
+  if (hit && now - hit.fetchedAt < NEWS_TTL_MS) return hit.items;
+  const items = (await provider.fetch(ticker)).slice(0, NEWS_LIMIT);
+  cache[ticker] = { items, fetchedAt: now };
+  return items;
+}
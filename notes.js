@@ -0,0 +1,534 @@
+// =============================================================================
+//  Daily Impressionist — notes.js
+//  Storage for the note pad: any number of named notes, each under its own key
+//  so saving one never rewrites the others, an index of which notes exist,
+//  which one is open and whether the pad is showing, and each note's history
+//  of earlier versions — plus conversion to and from Markdown, and the
+//  sanitizer any note HTML goes through before it reaches the editor. No DOM —
+//  the editor, the note switcher and the history view live in script.js.
+// =============================================================================
+
+const NOTE_INDEX_KEY      = 'notes';        // { ids, active, open }
+const NOTE_PREFIX         = 'note:';        // + id → a note, see newNote
+const NOTE_HISTORY_PREFIX = 'noteHistory:'; // + id → versions, see addSnapshot
+const LEGACY_NOTE_KEY     = 'noteContent';  // the single pad of earlier versions
+
+const noteKey        = id => `${NOTE_PREFIX}${id}`;
+const noteHistoryKey = id => `${NOTE_HISTORY_PREFIX}${id}`;
+
+// `name` is the one given in the switcher ('' until renamed); `preview` is the
+// note's first line, kept for the switcher so it needn't load every note's HTML.
+function newNote(now = Date.now(), fields = {}) {
+  return {
+    id:        crypto.randomUUID(),
+    name:      '',
+    preview:   '',
+    html:      '',
+    pinned:    false,
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+}
+
+const noteLabel = note => note.name || note.preview || 'Untitled';
+
+// Switcher order: pinned notes first, then the most recently edited
+function sortNotes(notes) {
+  return [...notes].sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+}
+
+const PREVIEW_LENGTH = 40;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// First line of text in the editor's HTML — blocks are <div>s, so a tag that
+// opens a block or breaks a line ends it
+function notePreview(html) {
+  const text = (html ?? '')
+    .replace(/<(div|p|br|li|h[1-6])\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => HTML_ENTITIES[name]);
+  const line = text.split('\n').map(l => l.trim()).find(Boolean) ?? '';
+  return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH - 1)}…` : line;
+}
+
+function normalizeNoteIndex(raw) {
+  const ids = Array.isArray(raw?.ids) ? raw.ids.filter(id => typeof id === 'string') : [];
+  return {
+    ids,
+    active: ids.includes(raw?.active) ? raw.active : ids[0] ?? null,
+    open:   !!raw?.open && ids.length > 0,
+  };
+}
+
+// The old single pad becomes the first note, open if it had anything in it
+function migrateLegacyNote(html, now = Date.now()) {
+  if (!html) return null;
+  const note = newNote(now, { html, preview: notePreview(html) });
+  return { note, index: { ids: [note.id], active: note.id, open: true } };
+}
+
+
+// ─── History ──────────────────────────────────────────────────────────────────
+// Versions are [{ html, at, reason }], newest first. Saving while typing keeps
+// one version per NOTE_HISTORY_WINDOW_MS — the latest state inside the window
+// — so a long session doesn't push everything else out; the state just before
+// a clear or a restore is always kept as a version of its own.
+
+const NOTE_HISTORY_LIMIT     = 40;
+const NOTE_HISTORY_WINDOW_MS = 5 * 60_000;
+
+const SNAPSHOT_REASONS = {
+  edit:    'Edited',
+  clear:   'Before clear',
+  restore: 'Before restore',
+};
+
+function addSnapshot(history, html, reason, now = Date.now()) {
+  const [latest, ...older] = history;
+  // Already kept — but a clear or restore still marks it, so typing on
+  // afterwards doesn't fold it away
+  if (latest?.html === html) {
+    return reason === 'edit' || latest.reason === reason ? history : [{ ...latest, reason }, ...older];
+  }
+  const snapshot = { html, at: now, reason };
+  const coalesce = reason === 'edit' && latest?.reason === 'edit' && now - latest.at < NOTE_HISTORY_WINDOW_MS;
+  return [snapshot, ...(coalesce ? older : history)].slice(0, NOTE_HISTORY_LIMIT);
+}
+
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+// The editor holds one block per line — a <div> that is plain, note-h1…h4,
+// note-bullet, note-numbered, note-quote, note-code or note-todo, or an
+// <hr class="note-divider">. script.js reads those into blocks, { type, text,
+// done }, with type 'p', 'h1'…'h4', 'bullet', 'numbered', 'quote', 'code',
+// 'todo' or 'divider'. `text` is inline Markdown — bold, italic, code and
+// links, with every other character that Markdown would read escaped — except
+// in code, which keeps its lines as typed. These turn blocks into Markdown and
+// back, so a note survives the round trip; imports from other tools also take
+// '*' and '+' bullets, nested list items (flattened), '#####' or deeper
+// headings (as h4) and '~~~' fences.
+
+const HEADING_MARKS = { h1: '#', h2: '##', h3: '###', h4: '####' };
+
+// ── Inline ──
+
+const escapeInline = text => text.replace(/[\\*_`[\]<]/g, '\\$&');
+
+// Backticks inside code need a longer run around it
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length));
+  const ticks   = '`'.repeat(longest + 1);
+  const pad     = /^`|`$/.test(text) || /^ .*[^ ].* $/.test(text) ? ' ' : '';
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+// Emphasis can't open or close on whitespace, so edge spaces go outside it
+function wrapInline(inner, mark) {
+  if (!inner.trim()) return inner;
+  const [, lead, core, trail] = inner.match(/^(\s*)([^]*?)(\s*)$/);
+  return `${lead}${mark}${core}${mark}${trail}`;
+}
+
+const linkMarkdown = (inner, href) =>
+  `[${inner}](${href.replace(/[\s()<>]/g, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`)})`;
+
+// Link targets a note may hold: web and mail addresses only. A bare domain is
+// taken to mean https.
+function safeLinkUrl(raw) {
+  const url = /^[a-z][a-z\d+.-]*:/i.test(raw)          ? raw
+            : /^[\w-]+(\.[\w-]+)+([/?#]|$)/.test(raw) ? `https://${raw}`
+            : null;
+  return url && /^(https?|mailto):/i.test(url) ? url : null;
+}
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Inline Markdown as editor HTML. `_` only emphasises at word edges, so
+// snake_case stays as written; a link to anything but safeLinkUrl's keeps
+// just its text.
+function inlineHtml(markdown) {
+  let html = '';
+  for (let i = 0, m; i < markdown.length; i += m[0].length) {
+    const rest = markdown.slice(i);
+    const atEdge = len => markdown[i] !== '_' ||
+      (!WORD_CHAR.test(markdown[i - 1] ?? '') && !WORD_CHAR.test(markdown[i + len] ?? ''));
+
+    if ((m = rest.match(/^\\([!-/:-@[-`{-~])/))) {
+      html += escapeHtml(m[1]);
+    } else if ((m = rest.match(/^(`+)(?!`)([^]*?[^`])\1(?!`)/))) {
+      const code = /^ .*[^ ].* $/.test(m[2]) ? m[2].slice(1, -1) : m[2];
+      html += `<code>${escapeHtml(code)}</code>`;
+    } else if ((m = rest.match(/^\[((?:\\[^]|[^\\\]])*)\]\(\s*([^\s)]+)\s*\)/))) {
+      const url = safeLinkUrl(m[2]);
+      html += url
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${inlineHtml(m[1])}</a>`
+        : inlineHtml(m[1]);
+    } else if ((m = rest.match(/^(([*_])\2)(?=\S)((?:\\[^]|[^\\])+?)\1(?!\2)/)) && !/\s$/.test(m[3]) && atEdge(m[0].length)) {
+      html += `<strong>${inlineHtml(m[3])}</strong>`;
+    } else if ((m = rest.match(/^(\*|_)(?!\1)(?=\S)((?:\\[^]|[^\\])+?)\1/)) && !/\s$/.test(m[2]) && atEdge(m[0].length)) {
+      html += `<em>${inlineHtml(m[2])}</em>`;
+    } else {
+      m = [markdown[i]];
+      html += escapeHtml(m[0]);
+    }
+  }
+  return html;
+}
+
+// ── Blocks ──
+
+// A plain line starting like some other block would be read as one, so that
+// start is escaped. `*`, `_`, '`' and '<' are escaped in any text already.
+const BLOCK_START = /^(#{1,6}(\s|$)|[-+](\s|$)|>|~~~|[-=]+\s*$)/;
+
+function escapeBlockStart(line) {
+  const [, indent, rest] = line.match(/^(\s*)([^]*)$/);
+  if (/^\d+[.)](\s|$)/.test(rest)) return indent + rest.replace(/^\d+/, '$&\\');
+  return BLOCK_START.test(rest) ? `${indent}\\${rest}` : line;
+}
+
+// Longer than any run of backticks starting a line inside
+function codeFence(lines) {
+  const longest = Math.max(0, ...lines.map(l => l.match(/^\s*(`*)/)[1].length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// A line break inside anything but a plain or code block can't be kept in
+// Markdown, so it becomes a space. Numbered lists count from 1 again after
+// any other block, as in the editor.
+function blocksToMarkdown(blocks) {
+  const lines = [];
+  let number  = 0;
+  blocks.forEach(({ type, text, done }, i) => {
+    number = type === 'numbered' ? number + 1 : 0;
+    const line = text.replace(/\n/g, ' ');
+    if (type === 'code') {
+      if (blocks[i - 1]?.type === 'code') return; // already written with its run
+      const end  = blocks.findIndex((b, j) => j > i && b.type !== 'code');
+      const code = blocks.slice(i, end < 0 ? undefined : end).flatMap(b => b.text.split('\n'));
+      const fence = codeFence(code);
+      lines.push(fence, ...code, fence);
+    }
+    else if (type === 'divider')  lines.push('***');
+    else if (type === 'todo')     lines.push(`- [${done ? 'x' : ' '}] ${line}`.trimEnd());
+    else if (type === 'bullet')   lines.push(`- ${line}`.trimEnd());
+    else if (type === 'numbered') lines.push(`${number}. ${line}`.trimEnd());
+    else if (type === 'quote')    lines.push(`> ${line}`.trimEnd());
+    else if (type in HEADING_MARKS) lines.push(`${HEADING_MARKS[type]} ${line}`.trimEnd());
+    else lines.push(...text.split('\n').map(escapeBlockStart));
+  });
+  return lines.join('\n');
+}
+
+function markdownLineBlock(line) {
+  let m;
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line))                   return { type: 'divider', text: '' };
+  if ((m = line.match(/^\s*[-*+]\s+\[([ xX])\](?:\s+(.*))?$/))) {
+    return { type: 'todo', text: (m[2] ?? '').trim(), done: m[1] !== ' ' };
+  }
+  if ((m = line.match(/^\s*[-*+](?:\s+(.*))?$/)))                return { type: 'bullet',   text: (m[1] ?? '').trim() };
+  if ((m = line.match(/^\s*\d+[.)](?:\s+(.*))?$/)))              return { type: 'numbered', text: (m[1] ?? '').trim() };
+  if ((m = line.match(/^\s*>\s?(.*)$/)))                         return { type: 'quote',    text: m[1] };
+  if ((m = line.match(/^(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/))) {
+    return { type: `h${Math.min(m[1].length, 4)}`, text: m[2] ?? '' };
+  }
+  return { type: 'p', text: line };
+}
+
+// A fence with nothing in it still makes one (empty) code line, as the
+// editor can't hold an empty code block
+function markdownToBlocks(markdown) {
+  const blocks = [];
+  let fence = null, codeLines = 0;
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    if (fence) {
+      if (line.trim().startsWith(fence) && /^([`~])\1*$/.test(line.trim())) {
+        if (!codeLines) blocks.push({ type: 'code', text: '' });
+        fence = null;
+      } else {
+        blocks.push({ type: 'code', text: line });
+        codeLines++;
+      }
+      continue;
+    }
+    const open = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (open) { fence = open[1]; codeLines = 0; continue; }
+    blocks.push(markdownLineBlock(line));
+  }
+  if (fence && !codeLines) blocks.push({ type: 'code', text: '' });
+  return blocks;
+}
+
+// Pasted text worth reading as Markdown: some line starts a block, or there's
+// bold text or a link in it
+const looksLikeMarkdown = text =>
+  /^\s*(#{1,6}\s|[-*+]\s|\d+[.)]\s|>|```|~~~)/m.test(text) ||
+  /\*\*\S[^*\n]*\*\*|\[[^\]\n]+\]\([^)\s]+\)/.test(text);
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Blocks as editor HTML, the same markup typing them would have made
+function blocksToHtml(blocks) {
+  return blocks.map(({ type, text, done }) => {
+    if (type === 'divider') return '<hr class="note-divider">';
+    // A line break ending the text needs a second <br> to show
+    const inner = text.split('\n').map(type === 'code' ? escapeHtml : inlineHtml).join('<br>') +
+                  (text.endsWith('\n') ? '<br>' : '');
+    if (type === 'todo') {
+      return `<div class="note-todo${done ? ' note-done' : ''}">` +
+             `<input type="checkbox"${done ? ' checked=""' : ''}><span>${inner}</span></div>`;
+    }
+    const cls = type === 'p' ? '' : ` class="note-${type}"`;
+    return `<div${cls}>${inner || '<br>'}</div>`;
+  }).join('');
+}
+
+// A download name from the note's label, without characters file systems refuse
+function markdownFileName(label) {
+  const base = label.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+  return `${base || 'note'}.md`;
+}
+
+
+// ─── Sanitizing ───────────────────────────────────────────────────────────────
+// Note HTML comes back out of storage, and in from the clipboard, as anything
+// at all. htmlToBlocks reads it leniently into blocks, keeping only what the
+// editor can show — its block classes, headings, lists, quotes, preformatted
+// text and rules, todos' checkboxes, and bold, italic, code and links — and
+// blocksToHtml writes those out again, so whatever reaches the editor is
+// markup the editor itself would have made, with every character of text
+// escaped. Nothing of the input is copied through as-is.
+
+// Elements dropped along with everything inside them
+const DROP_CONTENT = new Set([
+  'script', 'style', 'template', 'noscript', 'iframe', 'object', 'textarea', 'title', 'head',
+  'select', 'svg', 'math', 'canvas', 'xmp', 'noembed', 'noframes',
+]);
+
+// Elements that start a line of their own
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hgroup', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul',
+]);
+
+const INLINE_MARKS = new Set(['strong', 'b', 'em', 'i', 'code', 'a']);
+
+const NOTE_BLOCK_CLASS = /(?:^|\s)note-(h[1-4]|bullet|numbered|quote|code|todo)(?=\s|$)/;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] !== '#') return body === 'nbsp' ? '\u00A0' : body === 'apos' ? "'" : HTML_ENTITIES[body] ?? entity;
+    const code = /^#x/i.test(body) ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF) ? String.fromCodePoint(code) : '\uFFFD';
+  });
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const [, name, , dq, sq, bare] of source.matchAll(/([^\s"'=<>/]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    attrs[name.toLowerCase()] ??= decodeEntities(dq ?? sq ?? bare ?? '');
+  }
+  return attrs;
+}
+
+// Comments, doctypes, tags, runs of text, and a '<' that starts none of those
+const HTML_TOKEN = /<!--[^]*?(?:-->|$)|<[!?][^>]*>?|<\/?([a-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</gi;
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  const stack  = [];          // open block elements, { tag, type, done, list }
+  let frames   = [{ md: '' }]; // open inline marks, the line's own text first
+  let line     = { touched: false, todo: false, done: false };
+  let skipping = null;        // a DROP_CONTENT tag whose end is awaited
+
+  const lineType = () => stack.at(-1)?.type ?? 'p';
+  const raw      = () => lineType() === 'code' || frames.some(f => f.tag === 'code');
+
+  function markdownFor({ tag, href, md }) {
+    if (tag === 'strong' || tag === 'b') return wrapInline(md, '**');
+    if (tag === 'em'     || tag === 'i') return wrapInline(md, md.includes('**') ? '_' : '*');
+    if (tag === 'code') return md ? codeSpan(md) : '';
+    const url = href && safeLinkUrl(href.trim());
+    return url && md.trim() ? linkMarkdown(md, url) : md;
+  }
+
+  function closeFrame() {
+    const frame = frames.pop();
+    frames.at(-1).md += markdownFor(frame);
+  }
+
+  // Ends the current line; marks still open carry on into the next one
+  function flush() {
+    const reopen = frames.slice(1).map(({ tag, href }) => ({ tag, href, md: '' }));
+    while (frames.length > 1) closeFrame();
+    let md = frames[0].md;
+    frames = [{ md: '' }, ...reopen];
+    const { touched, todo, done } = line;
+    line = { touched: false, todo: false, done: false };
+    if (!touched && !md.trim()) return;
+
+    const type = todo ? 'todo' : lineType();
+    if (type === 'code') {
+      md.replace(/\n$/, '').split('\n').forEach(text => blocks.push({ type, text }));
+      return;
+    }
+    md = md.replace(/ {2,}/g, ' ').replace(/ *\n */g, '\n').replace(/^ +| +$/g, '').replace(/\n$/, '');
+    blocks.push(type === 'todo' ? { type, text: md, done: done || !!stack.at(-1)?.done } : { type, text: md });
+  }
+
+  function blockType(tag, attrs) {
+    const own = (attrs.class ?? '').match(NOTE_BLOCK_CLASS)?.[1];
+    if (own)                   return own;
+    if (/^h[1-6]$/.test(tag))  return `h${Math.min(+tag[1], 4)}`;
+    if (tag === 'li')          return stack.findLast(b => b.list)?.list === 'ol' ? 'numbered' : 'bullet';
+    if (tag === 'blockquote')  return 'quote';
+    if (tag === 'pre')         return 'code';
+    return lineType();
+  }
+
+  function open(tag, attrs) {
+    if (tag === 'br') {
+      frames.at(-1).md += '\n';
+      line.touched = true;
+    } else if (tag === 'hr') {
+      flush();
+      blocks.push({ type: 'divider', text: '' });
+    } else if (tag === 'input') {
+      if ((attrs.type ?? '').toLowerCase() !== 'checkbox') return;
+      line.todo    = true;
+      line.done  ||= 'checked' in attrs;
+      line.touched = true;
+    } else if (BLOCK_TAGS.has(tag)) {
+      flush();
+      const classes = ` ${attrs.class ?? ''} `;
+      stack.push({
+        tag,
+        type: blockType(tag, attrs),
+        done: classes.includes(' note-done '),
+        list: tag === 'ul' || tag === 'ol' ? tag : null,
+      });
+    } else if (INLINE_MARKS.has(tag) && !raw()) {
+      frames.push({ tag, href: attrs.href, md: '' });
+    } else if (tag === 'td' || tag === 'th') {
+      text(' '); // a table row reads as one line
+    }
+    // Any other element — span, font, img… — is dropped, though its text stays
+  }
+
+  function close(tag) {
+    if (BLOCK_TAGS.has(tag)) {
+      const at = stack.map(b => b.tag).lastIndexOf(tag);
+      if (at < 0) return;
+      flush();
+      stack.length = at;
+    } else if (INLINE_MARKS.has(tag)) {
+      const at = frames.map(f => f.tag).lastIndexOf(tag);
+      if (at > 0) while (frames.length > at) closeFrame();
+    }
+  }
+
+  function text(content) {
+    if (lineType() === 'code') {
+      frames.at(-1).md += content;
+      line.touched ||= content !== '';
+      return;
+    }
+    const collapsed = content.replace(/[ \t\n\r\f]+/g, ' ');
+    frames.at(-1).md += raw() ? collapsed : escapeInline(collapsed);
+  }
+
+  for (const [token, name, attrSource] of (html ?? '').matchAll(HTML_TOKEN)) {
+    const tag     = name?.toLowerCase();
+    const closing = token[1] === '/';
+    if (skipping) {
+      if (closing && tag === skipping) skipping = null;
+      continue;
+    }
+    if (/^<[!?]/.test(token)) continue;
+    if (!tag) { text(decodeEntities(token)); continue; }
+    if (DROP_CONTENT.has(tag)) {
+      if (!closing && !/\/\s*>$/.test(token)) skipping = tag;
+      continue;
+    }
+    if (closing) close(tag);
+    else         open(tag, parseAttrs(attrSource));
+  }
+  flush();
+  return blocks;
+}
+
+// What may go into the editor: see htmlToBlocks
+const sanitizeNoteHtml = html => blocksToHtml(htmlToBlocks(html));
+
+
+// ─── Storage ──────────────────────────────────────────────────────────────────
+
+// The lock keeps two tabs opened together from migrating the old pad twice
+async function loadNoteIndex() {
+  return navigator.locks.request('notes', async () => {
+    const { [NOTE_INDEX_KEY]: raw, [LEGACY_NOTE_KEY]: legacy } =
+      await chrome.storage.local.get([NOTE_INDEX_KEY, LEGACY_NOTE_KEY]);
+    if (raw) return normalizeNoteIndex(raw);
+
+    const migrated = migrateLegacyNote(legacy);
+    if (!migrated) return normalizeNoteIndex(null);
+    await chrome.storage.local.set({
+      [noteKey(migrated.note.id)]: migrated.note,
+      [NOTE_INDEX_KEY]:            migrated.index,
+    });
+    await chrome.storage.local.remove(LEGACY_NOTE_KEY);
+    return migrated.index;
+  });
+}
+
+// Applies `change` to the stored index and returns the result
+async function updateNoteIndex(change) {
+  return navigator.locks.request('notes', async () => {
+    const { [NOTE_INDEX_KEY]: raw } = await chrome.storage.local.get(NOTE_INDEX_KEY);
+    const index = normalizeNoteIndex(raw);
+    const next  = normalizeNoteIndex({ ...index, ...change(index) });
+    await chrome.storage.local.set({ [NOTE_INDEX_KEY]: next });
+    return next;
+  });
+}
+
+// Notes by id, in no particular order; ids without an entry are skipped
+async function loadNotes(ids) {
+  const stored = await chrome.storage.local.get(ids.map(noteKey));
+  return ids.map(id => stored[noteKey(id)]).filter(Boolean);
+}
+
+async function saveNote(note) {
+  await chrome.storage.local.set({ [noteKey(note.id)]: note });
+}
+
+// Takes its history with it
+async function deleteNote(id) {
+  await updateNoteIndex(index => ({
+    ids:    index.ids.filter(i => i !== id),
+    active: index.active === id ? null : index.active,
+  }));
+  await chrome.storage.local.remove([noteKey(id), noteHistoryKey(id)]);
+}
+
+// Puts a deleted note, and its history, back in the list
+async function restoreNote(note, history) {
+  await chrome.storage.local.set({ [noteKey(note.id)]: note, [noteHistoryKey(note.id)]: history });
+  await updateNoteIndex(index => ({ ids: [...index.ids.filter(i => i !== note.id), note.id] }));
+}
+
+async function loadNoteHistory(id) {
+  const { [noteHistoryKey(id)]: history } = await chrome.storage.local.get(noteHistoryKey(id));
+  return Array.isArray(history) ? history : [];
+}
+
+async function recordSnapshot(id, html, reason) {
+  const history = await loadNoteHistory(id);
+  const next    = addSnapshot(history, html, reason);
+  if (next !== history) await chrome.storage.local.set({ [noteHistoryKey(id)]: next });
+}
@@ -0,0 +1,228 @@
+// =============================================================================
+//  Daily Impressionist — options.js
+//  Reads the merged settings into the form, writes them back on Save.
+//  Defaults and storage live in settings.js, shared with the new-tab page.
+// =============================================================================
+
+const $ = id => document.getElementById(id);
+
+// Working copy of the artist list — edited as chips, saved with the form
+let artists = [];
+
+// ─── Artist chips ─────────────────────────────────────────────────────────────
+
+function renderArtists() {
+  const list = $('opt-artists');
+  list.replaceChildren(...artists.map(name => {
+    const chip = document.createElement('li');
+    chip.className   = 'chip';
+    chip.textContent = name;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className   = 'chip-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title       = `Remove ${name}`;
+    removeBtn.addEventListener('click', () => {
+      artists = artists.filter(a => a !== name);
+      renderArtists();
+    });
+
+    chip.appendChild(removeBtn);
+    return chip;
+  }));
+}
+
+function addArtist() {
+  const input = $('opt-artist-input');
+  const name  = input.value.trim();
+  input.value = '';
+  if (!name) return;
+  // Matching is case-insensitive, so treat "monet" and "Monet" as the same
+  if (artists.some(a => a.toLowerCase() === name.toLowerCase())) return;
+  artists.push(name);
+  renderArtists();
+}
+
+// ─── Museum checkboxes ────────────────────────────────────────────────────────
+
+function renderSources(settings) {
+  $('opt-sources').replaceChildren(...Object.entries(SOURCES).map(([src, { label, key }]) => {
+    const row = document.createElement('label');
+    row.className = 'checkbox';
+
+    const cb = document.createElement('input');
+    cb.type           = 'checkbox';
+    cb.checked        = !!settings.sources[src];
+    cb.dataset.source = src;
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    row.append(cb, text);
+    if (key) {
+      const note = document.createElement('span');
+      note.className   = 'hint';
+      note.textContent = 'needs API key';
+      row.appendChild(note);
+    }
+    return row;
+  }));
+}
+
+// ─── Quote provider order ─────────────────────────────────────────────────────
+// One row per market with its providers as chips, first tried on the left.
+// "‹" moves a provider one place earlier.
+
+// Working copy of the order per market — saved with the form
+let providerOrders = {};
+
+function renderProviders() {
+  $('opt-providers').replaceChildren(...Object.entries(QUOTE_MARKETS).map(([market, label]) => {
+    const row = document.createElement('div');
+    row.className = 'provider-row';
+
+    const name = document.createElement('span');
+    name.className   = 'provider-market';
+    name.textContent = label;
+
+    const list = document.createElement('ul');
+    list.className = 'chip-list';
+    list.append(...providerOrders[market].map((id, i) => {
+      const { label: providerLabel, key } = QUOTE_PROVIDERS[id];
+      const chip = document.createElement('li');
+      chip.className   = 'chip';
+      chip.textContent = providerLabel;
+      // Dimmed while it would be skipped — the key field is read live
+      if (key && !$(`opt-key-${key}`).value.trim()) {
+        chip.classList.add('missing-key');
+        chip.title = 'Skipped until its API key is set';
+      }
+
+      if (i > 0) {
+        const earlier = document.createElement('button');
+        earlier.className   = 'chip-move';
+        earlier.textContent = '‹';
+        earlier.title       = `Try ${providerLabel} earlier`;
+        earlier.addEventListener('click', () => {
+          const order = providerOrders[market];
+          [order[i - 1], order[i]] = [order[i], order[i - 1]];
+          renderProviders();
+        });
+        chip.prepend(earlier);
+      }
+      return chip;
+    }));
+
+    row.append(name, list);
+    return row;
+  }));
+}
+
+// ─── Form ↔ settings ──────────────────────────────────────────────────────────
+
+function fillForm(settings) {
+  artists = [...settings.artists];
+  renderArtists();
+  renderSources(settings);
+
+  $('opt-mode').value           = settings.mode;
+  $('opt-era-start').value      = settings.eraStart;
+  $('opt-era-end').value        = settings.eraEnd;
+  $('opt-queue-depth').value    = settings.queueDepth;
+  $('opt-history-days').value   = settings.historyDays;
+  $('opt-history-views').value  = settings.historyViews;
+  $('opt-quote-refresh').value  = settings.quoteRefreshSec;
+  $('opt-alert-cooldown').value = settings.alertCooldown;
+  $('opt-base-currency').value  = settings.baseCurrency;
+  Object.keys(DEFAULT_SETTINGS.keys).forEach(k => {
+    $(`opt-key-${k}`).value = settings.keys[k] ?? '';
+  });
+
+  providerOrders = Object.fromEntries(
+    Object.keys(QUOTE_MARKETS).map(market => [market, providerOrder(market, settings)])
+  );
+  renderProviders();
+}
+
+// Parse an integer input, clamped to its own min/max; blank → fallback
+function readInt(id, fallback) {
+  const input = $(id);
+  const n     = parseInt(input.value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(+input.max, Math.max(+input.min, n));
+}
+
+function readForm() {
+  const d = DEFAULT_SETTINGS;
+  let eraStart = readInt('opt-era-start', d.eraStart);
+  let eraEnd   = readInt('opt-era-end',   d.eraEnd);
+  if (eraStart > eraEnd) [eraStart, eraEnd] = [eraEnd, eraStart];
+
+  return {
+    mode:            $('opt-mode').value === 'daily' ? 'daily' : 'random',
+    artists:         artists.length ? artists : d.artists,
+    sources:         Object.fromEntries(
+      [...document.querySelectorAll('[data-source]')].map(cb => [cb.dataset.source, cb.checked])
+    ),
+    eraStart,
+    eraEnd,
+    queueDepth:      readInt('opt-queue-depth',   d.queueDepth),
+    historyDays:     readInt('opt-history-days',  d.historyDays),
+    historyViews:    readInt('opt-history-views', d.historyViews),
+    quoteRefreshSec: readInt('opt-quote-refresh', d.quoteRefreshSec),
+    baseCurrency:    $('opt-base-currency').value || d.baseCurrency,
+    alertCooldown:   readInt('opt-alert-cooldown', d.alertCooldown),
+    keys:            Object.fromEntries(
+      Object.keys(d.keys).map(k => [k, $(`opt-key-${k}`).value.trim()])
+    ),
+    quoteProviders:  structuredClone(providerOrders),
+  };
+}
+
+// Settings that change which paintings qualify. When any of them changes,
+// paintings already queued (or today's pick) were chosen under the old rules.
+const ARTWORK_FIELDS = ['mode', 'artists', 'sources', 'eraStart', 'eraEnd', 'keys'];
+
+async function save() {
+  const before = await loadSettings();
+  const after  = readForm();
+  await saveSettings(after);
+
+  const changed = ARTWORK_FIELDS.some(f => JSON.stringify(before[f]) !== JSON.stringify(after[f]));
+  if (changed) await chrome.storage.local.remove(['queue', 'daily']);
+
+  fillForm(mergeSettings(after));
+  flashStatus('Saved');
+}
+
+function flashStatus(text) {
+  const status = $('opt-status');
+  status.textContent = text;
+  clearTimeout(flashStatus.timer);
+  flashStatus.timer = setTimeout(() => { status.textContent = ''; }, 2000);
+}
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+window.addEventListener('DOMContentLoaded', async () => {
+  $('opt-base-currency').replaceChildren(...CURRENCIES.map(code => new Option(code, code)));
+  fillForm(await loadSettings());
+
+  $('opt-artist-add').addEventListener('click', addArtist);
+  $('opt-artist-input').addEventListener('keydown', e => {
+    if (e.key === 'Enter') addArtist();
+  });
+
+  $('opt-save').addEventListener('click', save);
+
+  // A provider's chip dims or brightens as its key is typed or cleared
+  Object.values(QUOTE_PROVIDERS).forEach(({ key }) => {
+    if (key) $(`opt-key-${key}`).addEventListener('input', renderProviders);
+  });
+
+  // Restore defaults only refills the form — nothing is stored until Save
+  $('opt-reset').addEventListener('click', () => {
+    fillForm(DEFAULT_SETTINGS);
+    flashStatus('Defaults restored — press Save to keep them');
+  });
+});
@@ -0,0 +1,157 @@
+// =============================================================================
+//  Daily Impressionist — palette.js
+//  Colour analysis for a painting: its dominant colours, the Nippon colour
+//  that best suits it as a gallery wall, and a coarse brightness map used to
+//  pick light or dark text for the info card.
+//  Runs in the page and in the service worker (OffscreenCanvas, no DOM).
+// =============================================================================
+
+// ─── Nippon Colors Palette ────────────────────────────────────────────────────
+// 20 low-saturation traditional Japanese colors used as gallery wall tints.
+// Source: nipponcolors.com — all deep/muted to let the artwork speak.
+
+const NIPPON_COLORS = [
+  '#1C1C1C', // 墨      Sumi          (ink)
+  '#2A2420', // 黒橡    Kurotsurubami (dark oak)
+  '#3B2F28', // 焦茶    Kogecha       (burnt umber)
+  '#4A3C34', // 煤竹    Susutake      (smoked bamboo)
+  '#5C4D45', // 煤色    Susuiro       (soot)
+  '#6B5B52', // 胡桃    Kurumi        (walnut)
+  '#7A6C63', // 鈍色    Nibiiro       (dull grey)
+  '#877870', // 丁子鼠  Chojiinezumi  (clove grey)
+  '#8C8278', // 利休鼠  Rikyunezumi   (tea-ceremony grey)
+  '#9B9490', // 薄墨    Usuzumi       (pale ink)
+  '#6E7C78', // 錆鼠    Sabinezumi    (rust grey)
+  '#7A8A82', // 青鈍    Aonibi        (indigo dull)
+  '#6C7870', // 千歳緑  Chitosemidori (deep pine)
+  '#857D7D', // 梅鼠    Umenezumi     (plum grey)
+  '#8A7F88', // 紫鼠    Murasakinezumi(purple grey)
+  '#7B7368', // 鉄色    Tetsuiro      (iron)
+  '#7C6E5A', // 黄枯茶  Kikogecha     (yellow-brown)
+  '#6A6058', // 江戸鼠  Edonezumi     (Edo grey)
+  '#5A5248', // 消炭色  Keshisumiiro  (charcoal ash)
+  '#483E38', // 黒茶    Kurocha       (black tea)
+];
+
+
+// ─── Colour Helpers ───────────────────────────────────────────────────────────
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// WCAG relative luminance, 0 (black) … 1 (white)
+function relativeLuminance([r, g, b]) {
+  const lin = c => {
+    c /= 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+// Nearest colour by "redmean" distance — plain RGB distance overrates
+// differences in blue and underrates them in green, as the eye sees them.
+function closestColor(rgb, colors = NIPPON_COLORS) {
+  let best = colors[0], bestDist = Infinity;
+  for (const hex of colors) {
+    const [r2, g2, b2] = hexToRgb(hex);
+    const rMean = (rgb[0] + r2) / 2;
+    const dr = rgb[0] - r2, dg = rgb[1] - g2, db = rgb[2] - b2;
+    const dist = (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+    if (dist < bestDist) { best = hex; bestDist = dist; }
+  }
+  return best;
+}
+
+
+// ─── Palette Extraction ───────────────────────────────────────────────────────
+// Images are scaled down to PALETTE_SIZE × PALETTE_SIZE before sampling, so
+// the cost is the same for a thumbnail and a 4000 px scan.
+// A palette is { colors, luma }:
+//   colors — up to 5 dominant colours as hex, most common first
+//   luma   — LUMA_GRID × LUMA_GRID mean luminances, row by row from top-left
+
+const PALETTE_SIZE = 64;
+const LUMA_GRID    = 8;
+
+// `data` is RGBA pixel data as returned by getImageData.
+function extractPalette(data, width, height, count = 5) {
+  // Bucket by the top 4 bits of each channel; average within a bucket
+  const buckets = new Map();
+  const cells   = Array.from({ length: LUMA_GRID * LUMA_GRID }, () => ({ sum: 0, n: 0 }));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < 128) continue; // transparent edges of cut-out scans
+      const rgb = [data[i], data[i + 1], data[i + 2]];
+
+      const key    = ((rgb[0] >> 4) << 8) | ((rgb[1] >> 4) << 4) | (rgb[2] >> 4);
+      const bucket = buckets.get(key) ?? { r: 0, g: 0, b: 0, n: 0 };
+      bucket.r += rgb[0]; bucket.g += rgb[1]; bucket.b += rgb[2]; bucket.n++;
+      buckets.set(key, bucket);
+
+      const cell = cells[Math.floor(y * LUMA_GRID / height) * LUMA_GRID + Math.floor(x * LUMA_GRID / width)];
+      cell.sum += relativeLuminance(rgb);
+      cell.n++;
+    }
+  }
+
+  const colors = [...buckets.values()]
+    .sort((a, b) => b.n - a.n)
+    .slice(0, count)
+    .map(({ r, g, b, n }) => rgbToHex([r / n, g / n, b / n]));
+  const luma = cells.map(({ sum, n }) => n ? Math.round(sum / n * 100) / 100 : 0);
+  return { colors, luma };
+}
+
+// Mean luminance of the part of the image inside a rectangle given in
+// normalised image coordinates (0…1), weighting each grid cell by overlap.
+function lumaInRect(luma, x0, y0, x1, y1) {
+  let sum = 0, area = 0;
+  for (let row = 0; row < LUMA_GRID; row++) {
+    const h = Math.min(y1, (row + 1) / LUMA_GRID) - Math.max(y0, row / LUMA_GRID);
+    if (h <= 0) continue;
+    for (let col = 0; col < LUMA_GRID; col++) {
+      const w = Math.min(x1, (col + 1) / LUMA_GRID) - Math.max(x0, col / LUMA_GRID);
+      if (w <= 0) continue;
+      sum  += luma[row * LUMA_GRID + col] * w * h;
+      area += w * h;
+    }
+  }
+  return area ? sum / area : null;
+}
+
+// The wall tint that suits a painting best: the Nippon colour nearest its
+// dominant colour. Without a palette, any of them will do.
+function wallTint(palette) {
+  return palette?.colors?.length
+    ? closestColor(hexToRgb(palette.colors[0]))
+    : pickRandom(NIPPON_COLORS);
+}
+
+// Build a palette from anything createImageBitmap accepts — a Blob in the
+// worker, a loaded <img> in the page. Returns null when the pixels can't be
+// read (e.g. a cross-origin image without CORS headers taints the canvas).
+async function paletteFromImage(source) {
+  try {
+    const bitmap = await createImageBitmap(source, {
+      resizeWidth:   PALETTE_SIZE,
+      resizeHeight:  PALETTE_SIZE,
+      resizeQuality: 'low',
+    });
+    const canvas = new OffscreenCanvas(PALETTE_SIZE, PALETTE_SIZE);
+    const ctx    = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return extractPalette(ctx.getImageData(0, 0, PALETTE_SIZE, PALETTE_SIZE).data, PALETTE_SIZE, PALETTE_SIZE);
+  } catch (err) {
+    console.warn('[Daily Impressionist] Palette unavailable:', err);
+    return null;
+  }
+}
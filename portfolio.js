@@ -0,0 +1,102 @@
+// =============================================================================
+//  Daily Impressionist — portfolio.js
+//  Holdings maths for the stock widget. A watchlist entry may carry lots —
+//  { qty, cost, currency } — and every figure is reported in the base currency
+//  chosen on the options page, converted with FX quotes the worker polls
+//  through the same quote providers as stocks (e.g. HKDUSD=X).
+//  No DOM — shared by the page and the worker.
+// =============================================================================
+
+const FX_KEY = 'fx'; // "<from><to>" → { rate, fetchedAt }, written by background.js
+
+// Currency a ticker is priced in: Yahoo says so in its chart meta; Polygon
+// quotes (US only) and not-yet-polled tickers fall back to the symbol's.
+// Indices have none and are valued as if in USD.
+function quoteCurrency(ticker, quote) {
+  return quote?.currency ?? instrumentInfo(ticker).currency ?? 'USD';
+}
+
+// Minor units some exchanges quote in → [major currency, units per major].
+// No FX pair exists for these, so they're converted through the major one.
+const MINOR_UNITS = {
+  GBp: ['GBP', 100], // London
+  ZAc: ['ZAR', 100], // Johannesburg
+  ILA: ['ILS', 100], // Tel Aviv
+};
+
+const majorCurrency = currency => MINOR_UNITS[currency]?.[0] ?? currency;
+
+// A lot with no currency of its own was bought in the ticker's currency
+const lotCurrency = (lot, ticker, quote) => lot.currency || quoteCurrency(ticker, quote);
+
+// Lots worth keeping: a positive quantity and a non-negative cost
+function validLots(lots) {
+  return (lots ?? []).filter(l => Number.isFinite(l.qty) && l.qty > 0 && Number.isFinite(l.cost) && l.cost >= 0);
+}
+
+// Returns currency → rate into `base`, or null when no FX quote is cached yet.
+// Either direction of a pair will do; the inverse is used if that's what's there.
+function fxConverter(fx, base) {
+  const convert = currency => {
+    if (MINOR_UNITS[currency]) {
+      const [major, units] = MINOR_UNITS[currency];
+      const rate = convert(major);
+      return rate == null ? null : rate / units;
+    }
+    if (currency === base) return 1;
+    const direct  = fx?.[`${currency}${base}`]?.rate;
+    if (direct) return direct;
+    const inverse = fx?.[`${base}${currency}`]?.rate;
+    return inverse ? 1 / inverse : null;
+  };
+  return convert;
+}
+
+// FX pairs needed to value every holding in `base`
+function fxPairsNeeded(entries, quotes, base) {
+  const currencies = new Set();
+  entries.forEach(({ ticker, lots }) => {
+    const held = validLots(lots);
+    if (!held.length) return;
+    currencies.add(majorCurrency(quoteCurrency(ticker, quotes[ticker])));
+    held.forEach(lot => currencies.add(majorCurrency(lotCurrency(lot, ticker, quotes[ticker]))));
+  });
+  currencies.delete(base);
+  return [...currencies].map(c => `${c}${base}`);
+}
+
+// One row's position, all amounts in the base currency. Any figure whose
+// inputs are missing (no quote yet, no FX rate yet) is null.
+function positionSummary(ticker, lots, quote, toBase) {
+  const held = validLots(lots);
+  const qty  = held.reduce((sum, l) => sum + l.qty, 0);
+
+  let cost = 0;
+  for (const lot of held) {
+    const rate = toBase(lotCurrency(lot, ticker, quote));
+    if (rate == null) { cost = null; break; }
+    cost += lot.qty * lot.cost * rate;
+  }
+
+  const rate   = toBase(quoteCurrency(ticker, quote));
+  const priced = quote?.price != null && rate != null;
+  const value  = priced ? qty * quote.price * rate : null;
+  const dayPnl = priced && quote.prevClose != null ? qty * (quote.price - quote.prevClose) * rate : null;
+  const unrealized = value != null && cost != null ? value - cost : null;
+
+  return { qty, cost, value, dayPnl, unrealized };
+}
+
+// Sum of the positions' figures. `partial` says some position couldn't be
+// valued, so the totals leave it out.
+function portfolioTotal(positions) {
+  const sum = key => positions.reduce((total, p) => total + (p[key] ?? 0), 0);
+  const valued = positions.filter(p => p.value != null && p.cost != null);
+  return {
+    value:      sum('value'),
+    dayPnl:     sum('dayPnl'),
+    unrealized: valued.reduce((total, p) => total + p.unrealized, 0),
+    cost:       valued.reduce((total, p) => total + p.cost, 0),
+    partial:    positions.some(p => p.value == null || p.cost == null || p.dayPnl == null),
+  };
+}
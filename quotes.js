@@ -0,0 +1,476 @@
+// =============================================================================
+//  Daily Impressionist — quotes.js
+//  Watchlist storage, ticker parsing and quote fetching. No DOM — the
+//  background service worker polls quotes with it; the new-tab page uses the
+//  watchlist and ticker helpers.
+//  US stocks via Polygon.io (optional key); Yahoo Finance for every market,
+//  and for the symbol search behind the stock input.
+// =============================================================================
+
+// ─── Storage keys ─────────────────────────────────────────────────────────────
+
+const STOCK_STORE_KEY = 'stockWidgets';
+const QUOTES_KEY      = 'quotes';       // ticker → last quote, written by background.js
+const WATCH_VIEW_KEY  = 'watchlistView'; // { sort, collapsed } — how the page lays the list out
+
+// Each watchlist entry is { ticker, lots, alerts, group }: the holdings behind
+// it (portfolio.js), its price alert rules (alerts.js) and the name of the
+// group it's filed under, or null. Earlier versions stored bare ticker
+// strings; those load as ungrouped entries with no lots or alerts.
+function normalizeWatchEntry(raw) {
+  if (typeof raw === 'string') return { ticker: raw, lots: [], alerts: [], group: null };
+  return {
+    ticker: raw.ticker,
+    lots:   Array.isArray(raw.lots)   ? raw.lots   : [],
+    alerts: Array.isArray(raw.alerts) ? raw.alerts : [],
+    group:  typeof raw.group === 'string' && raw.group.trim() ? raw.group.trim() : null,
+  };
+}
+
+async function loadWatchlist() {
+  const { stockWidgets } = await chrome.storage.local.get(STOCK_STORE_KEY);
+  return Array.isArray(stockWidgets)
+    ? stockWidgets.filter(e => typeof e === 'string' || e?.ticker).map(normalizeWatchEntry)
+    : [];
+}
+
+async function saveWatchlist(entries) {
+  await chrome.storage.local.set({ [STOCK_STORE_KEY]: entries });
+}
+
+async function loadSavedTickers() {
+  return (await loadWatchlist()).map(e => e.ticker);
+}
+
+async function loadWatchView() {
+  const { [WATCH_VIEW_KEY]: view } = await chrome.storage.local.get(WATCH_VIEW_KEY);
+  return {
+    sort:      view?.sort in WATCH_SORTS ? view.sort : 'manual',
+    collapsed: Array.isArray(view?.collapsed) ? view.collapsed : [],
+  };
+}
+
+async function saveWatchView(view) {
+  await chrome.storage.local.set({ [WATCH_VIEW_KEY]: view });
+}
+
+// ─── Watchlist layout ──────────────────────────────────────────────────────────
+// Rows show in stockWidgets order: ungrouped ones first, then each group in the
+// order its first ticker appears. Sorting by change or name only rearranges
+// the view — the stored order is what dragging a row edits.
+
+const WATCH_SORTS = { manual: 'Manual', change: 'Change', name: 'Name' };
+
+// [{ group, tickers }], group null for the ungrouped rows (omitted when none)
+function watchlistLayout(entries, quotes = {}, sort = 'manual') {
+  const groups = new Map([[null, []]]);
+  entries.forEach(({ ticker, group }) => {
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(ticker);
+  });
+
+  const name     = t => quotes[t]?.shortName || t;
+  const byName   = (a, b) => name(a).localeCompare(name(b));
+  const byChange = (a, b) => {
+    const x = quotes[a]?.change, y = quotes[b]?.change;
+    if (x == null || y == null) return (x == null) - (y == null); // unpriced rows last
+    return y - x;
+  };
+  const compare = { change: byChange, name: byName }[sort];
+
+  return [...groups]
+    .filter(([group, tickers]) => group != null || tickers.length)
+    .map(([group, tickers]) => ({ group, tickers: compare ? [...tickers].sort(compare) : tickers }));
+}
+
+// Moves `ticker` next to `target` — before it, or after it with `after` —
+// and into target's group.
+function moveEntry(entries, ticker, target, after = false) {
+  const moving = entries.find(e => e.ticker === ticker);
+  if (!moving || ticker === target) return entries;
+  const rest = entries.filter(e => e !== moving);
+  const i    = rest.findIndex(e => e.ticker === target);
+  if (i < 0) return entries;
+  rest.splice(after ? i + 1 : i, 0, { ...moving, group: rest[i].group });
+  return rest;
+}
+
+// One step up or down the list as shown in manual order. Stepping past the
+// edge of a group joins the neighbouring group at its near end.
+function moveEntryBy(entries, ticker, step) {
+  const shown = watchlistLayout(entries)
+    .flatMap(({ group, tickers }) => tickers.map(t => ({ ticker: t, group })));
+  const i    = shown.findIndex(s => s.ticker === ticker);
+  const next = shown[i + step];
+  if (i < 0 || !next) return entries;
+  const sameGroup = next.group === shown[i].group;
+  return moveEntry(entries, ticker, next.ticker, sameGroup ? step > 0 : step < 0);
+}
+
+// ─── Ticker helpers ────────────────────────────────────────────────────────────
+// Symbols follow Yahoo's conventions:
+//   AAPL                    US equity (anything without a suffix)
+//   0700.HK                 Hong Kong — bare 1–5 digits are taken as HK
+//   600519.SS / 000001.SZ   Shanghai / Shenzhen — bare 6 digits are sorted by code
+//   7203.T  VOD.L  2330.TW  Tokyo, London, Taiwan
+//   ^GSPC  ^HSI             indices
+//   EURUSD=X                FX pair (EUR/USD is accepted too)
+//   BTC-USD                 crypto
+//   GC=F                    futures
+
+// Exchange suffix → market (see markets.js) and the currency its prices are in.
+// London quotes in pence, which Yahoo writes as 'GBp'.
+const EXCHANGE_SUFFIXES = {
+  HK: { market: 'HK', currency: 'HKD' },
+  SS: { market: 'CN', currency: 'CNY' },
+  SZ: { market: 'CN', currency: 'CNY' },
+  T:  { market: 'JP', currency: 'JPY' },
+  L:  { market: 'UK', currency: 'GBp' },
+  TW: { market: 'TW', currency: 'TWD' },
+};
+
+// Indices trade on their exchange's hours; any not listed here are US ones
+const INDEX_MARKETS = {
+  '^HSI': 'HK', '^HSCE': 'HK',
+  '^N225': 'JP', '^FTSE': 'UK', '^TWII': 'TW',
+};
+
+// Quote currencies a crypto symbol can end in — narrow enough that US share
+// classes like BRK-B stay equities
+const CRYPTO_QUOTES = /-(USD|USDT|USDC|EUR|GBP|JPY|BTC|ETH)$/;
+
+function isHKTicker(raw) {
+  return /^\d{1,5}(\.HK)?$/i.test(raw.trim());
+}
+
+function normalizeHkTicker(raw) {
+  const digits = raw.trim().replace(/\.HK$/i, '').replace(/^0+/, '') || '0';
+  return digits.padStart(4, '0') + '.HK';
+}
+
+function normalizeTicker(raw) {
+  if (isHKTicker(raw)) return normalizeHkTicker(raw);
+  const symbol = raw.trim().toUpperCase();
+  // A-share codes: Shanghai's start with 6 (or 9 for B shares), Shenzhen's with 0, 2 or 3
+  if (/^\d{6}$/.test(symbol)) return symbol + (/^[69]/.test(symbol) ? '.SS' : '.SZ');
+  const pair = symbol.match(/^([A-Z]{3})\/([A-Z]{3})$/);
+  if (pair) return `${pair[1]}${pair[2]}=X`;
+  return symbol;
+}
+
+// What a normalized symbol is: { kind, market, currency }. `kind` is one of
+// equity, index, fx, crypto, future; `currency` is null for indices, which
+// are points rather than money.
+function instrumentInfo(ticker) {
+  if (ticker.startsWith('^')) return { kind: 'index', market: INDEX_MARKETS[ticker] ?? 'US', currency: null };
+  // EURUSD=X is priced in USD; the short form JPY=X means USD/JPY
+  if (ticker.endsWith('=X'))  return { kind: 'fx', market: 'FX', currency: ticker.length === 8 ? ticker.slice(3, 6) : ticker.slice(0, 3) };
+  if (ticker.endsWith('=F'))  return { kind: 'future', market: 'FUT', currency: 'USD' };
+  const crypto = ticker.match(CRYPTO_QUOTES);
+  if (crypto)                 return { kind: 'crypto', market: 'CRYPTO', currency: crypto[1] };
+  if (isHKTicker(ticker))     return { kind: 'equity', ...EXCHANGE_SUFFIXES.HK };
+  const suffix = ticker.match(/\.([A-Z]+)$/)?.[1];
+  return { kind: 'equity', ...(EXCHANGE_SUFFIXES[suffix] ?? { market: 'US', currency: 'USD' }) };
+}
+
+// ─── Chart series ──────────────────────────────────────────────────────────────
+// Ranges offered by the expanded chart (chart.js). Every quote also carries
+// the 1D series, which the row's sparkline draws.
+
+const CHART_RANGES = {
+  '1D': { range: '1d',  interval: '5m'  },
+  '5D': { range: '5d',  interval: '30m' },
+  '1M': { range: '1mo', interval: '1d'  },
+  '1Y': { range: '1y',  interval: '1d'  },
+};
+
+// v8/finance/chart is more reliable than v7/finance/quote (no crumb/consent required).
+// `prePost` adds pre-market and after-hours bars where the exchange has them.
+function yahooChartUrl(ticker, { range, interval }, prePost = false) {
+  return `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
+         `?interval=${interval}&range=${range}${prePost ? '&includePrePost=true' : ''}`;
+}
+
+// Bars as [[time in ms, close], …]. Yahoo pads halted or not-yet-traded bars
+// with null closes; those are dropped rather than drawn as zero.
+function parseYahooSeries(json) {
+  const result = json?.chart?.result?.[0];
+  const times  = result?.timestamp ?? [];
+  const closes = result?.indicators?.quote?.[0]?.close ?? [];
+  return times
+    .map((t, i) => [t * 1000, closes[i]])
+    .filter(([, close]) => close != null);
+}
+
+// Pre-market or after-hours price, when Yahoo has one: from the meta fields if
+// the response carries them, otherwise from the last bar if it falls in the
+// pre or post window of `currentTradingPeriod`. Change is against the last
+// regular-session price.
+function parseExtendedPrice(json) {
+  const meta = json?.chart?.result?.[0]?.meta;
+  if (!meta) return null;
+
+  let extended = null;
+  if (meta.postMarketPrice != null)     extended = { session: 'post', price: meta.postMarketPrice };
+  else if (meta.preMarketPrice != null) extended = { session: 'pre',  price: meta.preMarketPrice };
+  else {
+    const last   = parseYahooSeries(json).at(-1);
+    const period = meta.currentTradingPeriod;
+    const t      = last && last[0] / 1000;
+    const session = last && period && ['pre', 'post'].find(s => period[s] && t >= period[s].start && t < period[s].end);
+    if (session) extended = { session, price: last[1] };
+  }
+  if (!extended) return null;
+
+  const base = meta.regularMarketPrice;
+  return { ...extended, change: base ? (extended.price - base) / base * 100 : null };
+}
+
+async function fetchChart(ticker, range) {
+  const res  = await fetch(yahooChartUrl(ticker, CHART_RANGES[range] ?? CHART_RANGES['1D']));
+  const json = await res.json();
+  const meta = json?.chart?.result?.[0]?.meta;
+  if (!meta) return null;
+  return {
+    points:    parseYahooSeries(json),
+    prevClose: meta.chartPreviousClose ?? null,
+    currency:  meta.currency ?? null,
+  };
+}
+
+// ─── API calls ─────────────────────────────────────────────────────────────────
+// One fetcher per quote provider (QUOTE_PROVIDERS in settings.js):
+//   yahoo    — public chart API: free, no key, covers every symbol above
+//   rapidapi — the same Yahoo data through RapidAPI's keyed, metered proxy
+//   polygon  — US stocks only, real-time last trade (key)
+// Each returns a quote or null when the provider has no price for the symbol,
+// and throws when the request itself fails.
+
+const RAPIDAPI_HOST = 'yh-finance.p.rapidapi.com';
+
+async function fetchViaYahoo(ticker) {
+  const res  = await providerFetch('yahoo', yahooChartUrl(ticker, CHART_RANGES['1D'], true));
+  const json = await res.json();
+  const meta = json?.chart?.result?.[0]?.meta;
+  if (!meta) return null;
+
+  const price     = meta.regularMarketPrice;
+  const prevClose = meta.chartPreviousClose;
+  if (price == null) return null;
+
+  const change    = prevClose != null ? ((price - prevClose) / prevClose) * 100 : null;
+  const timestamp = meta.regularMarketTime
+    ? new Date(meta.regularMarketTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  // shortName replaces the symbol in the widget (most useful for numeric codes)
+  const shortName = meta.shortName || meta.longName || null;
+  return {
+    ticker, price, change, timestamp, shortName, prevClose,
+    currency: meta.currency ?? null,
+    series:   parseYahooSeries(json),
+    extended: parseExtendedPrice(json),
+  };
+}
+
+async function fetchViaPolygon(ticker) {
+  const POLYGON_KEY = SETTINGS.keys.POLYGON_KEY;
+  if (!POLYGON_KEY || instrumentInfo(ticker).kind !== 'equity') return null;
+
+  const [tradeRes, prevRes] = await Promise.all([
+    providerFetch('polygon', `https://api.polygon.io/v2/last/trade/${ticker}?apiKey=${POLYGON_KEY}`),
+    providerFetch('polygon', `https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?adjusted=true&apiKey=${POLYGON_KEY}`),
+  ]);
+  // A key without last-trade access (401/403) is a failed request, not an
+  // unknown symbol — the next provider gets asked. 404 means no such ticker.
+  if (tradeRes.status === 404) return null;
+  const refused = [tradeRes, prevRes].find(r => !r.ok);
+  if (refused) throw new Error(`polygon answered ${refused.status}`);
+
+  const tradeJson = await tradeRes.json();
+  const prevJson  = await prevRes.json();
+
+  const price     = tradeJson?.results?.p;
+  const prevClose = prevJson?.results?.[0]?.c;
+  if (price == null) return null;
+
+  const change    = prevClose != null ? ((price - prevClose) / prevClose) * 100 : null;
+  const timestamp = tradeJson?.results?.t
+    ? new Date(tradeJson.results.t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  return { ticker, price, change, timestamp, prevClose };
+}
+
+// RapidAPI's get-quotes answers with Yahoo's v7 quote fields
+function parseRapidApiQuote(json, ticker) {
+  const q = json?.quoteResponse?.result?.find(r => r.symbol === ticker);
+  if (q?.regularMarketPrice == null) return null;
+
+  const price     = q.regularMarketPrice;
+  const prevClose = q.regularMarketPreviousClose ?? null;
+  const change    = q.regularMarketChangePercent
+    ?? (prevClose != null ? ((price - prevClose) / prevClose) * 100 : null);
+  const timestamp = q.regularMarketTime
+    ? new Date(q.regularMarketTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  const extended =
+    q.postMarketPrice != null ? { session: 'post', price: q.postMarketPrice, change: q.postMarketChangePercent ?? null } :
+    q.preMarketPrice  != null ? { session: 'pre',  price: q.preMarketPrice,  change: q.preMarketChangePercent  ?? null } :
+    null;
+
+  return {
+    ticker, price, change, timestamp, prevClose, extended,
+    shortName: q.shortName || q.longName || null,
+    currency:  q.currency ?? null,
+  };
+}
+
+async function fetchViaRapidApi(ticker) {
+  const RAPIDAPI_KEY = SETTINGS.keys.RAPIDAPI_KEY;
+  if (!RAPIDAPI_KEY) return null;
+
+  const res = await providerFetch('rapidapi',
+    `https://${RAPIDAPI_HOST}/market/v2/get-quotes?region=US&symbols=${encodeURIComponent(ticker)}`,
+    { headers: { 'X-RapidAPI-Key': RAPIDAPI_KEY, 'X-RapidAPI-Host': RAPIDAPI_HOST } },
+  );
+  // A rejected key (401/403) still answers in JSON — a failed request, not an
+  // unknown symbol, so the next provider gets asked
+  if (!res.ok) throw new Error(`rapidapi answered ${res.status}`);
+  return parseRapidApiQuote(await res.json(), ticker);
+}
+
+
+// ─── Provider registry ─────────────────────────────────────────────────────────
+// fetchStockQuote tries a ticker's providers in the order set for its market
+// (providerOrder in settings.js). One without its key, over its rate limit, or
+// failing moves the quote on to the next, so one broken provider never blanks
+// the widget.
+//
+// `cost` is requests per quote; `limit` is the provider's own quota, counted
+// before asking so a burst of tickers doesn't spend it on refusals. A 429 (or
+// RapidAPI reporting its quota spent) also benches the provider until it says
+// to come back. Usage lives as long as the worker: a restarted one forgets it,
+// which costs at most one refused request before the limit is learnt again.
+
+const QUOTE_FETCHERS = {
+  yahoo:    { fetch: fetchViaYahoo,    cost: 1 },
+  rapidapi: { fetch: fetchViaRapidApi, cost: 1, limit: { calls: 5, perMs: 1000 } },
+  polygon:  { fetch: fetchViaPolygon,  cost: 2, limit: { calls: 5, perMs: 60_000 } }, // free tier
+};
+
+const RATE_LIMIT_BACKOFF_MS = 60_000;
+
+const providerUsage = {}; // provider → { calls: [ms, …], blockedUntil: ms }
+
+const usageOf = id => (providerUsage[id] ??= { calls: [], blockedUntil: 0 });
+
+// Books `cost` calls in the provider's window, or returns false when that
+// would go over its limit or it is benched
+function reserveCalls(usage, limit, cost, now) {
+  if (usage.blockedUntil > now) return false;
+  if (limit) {
+    usage.calls = usage.calls.filter(t => now - t < limit.perMs);
+    if (usage.calls.length + cost > limit.calls) return false;
+  }
+  for (let i = 0; i < cost; i++) usage.calls.push(now);
+  return true;
+}
+
+// How long a refused or quota-spent response asks us to wait, in ms
+function retryAfterMs(headers) {
+  const seconds = Number(headers.get('retry-after') ?? headers.get('x-ratelimit-requests-reset'));
+  return seconds > 0 ? seconds * 1000 : RATE_LIMIT_BACKOFF_MS;
+}
+
+async function providerFetch(id, url, init) {
+  const res = await fetch(url, init);
+  if (res.status === 429) {
+    usageOf(id).blockedUntil = Date.now() + retryAfterMs(res.headers);
+    throw Object.assign(new Error(`${id} rate limited`), { reason: 'rate-limit' });
+  }
+  if (res.headers.get('x-ratelimit-requests-remaining') === '0') {
+    usageOf(id).blockedUntil = Date.now() + retryAfterMs(res.headers);
+  }
+  return res;
+}
+
+// Why a provider can't be asked right now, or null when it can — in which
+// case its calls are booked
+function providerUnavailable(id, now = Date.now()) {
+  const key = QUOTE_PROVIDERS[id].key;
+  if (key && !SETTINGS.keys[key]) return 'no-key';
+  const { limit, cost } = QUOTE_FETCHERS[id];
+  return reserveCalls(usageOf(id), limit, cost, now) ? null : 'rate-limit';
+}
+
+// Why no provider had a price, most telling first:
+//   unknown    — a provider answered, and it doesn't know the symbol
+//   network    — a request failed (offline, DNS, an error page instead of JSON)
+//   rate-limit — no provider could be asked: each is over its quota
+// A definite answer beats any number of providers that couldn't give one.
+const QUOTE_FAILURES = ['unknown', 'network', 'rate-limit'];
+
+const quoteFailure = failures => QUOTE_FAILURES.find(f => failures.has(f)) ?? 'unknown';
+
+// Returns { quote } or { error } with one of QUOTE_FAILURES
+async function fetchStockQuote(ticker) {
+  const failures = new Set();
+  for (const id of providerOrder(instrumentInfo(ticker).market)) {
+    const unavailable = providerUnavailable(id);
+    if (unavailable) {
+      if (unavailable === 'rate-limit') failures.add('rate-limit');
+      continue;
+    }
+    try {
+      const quote = await QUOTE_FETCHERS[id].fetch(ticker);
+      if (!quote) { failures.add('unknown'); continue; }
+      // Only Yahoo's chart endpoint has intraday bars — borrow them for the sparkline
+      if (!quote.series) {
+        const chart = await fetchChart(ticker, '1D').catch(() => null);
+        quote.series = chart?.points ?? [];
+      }
+      return { quote: { ...quote, provider: id } };
+    } catch (err) {
+      failures.add(err.reason ?? 'network');
+      console.warn(`[Daily Impressionist] ${id} quote for ${ticker} failed:`, err);
+    }
+  }
+  return { error: quoteFailure(failures) };
+}
+
+// ─── Symbol search ─────────────────────────────────────────────────────────────
+// Typeahead for the stock input: Yahoo matches symbols and company names
+// across exchanges. Results on exchanges the widget can't place (no entry in
+// EXCHANGE_SUFFIXES) are dropped rather than added and left unpriced.
+
+const SEARCH_LIMIT = 8;
+
+function yahooSearchUrl(query) {
+  return `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}` +
+         `&quotesCount=${SEARCH_LIMIT}&newsCount=0&listsCount=0`;
+}
+
+function isSupportedSymbol(symbol) {
+  if (instrumentInfo(symbol).kind !== 'equity') return true;
+  const suffix = symbol.match(/\.([A-Z]+)$/)?.[1];
+  return !suffix || suffix in EXCHANGE_SUFFIXES;
+}
+
+// Suggestions as [{ symbol, name, exchange }], best match first
+function parseYahooSearch(json) {
+  return (json?.quotes ?? [])
+    .filter(q => q.symbol && isSupportedSymbol(q.symbol))
+    .map(q => ({
+      symbol:   q.symbol,
+      name:     q.shortname || q.longname || '',
+      exchange: q.exchDisp || q.exchange || '',
+    }));
+}
+
+async function searchSymbols(query) {
+  if (!query.trim()) return [];
+  const res = await fetch(yahooSearchUrl(query.trim()));
+  return parseYahooSearch(await res.json());
+}
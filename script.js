@@ -1,307 +1,61 @@
 // =============================================================================
 //  Daily Impressionist — script.js
-//  Cache-first architecture:
-//    1. Open tab  → display cached painting instantly from chrome.storage.local
-//    2. Background → fetch + encode next painting, overwrite cache for next tab
-//    3. First ever → show loader while fetching, then warm the cache
+//  The new-tab page only renders. The background service worker (background.js)
+//  fetches, encodes and caches paintings and polls stock quotes:
+//    1. Open tab    → ask the worker for the next painting, already encoded
+//    2. Worker      → hands over the head of its queue, refills behind it
+//    3. Queue empty → loader shows while the worker fetches one on the spot
 // =============================================================================
 
 // ─── Fallback ─────────────────────────────────────────────────────────────────
-// Shown only when every source fails. A guaranteed public-domain Monet (AIC).
+// Shown only when every tier fails. A public-domain Monet (AIC) packaged under
+// offline/, so it loads without a network.
+// Every fetcher returns this same record shape; the detail fields (medium,
+// dimensions, creditLine, description, url) are '' when a museum lacks them.
 
 const FALLBACK = {
-  title:    'Water Lilies',
-  artist:   'Claude Monet',
-  year:     '1906',
-  imageUrl: 'https://www.artic.edu/iiif/2/3c27b499-af56-f0d5-93b5-a7f2f1ad5813/full/1686,/0/default.jpg',
-  source:   'Art Institute of Chicago',
+  title:       'Water Lilies',
+  artist:      'Claude Monet',
+  year:        '1906',
+  imageUrl:    chrome.runtime.getURL('offline/monet-water-lilies.jpg'),
+  source:      'Art Institute of Chicago',
+  medium:      'Oil on canvas',
+  dimensions:  '',
+  creditLine:  '',
+  description: '',
+  url:         'https://www.artic.edu/artworks/16568',
 };
 
-// ─── Master Impressionist Artist List ─────────────────────────────────────────
-// Every API call is anchored to one of these names, or filtered against them.
-
-const IMPRESSIONISTS = [
-  'Monet',         'Renoir',            'Pissarro',     'Sisley',      'Degas',
-  'Morisot',       'Cassatt',           'Caillebotte',  'Manet',       'Bazille',
-  'Guillaumin',    'Cézanne',           'Gauguin',      'van Gogh',    'Seurat',
-  'Signac',        'Toulouse-Lautrec',  'Redon',        'Rousseau',    'Bonnard',
-  'Vuillard',      'Gonzalès',          'Bracquemond',  'Jongkind',    'Boudin',
-  'Fantin-Latour', 'Lepine',            'Hassam',       'Sargent',     'Chase',
-  'Twachtman',     'Metcalf',           'Tarbell',      'Benson',      'Dewis',
-  'Vonnoh',        'Sorolla',
-];
-
-
 // ─── Shared Utilities ─────────────────────────────────────────────────────────
 
-const pickRandom = arr => arr[Math.floor(Math.random() * arr.length)];
-const pickArtist = ()  => pickRandom(IMPRESSIONISTS);
-const stripHtml  = s   => String(s ?? '').replace(/<[^>]*>/g, '').trim();
-
 function debounce(fn, ms) {
   let t;
   return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); };
 }
 
-// Returns true if the string contains any artist on the master list
-function matchesArtist(str) {
-  const lower = stripHtml(str).toLowerCase();
-  return IMPRESSIONISTS.some(a => lower.includes(a.toLowerCase()));
-}
-
-// Returns true if the raw date string falls within the Impressionist era
-function inImpressionistEra(raw) {
-  if (!raw) return true;                      // unknown date → keep
-  const m = String(raw).match(/\d{4}/);
-  if (!m) return true;                        // unparseable  → keep
-  const y = +m[0];
-  return y >= 1860 && y <= 1910;
-}
-
-
-// ─── Nippon Colors Palette ────────────────────────────────────────────────────
-// 20 low-saturation traditional Japanese colors used as gallery wall tints.
-// Source: nipponcolors.com — all deep/muted to let the artwork speak.
-
-const NIPPON_COLORS = [
-  '#1C1C1C', // 墨      Sumi          (ink)
-  '#2A2420', // 黒橡    Kurotsurubami (dark oak)
-  '#3B2F28', // 焦茶    Kogecha       (burnt umber)
-  '#4A3C34', // 煤竹    Susutake      (smoked bamboo)
-  '#5C4D45', // 煤色    Susuiro       (soot)
-  '#6B5B52', // 胡桃    Kurumi        (walnut)
-  '#7A6C63', // 鈍色    Nibiiro       (dull grey)
-  '#877870', // 丁子鼠  Chojiinezumi  (clove grey)
-  '#8C8278', // 利休鼠  Rikyunezumi   (tea-ceremony grey)
-  '#9B9490', // 薄墨    Usuzumi       (pale ink)
-  '#6E7C78', // 錆鼠    Sabinezumi    (rust grey)
-  '#7A8A82', // 青鈍    Aonibi        (indigo dull)
-  '#6C7870', // 千歳緑  Chitosemidori (deep pine)
-  '#857D7D', // 梅鼠    Umenezumi     (plum grey)
-  '#8A7F88', // 紫鼠    Murasakinezumi(purple grey)
-  '#7B7368', // 鉄色    Tetsuiro      (iron)
-  '#7C6E5A', // 黄枯茶  Kikogecha     (yellow-brown)
-  '#6A6058', // 江戸鼠  Edonezumi     (Edo grey)
-  '#5A5248', // 消炭色  Keshisumiiro  (charcoal ash)
-  '#483E38', // 黒茶    Kurocha       (black tea)
-];
-
-
-// ─── Cache Utilities ──────────────────────────────────────────────────────────
-
-// Fetches an image URL and returns it as a base64 data URL for local storage.
-async function toDataUrl(imageUrl) {
-  const res  = await fetch(imageUrl);
-  const blob = await res.blob();
-  return new Promise((resolve, reject) => {
-    const reader   = new FileReader();
-    reader.onload  = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-}
-
-// Fetch a fresh random artwork, encode its image, and write it to the cache.
-// Always runs in the background — never awaited by the render path.
-async function prefetchAndCache() {
-  try {
-    const artwork = await fetchRandomArtwork();
-    if (!artwork) return;
-    const dataUrl = await toDataUrl(artwork.imageUrl);
-    await chrome.storage.local.set({ ready: { ...artwork, dataUrl } });
-    console.log('[Daily Impressionist] Cached:', artwork.title, '—', artwork.source);
-  } catch (err) {
-    console.warn('[Daily Impressionist] Prefetch failed:', err);
-  }
-}
-
 
-// ─── Entry Point — Cache-First ────────────────────────────────────────────────
+// ─── Entry Point ──────────────────────────────────────────────────────────────
 
 window.addEventListener('DOMContentLoaded', async () => {
-  // Set a random Nippon gallery tint immediately — before anything else loads.
-  document.documentElement.style.setProperty('--bg-color', pickRandom(NIPPON_COLORS));
+  // The wall keeps its default Sumi tint until the painting's palette is known
+  SETTINGS = await loadSettings();
 
-  // Boot the widget (stock + note) independently of the painting pipeline.
+  // Boot the widget (stock + note) and gallery independently of the painting pipeline.
   initWidget();
+  initGallery();
 
-  const { ready } = await chrome.storage.local.get('ready');
-
-  if (ready?.dataUrl) {
-    // ── Cache hit: paint instantly from local storage ──────────────────────
-    // Remove the entry immediately so the next tab never shows the same painting.
-    chrome.storage.local.remove('ready');
-    renderArtwork(ready);
-    // Fetch + cache the next painting in the background for the tab after this one.
-    prefetchAndCache();
-  } else {
-    // ── First-ever load: show loader, fetch, display, then warm the cache ──
-    const artwork = await fetchRandomArtwork();
-    renderArtwork(artwork ?? FALLBACK);
-    // Warm the cache so every subsequent tab is instant.
-    prefetchAndCache();
-  }
-});
-
-
-// ─── Source Registry & Orchestrator ──────────────────────────────────────────
-
-const FETCHERS = {
-  met:       fetchFromMet,
-  aic:       fetchFromAIC,
-  vam:       fetchFromVAM,
-  cleveland: fetchFromCleveland,
-};
-
-async function fetchRandomArtwork() {
-  // Shuffle so every fetch rotates through museums unpredictably
-  const sources = Object.keys(FETCHERS).sort(() => Math.random() - 0.5);
-
-  for (const src of sources) {
-    try {
-      const result = await FETCHERS[src]();
-      if (result) return result;
-    } catch (err) {
-      console.warn(`[Daily Impressionist] ${src} failed:`, err);
-    }
-  }
-  return null; // triggers FALLBACK in caller
-}
-
-
-// ─── Source 1: The Metropolitan Museum of Art ─────────────────────────────────
-// Free API, no key. Searches by artist name in department 11 (European Paintings).
-// Two-step: get matching IDs first, then fetch the chosen object's full record.
-
-async function fetchFromMet() {
-  const artist = pickArtist();
-  const search = await fetch(
-    `https://collectionapi.metmuseum.org/public/collection/v1/search` +
-    `?artistOrCulture=true&q=${encodeURIComponent(artist)}&hasImages=true&departmentId=11`
-  );
-  const { objectIDs } = await search.json();
-  if (!objectIDs?.length) return null;
-
-  for (let i = 0; i < 6; i++) {
-    const obj = await fetch(
-      `https://collectionapi.metmuseum.org/public/collection/v1/objects/${pickRandom(objectIDs)}`
-    ).then(r => r.json());
-
-    const imageUrl = obj.primaryImageSmall || obj.primaryImage;
-    if (!imageUrl)                             continue;
-    if (!matchesArtist(obj.artistDisplayName)) continue;
-    if (!inImpressionistEra(obj.objectDate))   continue;
-
-    return {
-      title:    obj.title             || 'Untitled',
-      artist:   obj.artistDisplayName || artist,
-      year:     obj.objectDate        || '',
-      imageUrl,
-      source:   'The Metropolitan Museum of Art',
-    };
+  const pinned = await loadPinnedFavorite();
+  if (pinned) {
+    // ── Pinned favorite: stays on every tab until unpinned in the gallery ──
+    renderArtwork(pinned);
+    return;
   }
-  return null;
-}
-
-
-// ─── Source 2: Art Institute of Chicago ───────────────────────────────────────
-// Free API, no key. Filters by AIC's own `style_title` field ("Impressionism")
-// for maximum accuracy, then cross-checks against the master artist list.
-
-async function fetchFromAIC() {
-  const page = Math.floor(Math.random() * 20) + 1;
-  const res  = await fetch(
-    `https://api.artic.edu/api/v1/artworks/search` +
-    `?q=impressionism&fields=id,title,artist_display,date_display,image_id,style_title` +
-    `&limit=50&page=${page}`
-  );
-  const { data } = await res.json();
-
-  const valid = (data || []).filter(a =>
-    a.image_id &&
-    matchesArtist(a.artist_display) &&
-    a.style_title?.toLowerCase().includes('impressioni') &&
-    inImpressionistEra(a.date_display)
-  );
-  if (!valid.length) return null;
-
-  const art = pickRandom(valid);
-  return {
-    title:    art.title          || 'Untitled',
-    artist:   art.artist_display || 'Unknown',
-    year:     art.date_display   || '',
-    imageUrl: `https://www.artic.edu/iiif/2/${art.image_id}/full/1686,/0/default.jpg`,
-    source:   'Art Institute of Chicago',
-  };
-}
-
-
-// ─── Source 3: Victoria and Albert Museum ─────────────────────────────────────
-// Free API, no key. Uses `q_actor` to search specifically by artist/maker name.
-
-async function fetchFromVAM() {
-  const artist = pickArtist();
-  const res    = await fetch(
-    `https://api.vam.ac.uk/v2/objects/search` +
-    `?q_actor=${encodeURIComponent(artist)}&images_exist=1&page_size=50`
-  );
-  const { records } = await res.json();
-
-  const valid = (records || []).filter(r =>
-    r._images?._primary_thumbnail &&
-    matchesArtist(r._primaryMaker?.name ?? '') &&
-    inImpressionistEra(r._primaryDate)
-  );
-  if (!valid.length) return null;
-
-  const rec      = pickRandom(valid);
-  const imageUrl = rec._images._primary_thumbnail
-    .replace(/\/full\/![^/]+\//, '/full/!1200,1200/');
-
-  return {
-    title:    rec._primaryTitle       || 'Untitled',
-    artist:   rec._primaryMaker?.name || artist,
-    year:     rec._primaryDate        || '',
-    imageUrl,
-    source:   'Victoria and Albert Museum',
-  };
-}
 
-
-// ─── Source 4: Cleveland Museum of Art ────────────────────────────────────────
-// Free API, no key. Searches by artist name with built-in date-range filtering.
-// Uses the `print` image (highest resolution) with web as fallback.
-
-async function fetchFromCleveland() {
-  const artist = pickArtist();
-  const res    = await fetch(
-    `https://openaccess-api.clevelandart.org/api/artworks/` +
-    `?artists=${encodeURIComponent(artist)}&has_image=1&type=Painting` +
-    `&created_after=1860&created_before=1910&limit=100`
-  );
-  const { data } = await res.json();
-
-  const valid = (data || []).filter(a => {
-    const imgUrl = a.images?.print?.url || a.images?.web?.url;
-    if (!imgUrl) return false;
-    const creatorsStr = (a.creators || []).map(c => c.description).join(' ');
-    return matchesArtist(creatorsStr);
-  });
-  if (!valid.length) return null;
-
-  const art     = pickRandom(valid);
-  // "Claude Monet (French, 1840–1926)" → extract clean name before the parenthesis
-  const rawName = art.creators?.[0]?.description || artist;
-  const name    = rawName.split('(')[0].trim() || artist;
-
-  return {
-    title:    art.title                                  || 'Untitled',
-    artist:   name,
-    year:     art.creation_date                          || '',
-    imageUrl: art.images?.print?.url || art.images?.web?.url,
-    source:   'Cleveland Museum of Art',
-  };
-}
+  // The worker decides what to show — queue head, painting of the day, or a
+  // fresh fetch — and the loader stays up until it answers.
+  const artwork = await chrome.runtime.sendMessage({ type: 'next-artwork' }).catch(() => null);
+  renderArtwork(artwork ?? FALLBACK);
+});
 
 
 // ─── Render ───────────────────────────────────────────────────────────────────
@@ -318,7 +72,13 @@ function renderArtwork(artwork) {
   // Preload image before revealing — avoids flash of empty background
   const img = new Image();
 
-  img.onload = () => {
+  img.onload = async () => {
+    // Cached artworks carry their palette; anything else is sampled here,
+    // before the image goes up, so wall and painting appear together
+    artwork.palette ??= await paletteFromImage(img);
+    const wall = wallTint(artwork.palette);
+    document.documentElement.style.setProperty('--bg-color', wall);
+
     bg.style.backgroundImage = `url('${imgSrc}')`;
     bg.classList.add('loaded');
 
@@ -326,9 +86,15 @@ function renderArtwork(artwork) {
     document.getElementById('artwork-artist').textContent = artwork.artist;
     document.getElementById('artwork-year').textContent   = artwork.year;
     document.getElementById('artwork-source').textContent = artwork.source;
+    document.getElementById('artwork-offline').classList.toggle('hidden', !artwork.offline);
+    renderArtworkDetails(artwork);
+
+    currentArtwork = artwork;
+    syncFavoriteButton();
 
     document.getElementById('loader').classList.add('hidden');
     card.classList.remove('hidden');
+    matchCardToBackdrop(card, img, artwork.palette, wall);
     // rAF ensures the transition fires after display:block takes effect
     requestAnimationFrame(() => card.classList.add('visible'));
   };
@@ -345,120 +111,318 @@ function renderArtwork(artwork) {
   img.src = imgSrc;
 }
 
+// Light text on a pale sky is unreadable. Work out what sits behind the card —
+// the part of the painting it overlaps, plus bare wall for the rest — and
+// switch the card to dark text on frosted glass when that backdrop is light.
+// The corner vignette already copes with mid-tones, hence the high threshold.
+const LIGHT_BACKDROP = 0.45;
+
+function matchCardToBackdrop(card, img, palette, wallHex) {
+  const wall = relativeLuminance(hexToRgb(wallHex));
+  const vw   = window.innerWidth, vh = window.innerHeight;
+
+  // The painting is drawn with background-size: contain, centred
+  const scale = Math.min(vw / img.naturalWidth, vh / img.naturalHeight) || 0;
+  const pw    = img.naturalWidth * scale, ph = img.naturalHeight * scale;
+  const px    = (vw - pw) / 2,            py = (vh - ph) / 2;
+
+  const r = card.getBoundingClientRect();
+  let luma = wall;
+  if (palette?.luma && pw && ph && r.width && r.height) {
+    // Overlap of the card with the painting, in normalised image coordinates
+    const x0 = Math.max(0, (r.left - px) / pw), x1 = Math.min(1, (r.right  - px) / pw);
+    const y0 = Math.max(0, (r.top  - py) / ph), y1 = Math.min(1, (r.bottom - py) / ph);
+    const over = x1 > x0 && y1 > y0 ? (x1 - x0) * pw * (y1 - y0) * ph / (r.width * r.height) : 0;
+    if (over > 0) luma = over * lumaInRect(palette.luma, x0, y0, x1, y1) + (1 - over) * wall;
+  }
+  card.classList.toggle('on-light', luma > LIGHT_BACKDROP);
+}
+
+// Fill the expandable details section; the toggle only shows when there is
+// something to expand. Entries cached before details existed simply lack them.
+function renderArtworkDetails(artwork) {
+  const rows = [
+    ['Medium',     artwork.medium],
+    ['Dimensions', artwork.dimensions],
+    ['Credit',     artwork.creditLine],
+  ].filter(([, value]) => value);
+
+  document.getElementById('artwork-facts').replaceChildren(...rows.flatMap(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    return [dt, dd];
+  }));
+
+  const description = document.getElementById('artwork-description');
+  description.textContent = artwork.description || '';
+  description.classList.toggle('hidden', !artwork.description);
+
+  const link = document.getElementById('artwork-link');
+  link.href = artwork.url || '';
+  link.classList.toggle('hidden', !artwork.url);
+
+  const hasDetails = rows.length > 0 || !!artwork.description || !!artwork.url;
+  const toggle     = document.getElementById('details-toggle');
+  toggle.classList.toggle('hidden', !hasDetails);
+  setDetailsOpen(false);
+}
+
+function setDetailsOpen(open) {
+  document.getElementById('artwork-details').classList.toggle('hidden', !open);
+  const toggle = document.getElementById('details-toggle');
+  toggle.textContent = open ? 'DETAILS ▴' : 'DETAILS ▾';
+  toggle.setAttribute('aria-expanded', String(open));
+}
+
 function showError() {
   document.getElementById('loader').classList.add('hidden');
   document.getElementById('error-msg').classList.remove('hidden');
 }
 
 
-// =============================================================================
-//  Stock Widget (Pro)
-//  US stocks via Polygon.io; HK stocks via Yahoo Finance / RapidAPI.
-//  API keys are read from window.EXTENSION_CONFIG (config.js, gitignored).
-//  Without keys the widget is still interactive but shows "—" for quotes.
-// =============================================================================
+// ─── Favorites ────────────────────────────────────────────────────────────────
+// ♡ on the info card keeps the painting — metadata plus its encoded image —
+// under `favorites`, newest first. One favorite can be pinned, replacing the
+// random painting on every new tab until it is unpinned.
 
-const POLYGON_KEY = window.EXTENSION_CONFIG?.POLYGON_KEY ?? '';
+const FAVORITES_KEY = 'favorites';
+const PINNED_KEY    = 'pinnedFavorite';
 
-// ─── Storage key ──────────────────────────────────────────────────────────────
+// The painting currently on screen, set once its image has loaded
+let currentArtwork = null;
 
-const STOCK_STORE_KEY = 'stockWidgets';
-const NOTE_KEY        = 'noteContent';
+// Museum paintings are keyed like the shown history; FALLBACK has no object ID
+const favoriteId = artwork => historyKey(artwork) ?? `${artwork.source}|${artwork.title}`;
 
-async function loadSavedTickers() {
-  const { stockWidgets } = await chrome.storage.local.get(STOCK_STORE_KEY);
-  return Array.isArray(stockWidgets) ? stockWidgets : [];
+const isFavorite     = (list, artwork) => list.some(f => f.favId === favoriteId(artwork));
+const pinnedFavorite = (list, pinnedId) => (pinnedId && list.find(f => f.favId === pinnedId)) || null;
+
+// What gets stored: the artwork as shown, its encoded image, and when it was saved
+const favoriteEntry = (artwork, dataUrl, now = Date.now()) =>
+  ({ ...artwork, dataUrl, favId: favoriteId(artwork), savedAt: now });
+
+async function loadFavorites() {
+  const { favorites } = await chrome.storage.local.get(FAVORITES_KEY);
+  return Array.isArray(favorites) ? favorites : [];
 }
 
-async function saveTickerList(list) {
-  await chrome.storage.local.set({ [STOCK_STORE_KEY]: list });
+async function saveFavorites(list) {
+  await chrome.storage.local.set({ [FAVORITES_KEY]: list });
 }
 
-// ─── Ticker helpers ────────────────────────────────────────────────────────────
+async function loadPinnedFavorite() {
+  const { [PINNED_KEY]: pinnedId } = await chrome.storage.local.get(PINNED_KEY);
+  if (!pinnedId) return null;
+  return pinnedFavorite(await loadFavorites(), pinnedId);
+}
 
-function isHKTicker(raw) {
-  return /^\d{1,5}(\.HK)?$/i.test(raw.trim());
+async function setPinnedFavorite(favId) {
+  if (favId) await chrome.storage.local.set({ [PINNED_KEY]: favId });
+  else       await chrome.storage.local.remove(PINNED_KEY);
 }
 
-function normalizeHkTicker(raw) {
-  const digits = raw.trim().replace(/\.HK$/i, '').replace(/^0+/, '') || '0';
-  return digits.padStart(4, '0') + '.HK';
+async function addFavorite(artwork) {
+  const list = await loadFavorites();
+  if (isFavorite(list, artwork)) return;
+
+  // Cache hits already carry the encoded image; a fresh fetch needs encoding
+  const dataUrl = artwork.dataUrl || await toDataUrl(artwork.imageUrl);
+  list.unshift(favoriteEntry(artwork, dataUrl));
+  await saveFavorites(list);
 }
 
-function normalizeTicker(raw) {
-  return isHKTicker(raw) ? normalizeHkTicker(raw) : raw.trim().toUpperCase();
+async function removeFavorite(favId) {
+  const list = await loadFavorites();
+  await saveFavorites(list.filter(f => f.favId !== favId));
+
+  const { [PINNED_KEY]: pinnedId } = await chrome.storage.local.get(PINNED_KEY);
+  if (pinnedId === favId) await setPinnedFavorite(null);
 }
 
-// ─── API calls ─────────────────────────────────────────────────────────────────
-// Primary: Yahoo Finance public API — free, no key, works for US + HK tickers.
-// Optional upgrade: Polygon.io (US) for real-time last-trade price.
+async function syncFavoriteButton() {
+  const btn = document.getElementById('fav-btn');
+  if (!currentArtwork) return;
+  const saved = isFavorite(await loadFavorites(), currentArtwork);
+  btn.textContent = saved ? '♥' : '♡';
+  btn.classList.toggle('saved', saved);
+  btn.setAttribute('aria-label', saved ? 'Remove from favorites' : 'Add to favorites');
+}
 
-async function fetchViaYahoo(ticker) {
-  // v8/finance/chart is more reliable than v7/finance/quote (no crumb/consent required)
-  const res  = await fetch(
-    `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&range=1d`
-  );
-  const json = await res.json();
-  const meta = json?.chart?.result?.[0]?.meta;
-  if (!meta) return null;
+async function toggleFavorite() {
+  if (!currentArtwork) return;
+  try {
+    if (isFavorite(await loadFavorites(), currentArtwork)) {
+      await removeFavorite(favoriteId(currentArtwork));
+    } else {
+      await addFavorite(currentArtwork);
+    }
+  } catch (err) {
+    console.warn('[Daily Impressionist] Favorite failed:', err);
+  }
+  syncFavoriteButton();
+}
 
-  const price     = meta.regularMarketPrice;
-  const prevClose = meta.chartPreviousClose;
-  if (price == null) return null;
 
-  const change    = prevClose != null ? ((price - prevClose) / prevClose) * 100 : null;
-  const timestamp = meta.regularMarketTime
-    ? new Date(meta.regularMarketTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-    : null;
+// ─── Gallery ──────────────────────────────────────────────────────────────────
+// Overlay listing favorites as a thumbnail grid. Clicking a thumbnail shows it
+// full-screen; each tile can be pinned as the new-tab painting or removed.
+
+function buildGalleryTile(fav, pinnedId) {
+  const tile = document.createElement('figure');
+  tile.className = 'gallery-tile' + (fav.favId === pinnedId ? ' pinned' : '');
+
+  const img = document.createElement('img');
+  img.src     = fav.dataUrl;
+  img.alt     = fav.title;
+  img.loading = 'lazy';
+  img.addEventListener('click', () => openLightbox(fav));
+
+  const caption = document.createElement('figcaption');
+  const title   = document.createElement('span');
+  title.className   = 'tile-title';
+  title.textContent = fav.title;
+  const artist  = document.createElement('span');
+  artist.className   = 'tile-artist';
+  artist.textContent = fav.artist;
+  caption.append(title, artist);
+
+  const pinBtn = document.createElement('button');
+  pinBtn.className   = 'tile-action';
+  pinBtn.textContent = fav.favId === pinnedId ? 'UNPIN' : 'PIN';
+  pinBtn.title       = fav.favId === pinnedId
+    ? 'Go back to a new painting on every tab'
+    : 'Show this painting on every new tab';
+  pinBtn.addEventListener('click', async () => {
+    await setPinnedFavorite(fav.favId === pinnedId ? null : fav.favId);
+    renderGallery();
+  });
 
-  // shortName is used to show company name for HK tickers in the widget
-  const shortName = meta.shortName || meta.longName || null;
-  return { ticker, price, change, timestamp, shortName };
-}
+  const removeBtn = document.createElement('button');
+  removeBtn.className   = 'tile-action';
+  removeBtn.textContent = 'REMOVE';
+  removeBtn.addEventListener('click', async () => {
+    await removeFavorite(fav.favId);
+    renderGallery();
+    syncFavoriteButton();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'tile-actions';
+  actions.append(pinBtn, removeBtn);
 
-async function fetchViaPolygon(ticker) {
-  if (!POLYGON_KEY) return null;
+  tile.append(img, caption, actions);
+  return tile;
+}
 
-  const [tradeRes, prevRes] = await Promise.all([
-    fetch(`https://api.polygon.io/v2/last/trade/${ticker}?apiKey=${POLYGON_KEY}`),
-    fetch(`https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?adjusted=true&apiKey=${POLYGON_KEY}`),
+async function renderGallery() {
+  const [favorites, { [PINNED_KEY]: pinnedId }] = await Promise.all([
+    loadFavorites(),
+    chrome.storage.local.get(PINNED_KEY),
   ]);
-  const tradeJson = await tradeRes.json();
-  const prevJson  = await prevRes.json();
+  document.getElementById('gallery-grid')
+    .replaceChildren(...favorites.map(fav => buildGalleryTile(fav, pinnedId)));
+  document.getElementById('gallery-empty').classList.toggle('hidden', favorites.length > 0);
+}
 
-  const price     = tradeJson?.results?.p;
-  const prevClose = prevJson?.results?.[0]?.c;
-  if (price == null) return null;
+function openLightbox(fav) {
+  document.getElementById('lightbox-img').src = fav.dataUrl;
+  document.getElementById('lightbox-caption').textContent =
+    [fav.title, fav.artist, fav.year].filter(Boolean).join(' · ');
+  document.getElementById('lightbox').classList.remove('hidden');
+}
+
+function closeLightbox() {
+  document.getElementById('lightbox').classList.add('hidden');
+  document.getElementById('lightbox-img').removeAttribute('src');
+}
+
+function initGallery() {
+  const gallery = document.getElementById('gallery');
 
-  const change    = prevClose != null ? ((price - prevClose) / prevClose) * 100 : null;
-  const timestamp = tradeJson?.results?.t
-    ? new Date(tradeJson.results.t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-    : null;
+  document.getElementById('fav-btn').addEventListener('click', toggleFavorite);
+  document.getElementById('details-toggle').addEventListener('click', () => {
+    setDetailsOpen(document.getElementById('artwork-details').classList.contains('hidden'));
+  });
 
-  return { ticker, price, change, timestamp };
+  document.getElementById('gallery-close').addEventListener('click', () => {
+    gallery.classList.add('hidden');
+  });
+  document.getElementById('lightbox').addEventListener('click', closeLightbox);
+
+  // Escape closes the innermost layer first
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox.classList.contains('hidden')) closeLightbox();
+    else gallery.classList.add('hidden');
+  });
 }
 
-async function fetchStockQuote(ticker) {
-  try {
-    // US tickers: try Polygon first (real-time) then Yahoo as fallback
-    if (!isHKTicker(ticker) && POLYGON_KEY) {
-      const result = await fetchViaPolygon(ticker);
-      if (result) return result;
-    }
-    // Yahoo Finance works for both US and HK tickers
-    return await fetchViaYahoo(ticker);
-  } catch {
-    return null;
-  }
+async function openGallery() {
+  await renderGallery();
+  document.getElementById('gallery').classList.remove('hidden');
 }
 
+
+// =============================================================================
+//  Stock Widget (Pro)
+//  Quotes are fetched by background.js (see quotes.js) into the `quotes` map;
+//  this page only draws them and edits the watchlist.
+//  Without keys the widget is still interactive but shows "—" for quotes.
+// =============================================================================
+
 // ─── Card DOM helpers ──────────────────────────────────────────────────────────
 
-function formatPrice(price) {
+// Decimals to show for a price, after each market's tick size. FX and crypto
+// quotes go finer than stocks; sub-dollar crypto keeps 4 significant digits.
+function priceDecimals(price, kind, currency) {
+  if (kind === 'fx')     return price >= 20 ? 3 : 4;
+  if (kind === 'crypto') return price >= 1 ? 2 : Math.min(8, 3 - Math.floor(Math.log10(price)));
+  if (kind === 'index')  return 2;
+  if (kind === 'future') return price >= 10 ? 2 : 4;
+  switch (currency) {
+    case 'JPY': return price >= 1000 ? 0 : 1;
+    case 'GBp': return price >= 100 ? 1 : 2;
+    case 'HKD': return price < 0.5 ? 3 : 2;   // HKEX ticks go to 0.001 below HK$0.50
+    case 'USD': return price < 1 ? 4 : 2;     // US sub-dollar stocks tick in 0.0001
+    default:    return 2;
+  }
+}
+
+// "HK$", "CN¥", "NT$" … — built once per currency
+const currencySymbols = new Map();
+function currencySymbol(currency) {
+  if (!currencySymbols.has(currency)) {
+    let symbol = '';
+    try {
+      symbol = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+        .formatToParts(0).find(p => p.type === 'currency')?.value ?? '';
+    } catch { /* not an ISO code — show the bare number */ }
+    currencySymbols.set(currency, symbol);
+  }
+  return currencySymbols.get(currency);
+}
+
+// Without a ticker prices keep the plain 2-or-3-decimal form. With one they're
+// shown in the instrument's currency — `currency` from the quote wins over the
+// one the symbol implies. FX rates and index levels are bare numbers; London
+// pence get a "p".
+function formatPrice(price, ticker, currency) {
   if (price == null) return '—';
-  return price >= 100
-    ? price.toFixed(2)
-    : price.toFixed(3);
+  if (!ticker) {
+    return price >= 100
+      ? price.toFixed(2)
+      : price.toFixed(3);
+  }
+  const info   = instrumentInfo(ticker);
+  const unit   = currency ?? info.currency;
+  const digits = priceDecimals(price, info.kind, unit);
+  const number = price.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  if (info.kind === 'fx' || !unit) return number;
+  if (unit === 'GBp')              return `${number}p`;
+  return currencySymbol(unit) + number;
 }
 
 function formatChange(change) {
@@ -476,6 +440,14 @@ function buildStockCard(ticker) {
   tickerEl.className   = 'stock-ticker';
   tickerEl.textContent = ticker;
 
+  // Market status badge under the name — see renderMarketStatus
+  const statusEl = document.createElement('span');
+  statusEl.className = 'stock-status';
+
+  const nameEl = document.createElement('div');
+  nameEl.className = 'stock-name';
+  nameEl.append(tickerEl, statusEl);
+
   const priceEl = document.createElement('span');
   priceEl.className   = 'stock-price';
   priceEl.textContent = '…';
@@ -488,9 +460,70 @@ function buildStockCard(ticker) {
   removeBtn.className   = 'stock-remove';
   removeBtn.textContent = '✕';
   removeBtn.title       = 'Remove';
-  removeBtn.addEventListener('click', () => removeTicker(ticker));
+  removeBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    removeTicker(ticker);
+  });
+
+  // Why the price is old or missing, with a retry — see renderQuoteIssue
+  const issueText = document.createElement('span');
+  issueText.className = 'stock-issue-text';
+
+  const retryBtn = document.createElement('button');
+  retryBtn.className   = 'stock-retry';
+  retryBtn.textContent = '↻';
+  retryBtn.title       = 'Retry now';
+  retryBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ type: 'refresh-quotes', tickers: [ticker] });
+  });
+
+  const issueEl = document.createElement('div');
+  issueEl.className = 'stock-issue hidden';
+  issueEl.append(issueText, retryBtn);
+
+  // Holdings line — market value, day and unrealized P&L; hidden without lots
+  const positionEl = document.createElement('div');
+  positionEl.className = 'stock-position hidden';
+
+  // Headlines, opened with the news button — see toggleNews
+  const newsBtn = document.createElement('button');
+  newsBtn.className   = 'stock-news-btn';
+  newsBtn.textContent = '☰';
+  newsBtn.title       = 'News';
+  newsBtn.setAttribute('aria-expanded', 'false');
+  newsBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    toggleNews(card);
+  });
+
+  const newsEl = document.createElement('div');
+  newsEl.className = 'stock-news hidden';
+  newsEl.addEventListener('click', e => e.stopPropagation()); // a headline, not the chart
+
+  // Clicking anywhere else on the row opens its chart (chart.js), with the
+  // editors for the ticker's group, lots and alerts underneath
+  card.addEventListener('click', () => {
+    const panel = toggleChart(card);
+    if (panel) panel.append(buildGroupEditor(ticker), buildLotEditor(ticker), buildAlertEditor(ticker));
+  });
+
+  // Keyboard: Enter or Space opens the chart, Alt+↑/↓ moves the row
+  card.tabIndex = 0;
+  card.setAttribute('aria-keyshortcuts', 'Alt+ArrowUp Alt+ArrowDown');
+  card.addEventListener('keydown', e => {
+    if (e.target !== card) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      card.click();
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      moveRowBy(ticker, e.key === 'ArrowDown' ? 1 : -1);
+    }
+  });
 
-  card.append(tickerEl, priceEl, changeEl, removeBtn);
+  card.append(nameEl, priceEl, changeEl, newsBtn, removeBtn, issueEl, positionEl, newsEl);
+  renderMarketStatus(card, null);
   return card;
 }
 
@@ -506,21 +539,32 @@ function upsertCard(ticker, data) {
   const priceEl  = card.querySelector('.stock-price');
   const changeEl = card.querySelector('.stock-change');
 
-  // HK tickers: replace the numeric code with the company name once we have it
-  if (data?.shortName && isHKTicker(ticker)) {
+  // Replace the symbol with the company name once we have it; the symbol
+  // stays on hover
+  if (data?.shortName) {
     const tickerEl = card.querySelector('.stock-ticker');
     tickerEl.textContent = data.shortName;
+    tickerEl.title       = ticker;
     tickerEl.classList.add('company-name');
   }
 
-  if (!data) {
+  renderMarketStatus(card, data);
+  renderQuoteIssue(card, data);
+
+  // A failed first fetch has an error but no price yet
+  if (data?.price == null) {
     priceEl.textContent  = '—';
     changeEl.textContent = '—';
     changeEl.className   = 'stock-change neutral';
     return;
   }
 
-  priceEl.textContent  = formatPrice(data.price);
+  // Sparkline sits behind the row's text; redrawn with every quote
+  card.querySelector('.stock-spark')?.remove();
+  const spark = buildSparkline(data.series, data.prevClose);
+  if (spark) card.prepend(spark);
+
+  priceEl.textContent  = formatPrice(data.price, ticker, data.currency);
   changeEl.textContent = formatChange(data.change);
   changeEl.className   = 'stock-change ' + (
     data.change == null ? 'neutral' :
@@ -528,48 +572,741 @@ function upsertCard(ticker, data) {
   );
 }
 
+const STATUS_LABELS = {
+  open:   'Open',
+  pre:    'Pre-market',
+  post:   'After-hours',
+  lunch:  'Lunch break',
+  closed: 'Closed',
+  unconfirmed: 'Unconfirmed',
+};
+
+// Status comes from the calendar, not the quote, so it flips at the bell even
+// between polls. Outside regular hours the extended price follows, if any.
+function renderMarketStatus(card, data) {
+  const ticker = card.dataset.ticker;
+  const market = marketFor(ticker);
+  const status = marketStatus(market);
+  const ext    = data?.extended?.session === status ? data.extended : null;
+
+  const el = card.querySelector('.stock-status');
+  el.className   = `stock-status ${status}`;
+  el.textContent = ext
+    ? `${STATUS_LABELS[status]} ${formatPrice(ext.price, ticker, data.currency)} ${formatChange(ext.change)}`
+    : STATUS_LABELS[status];
+  el.title = `${MARKETS[market].label} — ${STATUS_LABELS[status].toLowerCase()}`;
+}
+
+// Shown under a row whose last refresh failed or whose price is overdue: the
+// time of the price still on show, why the refresh failed and when the worker
+// tries again (the backoff in markets.js).
+const QUOTE_FAILURE_LABELS = {
+  network:      'Network error',
+  'rate-limit': 'Rate limited',
+  unknown:      'Unknown symbol',
+};
+
+const clockTime = ms => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function renderQuoteIssue(card, data) {
+  const status = marketStatus(marketFor(card.dataset.ticker));
+  const stale  = isStale(data, status, Date.now(), 2 * SETTINGS.quoteRefreshSec * 1000);
+  const parts  = [];
+  if (stale)       parts.push(`Stale as of ${clockTime(data.fetchedAt)}`);
+  if (data?.error) parts.push(`${QUOTE_FAILURE_LABELS[data.error]} — retrying at ${clockTime(data.retryAt)}`);
+
+  card.classList.toggle('stale', stale);
+  const el = card.querySelector('.stock-issue');
+  el.classList.toggle('hidden', !parts.length);
+  const text = el.querySelector('.stock-issue-text');
+  text.textContent = parts.join(' · ');
+  text.title       = text.textContent; // the line is cut short in the narrow table
+}
+
 // ─── Ticker add/remove ─────────────────────────────────────────────────────────
 
+// Adds a ticker once a real quote shows the symbol exists, so a typo never
+// sits on the list as "—". Returns an error to show under the input, or null
+// once the ticker is added.
 async function addTicker(raw) {
-  const ticker  = normalizeTicker(raw);
-  if (!ticker)  return;
+  const ticker = normalizeTicker(raw);
+  if (!ticker) return null;
+
+  if ((await loadWatchlist()).some(e => e.ticker === ticker)) return `${ticker} is already on your list`;
+  if (!navigator.onLine) return `You're offline — can't check ${ticker} right now`;
+
+  // The worker answers null when its handler throws
+  const { quote, error } = (await chrome.runtime.sendMessage({ type: 'lookup-quote', ticker })
+    .catch(() => null)) ?? { error: 'network' };
+  if (error === 'unknown')    return `No quote for ${ticker} — check the symbol`;
+  if (error === 'rate-limit') return `Quote providers are busy — try ${ticker} again in a minute`;
+  if (!quote)                 return `Couldn't reach the quote providers — try ${ticker} again`;
+
+  // Read again: another tab may have changed the list while the quote loaded
+  const list = await loadWatchlist();
+  if (!list.some(e => e.ticker === ticker)) {
+    list.push({ ticker, lots: [], alerts: [] });
+    await saveWatchlist(list);
+  }
+
+  upsertCard(ticker, quote);
+  // Has the worker store the quote too, so the row is filled on the next tab
+  chrome.runtime.sendMessage({ type: 'refresh-quotes', tickers: [ticker] });
+  return null;
+}
+
+async function removeTicker(ticker) {
+  const list = await loadWatchlist();
+  await saveWatchlist(list.filter(e => e.ticker !== ticker));
 
-  const list = await loadSavedTickers();
-  if (list.includes(ticker)) return;    // already tracked
+  const table = document.getElementById('stock-list');
+  table.querySelector(`[data-ticker="${CSS.escape(ticker)}"]`)?.remove();
+  table.querySelector(`[data-chart="${CSS.escape(ticker)}"]`)?.remove();
+}
 
-  list.push(ticker);
-  await saveTickerList(list);
+// Draw every watched ticker from the `quotes` map, plus the holdings lines,
+// portfolio total and alert marks. A ticker the worker hasn't polled yet stays at "…".
+async function renderQuotes(quotes) {
+  const entries = await loadWatchlist();
+  const view    = await loadWatchView();
+  const { [FX_KEY]: fx = {}, [ALERT_STATE_KEY]: alertState = {} } =
+    await chrome.storage.local.get([FX_KEY, ALERT_STATE_KEY]);
+  const toBase    = fxConverter(fx, SETTINGS.baseCurrency);
+  const positions = [];
+  const list      = document.getElementById('stock-list');
+
+  entries.forEach(({ ticker, lots, alerts }) => {
+    if (ticker in quotes) upsertCard(ticker, quotes[ticker]);
+    else if (!list.querySelector(`[data-ticker="${CSS.escape(ticker)}"]`)) upsertCard(ticker, null);
+    // Marked while any of its alert rules is triggered (alerts.js)
+    document.getElementById('stock-list')
+      .querySelector(`[data-ticker="${CSS.escape(ticker)}"]`)
+      ?.classList.toggle('alerted', validAlerts(alerts).some(a => alertState[a.id]?.active));
+    const position = validLots(lots).length
+      ? positionSummary(ticker, lots, quotes[ticker], toBase)
+      : null;
+    renderPosition(ticker, position);
+    if (position) positions.push(position);
+  });
+  arrangeRows(entries, quotes, view);
+  renderSortBar(view, entries.length);
+  renderPortfolioTotal(positions);
+}
 
-  upsertCard(ticker, null);
-  const data = await fetchStockQuote(ticker);
-  upsertCard(ticker, data);
+async function redrawQuotes() {
+  const { [QUOTES_KEY]: quotes = {} } = await chrome.storage.local.get(QUOTES_KEY);
+  return renderQuotes(quotes);
 }
 
-async function removeTicker(ticker) {
-  const list = await loadSavedTickers();
-  const updated = list.filter(t => t !== ticker);
-  await saveTickerList(updated);
+// ─── News ──────────────────────────────────────────────────────────────────────
+// A row's recent headlines (news.js), fetched through the worker each time the
+// section opens — its cache keeps reopening cheap. Links open in a new tab.
+
+function timeAgo(ms, now = Date.now()) {
+  const minutes = Math.floor((now - ms) / 60_000);
+  if (minutes < 1)  return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24)   return `${hours}h ago`;
+  return new Date(ms).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+function buildNewsItem({ title, url, source, publishedAt }) {
+  const link = document.createElement('a');
+  link.className = 'news-item';
+  link.href      = url;
+  link.target    = '_blank';
+  link.rel       = 'noopener noreferrer';
+
+  const titleEl = document.createElement('span');
+  titleEl.className   = 'news-title';
+  titleEl.textContent = title;
+
+  const metaEl = document.createElement('span');
+  metaEl.className   = 'news-meta';
+  metaEl.textContent = [source, publishedAt && timeAgo(publishedAt)].filter(Boolean).join(' · ');
+
+  link.append(titleEl, metaEl);
+  return link;
+}
+
+async function toggleNews(card) {
+  const el   = card.querySelector('.stock-news');
+  const open = el.classList.contains('hidden');
+  el.classList.toggle('hidden', !open);
+  card.classList.toggle('news-open', open);
+  card.querySelector('.stock-news-btn').setAttribute('aria-expanded', String(open));
+  if (!open) return;
+
+  el.textContent = '…';
+  const items = await chrome.runtime
+    .sendMessage({ type: 'news', ticker: card.dataset.ticker })
+    .catch(() => null);
+  if (el.classList.contains('hidden')) return; // closed again while loading
+  if (!items)             el.textContent = "Couldn't load news";
+  else if (!items.length) el.textContent = 'No recent headlines';
+  else                    el.replaceChildren(...items.map(buildNewsItem));
+}
+
+// ─── Watchlist order & groups ──────────────────────────────────────────────────
+// Rows are laid out by watchlistLayout (quotes.js): a header per named group,
+// collapsible, and rows dragged or moved with Alt+↑/↓ save their new place to
+// stockWidgets. While sorted by change or name the order isn't the stored
+// one, so moving rows is switched off.
+
+function buildGroupHeader(group) {
+  const header = document.createElement('div');
+  header.className     = 'stock-group';
+  header.dataset.group = group;
+  header.tabIndex      = 0;
+  header.setAttribute('role', 'button');
+
+  const caret = document.createElement('span');
+  caret.className = 'group-caret';
+
+  const name = document.createElement('span');
+  name.className   = 'group-name';
+  name.textContent = group;
+
+  const count = document.createElement('span');
+  count.className = 'group-count';
+
+  const renameBtn = document.createElement('button');
+  renameBtn.className   = 'group-rename-btn';
+  renameBtn.textContent = '✎';
+  renameBtn.title       = 'Rename group';
+  renameBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    editGroupName(header, group);
+  });
+
+  header.append(caret, name, count, renameBtn);
+  header.addEventListener('click', () => toggleGroup(group));
+  header.addEventListener('keydown', e => {
+    if (e.target !== header || (e.key !== 'Enter' && e.key !== ' ')) return;
+    e.preventDefault();
+    toggleGroup(group);
+  });
+  return header;
+}
+
+// Puts rows, their open chart panels and group headers in layout order.
+// Nodes already in place aren't touched, so focus and hover survive a redraw.
+function arrangeRows(entries, quotes, view) {
+  const list  = document.getElementById('stock-list');
+  const find  = sel => list.querySelector(sel);
+  const nodes = [];
+
+  for (const { group, tickers } of watchlistLayout(entries, quotes, view.sort)) {
+    const collapsed = group != null && view.collapsed.includes(group);
+    if (group != null) {
+      const header = find(`.stock-group[data-group="${CSS.escape(group)}"]`) ?? buildGroupHeader(group);
+      header.classList.toggle('collapsed', collapsed);
+      header.setAttribute('aria-expanded', String(!collapsed));
+      header.querySelector('.group-caret').textContent = collapsed ? '▸' : '▾';
+      header.querySelector('.group-count').textContent = tickers.length;
+      nodes.push(header);
+    }
+    for (const ticker of tickers) {
+      const row   = find(`.stock-row[data-ticker="${CSS.escape(ticker)}"]`);
+      const panel = find(`[data-chart="${CSS.escape(ticker)}"]`);
+      if (!row) continue;
+      row.classList.toggle('hidden', collapsed);
+      row.draggable = view.sort === 'manual';
+      nodes.push(row);
+      if (panel && collapsed) {
+        panel.remove();
+        row.classList.remove('expanded');
+      } else if (panel) {
+        nodes.push(panel);
+      }
+    }
+  }
+
+  // Headers of groups that no longer have rows
+  list.querySelectorAll('.stock-group').forEach(h => { if (!nodes.includes(h)) h.remove(); });
+  nodes.forEach((node, i) => {
+    if (list.children[i] !== node) list.insertBefore(node, list.children[i] ?? null);
+  });
+
+  // Names offered by the group editor in every row's panel
+  const groups = [...new Set(entries.map(e => e.group).filter(Boolean))];
+  document.getElementById('stock-group-names')
+    .replaceChildren(...groups.map(g => new Option(g)));
+}
+
+function renderSortBar(view, count) {
+  const bar = document.getElementById('stock-sort');
+  bar.classList.toggle('hidden', count < 2);
+  bar.replaceChildren(...Object.entries(WATCH_SORTS).map(([sort, label]) => {
+    const btn = document.createElement('button');
+    btn.className   = 'stock-sort-btn' + (sort === view.sort ? ' active' : '');
+    btn.textContent = label;
+    btn.setAttribute('aria-pressed', String(sort === view.sort));
+    btn.addEventListener('click', () => saveWatchView({ ...view, sort }));
+    return btn;
+  }));
+}
 
+async function toggleGroup(group) {
+  const view      = await loadWatchView();
+  const collapsed = view.collapsed.includes(group)
+    ? view.collapsed.filter(g => g !== group)
+    : [...view.collapsed, group];
+  await saveWatchView({ ...view, collapsed });
+}
+
+// Renames in place; an empty name ungroups the rows
+function editGroupName(header, group) {
+  const nameEl = header.querySelector('.group-name');
+  const input  = document.createElement('input');
+  input.className = 'group-rename';
+  input.value     = group;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  async function finish(save) {
+    if (done) return;
+    done = true;
+    const name = input.value.trim() || null;
+    input.replaceWith(nameEl);
+    if (!save || name === group) return;
+    const view = await loadWatchView();
+    await saveWatchView({ ...view, collapsed: view.collapsed.filter(g => g !== group) });
+    const list = await loadWatchlist();
+    await saveWatchlist(list.map(e => e.group === group ? { ...e, group: name } : e));
+  }
+  input.addEventListener('click', e => e.stopPropagation());
+  input.addEventListener('keydown', e => {
+    e.stopPropagation();
+    if (e.key === 'Enter')  finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+function announce(text) {
+  document.getElementById('stock-announce').textContent = text;
+}
+
+async function moveRowBy(ticker, step) {
+  const view = await loadWatchView();
+  if (view.sort !== 'manual') {
+    announce(`Sorted by ${WATCH_SORTS[view.sort].toLowerCase()} — switch to manual order to move rows`);
+    return;
+  }
+  const entries = await loadWatchlist();
+  const next    = moveEntryBy(entries, ticker, step);
+  if (next === entries) return;
+
+  // Moving into a collapsed group opens it, so the row stays in sight
+  const { group } = next.find(e => e.ticker === ticker);
+  if (view.collapsed.includes(group)) {
+    await saveWatchView({ ...view, collapsed: view.collapsed.filter(g => g !== group) });
+  }
+  await saveWatchlist(next);
+  await redrawQuotes();
+
+  const row = document.getElementById('stock-list')
+    .querySelector(`.stock-row[data-ticker="${CSS.escape(ticker)}"]`);
+  row?.focus();
+  const peers = next.filter(e => e.group === group);
+  announce(`${ticker} moved to ${peers.findIndex(e => e.ticker === ticker) + 1} of ${peers.length}` +
+           (group ? ` in ${group}` : ''));
+}
+
+// Drag and drop between rows: the drop lands before or after the row under
+// the pointer, by which half it's over; dropping on a group header puts the
+// row first in that group.
+function initRowDrag(list) {
+  let dragged = null;
+
+  const clearMarks = () => list.querySelectorAll('.drop-before, .drop-after')
+    .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+
+  function dropTarget(e) {
+    const el = e.target.closest?.('.stock-row, .stock-group');
+    if (!el || el.dataset.ticker === dragged) return null;
+    if (el.classList.contains('stock-group')) {
+      const first = el.nextElementSibling;
+      return first?.classList.contains('stock-row') ? { el, target: first.dataset.ticker, after: false } : null;
+    }
+    const rect = el.getBoundingClientRect();
+    return { el, target: el.dataset.ticker, after: e.clientY > rect.top + rect.height / 2 };
+  }
+
+  list.addEventListener('dragstart', e => {
+    const row = e.target.closest?.('.stock-row');
+    if (!row) return;
+    dragged = row.dataset.ticker;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged);
+    row.classList.add('dragging');
+  });
+
+  list.addEventListener('dragover', e => {
+    if (!dragged) return;
+    const drop = dropTarget(e);
+    clearMarks();
+    if (!drop) return;
+    e.preventDefault();
+    drop.el.classList.add(drop.after ? 'drop-after' : 'drop-before');
+  });
+
+  list.addEventListener('dragleave', e => {
+    if (!list.contains(e.relatedTarget)) clearMarks();
+  });
+
+  list.addEventListener('drop', async e => {
+    e.preventDefault();
+    const drop   = dropTarget(e);
+    const ticker = dragged;
+    clearMarks();
+    if (!drop || !ticker) return;
+    const entries = await loadWatchlist();
+    await saveWatchlist(moveEntry(entries, ticker, drop.target, drop.after));
+  });
+
+  list.addEventListener('dragend', () => {
+    list.querySelector('.dragging')?.classList.remove('dragging');
+    clearMarks();
+    dragged = null;
+  });
+}
+
+// ─── Ticker search ─────────────────────────────────────────────────────────────
+// Suggestions under the stock input as the user types (quotes.js asks Yahoo).
+// Requests wait for a pause in typing, and a reply that arrives after the
+// input has moved on is dropped.
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+function buildSuggestion({ symbol, name, exchange }, index) {
+  const item = document.createElement('li');
+  item.id             = `stock-suggest-${index}`;
+  item.className      = 'stock-suggest-item';
+  item.dataset.symbol = symbol;
+  item.setAttribute('role', 'option');
+
+  const symbolEl = document.createElement('span');
+  symbolEl.className   = 'suggest-symbol';
+  symbolEl.textContent = symbol;
+
+  const nameEl = document.createElement('span');
+  nameEl.className   = 'suggest-name';
+  nameEl.textContent = name;
+
+  const exchangeEl = document.createElement('span');
+  exchangeEl.className   = 'suggest-exchange';
+  exchangeEl.textContent = exchange;
+
+  item.append(symbolEl, nameEl, exchangeEl);
+  return item;
+}
+
+// Wires the suggestion list to `input`; `onPick(symbol)` runs when one is
+// clicked. Returns the controls the input's keydown handler needs.
+function initTickerSearch(input, onPick) {
+  const list = document.getElementById('stock-suggest');
+  let timer  = null;
+  let seq    = 0;   // bumped by every keystroke and close; stale replies compare unequal
+  let active = -1;
+
+  const items = () => [...list.children];
+
+  function setActive(index) {
+    active = index;
+    items().forEach((item, i) => {
+      item.classList.toggle('active', i === index);
+      item.setAttribute('aria-selected', String(i === index));
+    });
+    if (index >= 0) input.setAttribute('aria-activedescendant', items()[index].id);
+    else            input.removeAttribute('aria-activedescendant');
+  }
+
+  function show(results) {
+    list.replaceChildren(...results.map(buildSuggestion));
+    list.classList.toggle('hidden', !results.length);
+    input.setAttribute('aria-expanded', String(results.length > 0));
+    setActive(-1);
+  }
+
+  function hide() {
+    seq++;
+    clearTimeout(timer);
+    show([]);
+  }
+
+  input.addEventListener('input', () => {
+    const query = input.value.trim();
+    const mine  = ++seq;
+    clearTimeout(timer);
+    if (!query) { show([]); return; }
+    timer = setTimeout(async () => {
+      const results = await chrome.runtime
+        .sendMessage({ type: 'search-symbols', query })
+        .catch(() => null);
+      if (mine === seq) show(results ?? []);
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  // Keep focus in the input, so the click doesn't close the panel first
+  list.addEventListener('mousedown', e => e.preventDefault());
+  list.addEventListener('click', e => {
+    const item = e.target.closest('.stock-suggest-item');
+    if (item) onPick(item.dataset.symbol);
+  });
+
+  return {
+    hide,
+    isOpen:   () => items().length > 0,
+    selected: () => (active >= 0 ? items()[active].dataset.symbol : null),
+    // Arrow keys step through the list, wrapping at both ends
+    move(step) {
+      const n = items().length;
+      if (!n) return;
+      setActive(active < 0 && step < 0 ? n - 1 : (active + step + n) % n);
+      items()[active].scrollIntoView({ block: 'nearest' });
+    },
+  };
+}
+
+// ─── Positions ─────────────────────────────────────────────────────────────────
+// Holdings figures come from portfolio.js, already in the base currency.
+
+function formatMoney(amount, signed = false) {
+  if (amount == null) return '—';
+  return new Intl.NumberFormat(undefined, {
+    style:                 'currency',
+    currency:              SETTINGS.baseCurrency,
+    maximumFractionDigits: Math.abs(amount) >= 10_000 ? 0 : 2,
+    signDisplay:           signed ? 'exceptZero' : 'auto',
+  }).format(amount);
+}
+
+const pnlClass = amount => amount == null ? 'neutral' : amount > 0 ? 'positive' : amount < 0 ? 'negative' : 'neutral';
+
+// One "LABEL value" cell of a holdings line
+function buildStat(label, value, tone = '') {
+  const stat = document.createElement('span');
+  stat.className = 'position-stat';
+
+  const labelEl = document.createElement('span');
+  labelEl.className   = 'position-label';
+  labelEl.textContent = label;
+
+  const valueEl = document.createElement('span');
+  valueEl.className   = `position-value ${tone}`;
+  valueEl.textContent = value;
+
+  stat.append(labelEl, valueEl);
+  return stat;
+}
+
+function pnlStats({ value, dayPnl, unrealized, cost }) {
+  const pct = unrealized != null && cost ? ` ${formatChange(unrealized / cost * 100)}` : '';
+  return [
+    buildStat('Value', formatMoney(value)),
+    buildStat('Day',   formatMoney(dayPnl, true),            pnlClass(dayPnl)),
+    buildStat('P&L',   formatMoney(unrealized, true) + pct,  pnlClass(unrealized)),
+  ];
+}
+
+function renderPosition(ticker, position) {
   const card = document.getElementById('stock-list')
     .querySelector(`[data-ticker="${CSS.escape(ticker)}"]`);
-  card?.remove();
+  const el = card?.querySelector('.stock-position');
+  if (!el) return;
+  el.classList.toggle('hidden', !position);
+  if (position) el.replaceChildren(...pnlStats(position));
 }
 
-async function refreshAllTickers() {
-  const list = await loadSavedTickers();
-  await Promise.all(list.map(async ticker => {
-    const data = await fetchStockQuote(ticker);
-    upsertCard(ticker, data);
-  }));
+function renderPortfolioTotal(positions) {
+  const el = document.getElementById('stock-total');
+  el.classList.toggle('hidden', !positions.length);
+  if (!positions.length) return;
+
+  const total = portfolioTotal(positions);
+  const title = document.createElement('span');
+  title.className   = 'stock-total-title';
+  title.textContent = total.partial ? 'Portfolio*' : 'Portfolio';
+  el.title = total.partial ? 'Some holdings have no price or exchange rate yet and are left out' : '';
+
+  const stats = document.createElement('div');
+  stats.className = 'stock-position';
+  stats.append(...pnlStats(total));
+  el.replaceChildren(title, stats);
 }
 
-// ─── Note helpers ──────────────────────────────────────────────────────────────
+// ─── Row panel editors ─────────────────────────────────────────────────────────
+// A row's expanded panel holds, under its chart, editors for the ticker's lots
+// and alert rules. Every edit saves the complete rows to the watchlist entry;
+// the storage listener in initWidget redraws the figures.
 
-async function loadNoteHtml() {
-  const { noteContent } = await chrome.storage.local.get(NOTE_KEY);
-  return noteContent || null;
+async function updateWatchEntry(ticker, patch) {
+  const list = await loadWatchlist();
+  await saveWatchlist(list.map(e => e.ticker === ticker ? { ...e, ...patch } : e));
 }
 
+// Header with a title and an add button, over a list of editable rows
+function buildPanelSection(className, title, addLabel) {
+  const wrap = document.createElement('div');
+  wrap.className = `panel-section ${className}`;
+
+  const header = document.createElement('div');
+  header.className = 'panel-section-header';
+  const titleEl = document.createElement('span');
+  titleEl.textContent = title;
+  const addBtn = document.createElement('button');
+  addBtn.className   = 'panel-add';
+  addBtn.textContent = addLabel;
+  header.append(titleEl, addBtn);
+
+  const rows = document.createElement('div');
+  rows.className = 'panel-rows';
+  wrap.append(header, rows);
+  return { wrap, rows, addBtn };
+}
+
+function buildNumberInput(className, placeholder, value) {
+  const input = document.createElement('input');
+  input.className   = className;
+  input.type        = 'number';
+  input.step        = 'any';
+  input.placeholder = placeholder;
+  input.value       = value ?? '';
+  return input;
+}
+
+function buildSelect(className, options, value) {
+  const select = document.createElement('select');
+  select.className = className;
+  Object.entries(options).forEach(([v, label]) => select.add(new Option(label, v)));
+  select.value = value;
+  return select;
+}
+
+// ✕ at the end of an editor row; removing a row saves like any other edit
+function appendRemoveButton(row, title, save) {
+  const remove = document.createElement('button');
+  remove.className   = 'panel-remove';
+  remove.textContent = '✕';
+  remove.title       = title;
+  remove.addEventListener('click', () => { row.remove(); save(); });
+  row.appendChild(remove);
+}
+
+// Group name, picked from the existing ones or typed new; blank ungroups
+function buildGroupEditor(ticker) {
+  const wrap = document.createElement('div');
+  wrap.className = 'panel-section stock-group-editor';
+
+  const header = document.createElement('div');
+  header.className = 'panel-section-header';
+  const titleEl = document.createElement('span');
+  titleEl.textContent = 'Group';
+  header.appendChild(titleEl);
+
+  const input = document.createElement('input');
+  input.className   = 'group-input';
+  input.placeholder = 'None — type a name, e.g. Tech';
+  input.setAttribute('list', 'stock-group-names');
+  loadWatchlist().then(list => {
+    input.value = list.find(e => e.ticker === ticker)?.group ?? '';
+  });
+  input.addEventListener('change', () => updateWatchEntry(ticker, { group: input.value.trim() || null }));
+
+  wrap.append(header, input);
+  return wrap;
+}
+
+function buildLotEditor(ticker) {
+  const { wrap, rows, addBtn } = buildPanelSection('stock-lots', 'Position', '+ LOT');
+
+  const save = debounce(() => updateWatchEntry(ticker, {
+    lots: validLots([...rows.children].map(row => ({
+      qty:      parseFloat(row.querySelector('.lot-qty').value),
+      cost:     parseFloat(row.querySelector('.lot-cost').value),
+      currency: row.querySelector('.lot-currency').value,
+    }))),
+  }), 500);
+
+  function addRow(lot, defaultCurrency) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+
+    const currency = lot?.currency || defaultCurrency;
+    const inputs   = [
+      buildNumberInput('lot-qty',  'Qty',  lot?.qty),
+      buildNumberInput('lot-cost', 'Cost', lot?.cost),
+      buildSelect('lot-currency', Object.fromEntries([...CURRENCIES, currency].map(c => [c, c])), currency),
+    ];
+    inputs.forEach(input => input.addEventListener('input', save));
+    row.append(...inputs);
+    appendRemoveButton(row, 'Remove lot', save);
+    rows.appendChild(row);
+    return row;
+  }
+
+  (async () => {
+    const [list, { [QUOTES_KEY]: quotes = {} }] = await Promise.all([
+      loadWatchlist(),
+      chrome.storage.local.get(QUOTES_KEY),
+    ]);
+    const currency = quoteCurrency(ticker, quotes[ticker]);
+    const entry    = list.find(e => e.ticker === ticker);
+    validLots(entry?.lots).forEach(lot => addRow(lot, currency));
+    addBtn.addEventListener('click', () => addRow(null, currency).querySelector('.lot-qty').focus());
+  })();
+
+  return wrap;
+}
+
+// Rule ids survive edits, so the state the worker keeps follows the rule
+function buildAlertEditor(ticker) {
+  const { wrap, rows, addBtn } = buildPanelSection('stock-alerts', 'Alerts', '+ ALERT');
+
+  const save = debounce(() => updateWatchEntry(ticker, {
+    alerts: validAlerts([...rows.children].map(row => ({
+      id:    row.dataset.id,
+      type:  row.querySelector('.alert-type').value,
+      value: parseFloat(row.querySelector('.alert-value').value),
+    }))),
+  }), 500);
+
+  function addRow(rule) {
+    const row = document.createElement('div');
+    row.className  = 'panel-row';
+    row.dataset.id = rule?.id ?? crypto.randomUUID();
+
+    const inputs = [
+      buildSelect('alert-type', ALERT_TYPES, rule?.type ?? 'above'),
+      buildNumberInput('alert-value', 'Value', rule?.value),
+    ];
+    inputs.forEach(input => input.addEventListener('input', save));
+    row.append(...inputs);
+    appendRemoveButton(row, 'Remove alert', save);
+    rows.appendChild(row);
+    return row;
+  }
+
+  (async () => {
+    const entry = (await loadWatchlist()).find(e => e.ticker === ticker);
+    validAlerts(entry?.alerts).forEach(addRow);
+    addBtn.addEventListener('click', () => addRow(null).querySelector('.alert-value').focus());
+  })();
+
+  return wrap;
+}
+
+// ─── Note helpers ──────────────────────────────────────────────────────────────
+// The pad edits one note at a time — `currentNote`, as last saved. The notes
+// themselves are stored by notes.js.
+
+let currentNote = null;
+
 async function _saveNote() {
   const editor = document.getElementById('note-editor');
   // Sync checkbox checked state → HTML attribute so innerHTML serialises correctly
@@ -577,7 +1314,76 @@ async function _saveNote() {
     if (cb.checked) cb.setAttribute('checked', '');
     else            cb.removeAttribute('checked');
   });
-  await chrome.storage.local.set({ [NOTE_KEY]: editor.innerHTML });
+  // Unchanged — a save queued before switching notes lands here too
+  if (!currentNote || editor.innerHTML === currentNote.html) return;
+  currentNote = {
+    ...currentNote,
+    html:      editor.innerHTML,
+    preview:   notePreview(editor.innerHTML),
+    updatedAt: Date.now(),
+  };
+  await saveNote(currentNote);
+  await recordSnapshot(currentNote.id, currentNote.html, 'edit');
+  document.getElementById('note-title').textContent = noteLabel(currentNote);
+}
+
+// Stored HTML is sanitized on its way in (notes.js) — whatever storage holds
+function setEditorHtml(html) {
+  const editor = document.getElementById('note-editor');
+  editor.innerHTML = sanitizeNoteHtml(html) || '<div><br></div>';
+  editor.querySelectorAll('.note-todo').forEach(attachTodoListener);
+}
+
+// A line's content as inline Markdown (notes.js); Shift+Enter breaks become '\n'
+function inlineMarkdown(node) {
+  return [...node.childNodes].map(n => {
+    if (n.nodeType === Node.TEXT_NODE) return escapeInline(n.data.replace(/\u00A0/g, ' '));
+    if (n.nodeName === 'BR')           return '\n';
+    if (n.nodeName === 'CODE')         return codeSpan(n.textContent);
+    const inner = inlineMarkdown(n);
+    if (n.nodeName === 'STRONG' || n.nodeName === 'B') return wrapInline(inner, '**');
+    if (n.nodeName === 'EM'     || n.nodeName === 'I') return wrapInline(inner, inner.includes('**') ? '_' : '*');
+    if (n.nodeName === 'A' && n.getAttribute('href'))  return linkMarkdown(inner, n.getAttribute('href'));
+    return inner;
+  }).join('');
+}
+
+// A code line's text as typed
+function rawText(node) {
+  return [...node.childNodes]
+    .map(n => n.nodeName === 'BR' ? '\n' : n.nodeType === Node.TEXT_NODE ? n.data : rawText(n))
+    .join('');
+}
+
+const BLOCK_TYPES = ['h1', 'h2', 'h3', 'h4', 'bullet', 'numbered', 'quote', 'code'];
+
+// The editor's lines as notes.js blocks. A bare text node the browser left at
+// the top level is a plain line.
+function editorBlocks(editor) {
+  const lineText = node => inlineMarkdown(node).replace(/\n$/, '');
+
+  return [...editor.childNodes].flatMap(node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.data.trim() ? [{ type: 'p', text: escapeInline(node.data) }] : [];
+    if (!(node instanceof HTMLElement))   return [];
+    if (node.classList.contains('note-divider')) return [{ type: 'divider', text: '' }];
+    if (node.classList.contains('note-todo')) {
+      const span = node.querySelector('span');
+      return [{ type: 'todo', text: span ? lineText(span) : '', done: !!node.querySelector('input')?.checked }];
+    }
+    const type = BLOCK_TYPES.find(t => node.classList.contains(`note-${t}`)) ?? 'p';
+    return [{ type, text: type === 'code' ? rawText(node).replace(/\n$/, '') : lineText(node) }];
+  });
+}
+
+// Puts back a note's earlier content — into the editor if it's the open note
+async function restoreNoteHtml(id, html) {
+  if (currentNote?.id === id) {
+    setEditorHtml(html);
+    await _saveNote();
+    return;
+  }
+  const [note] = await loadNotes([id]);
+  if (note) await saveNote({ ...note, html, preview: notePreview(html), updatedAt: Date.now() });
 }
 
 const debouncedSaveNote = debounce(_saveNote, 600);
@@ -593,14 +1399,45 @@ function getCaretBlock() {
   return (node instanceof HTMLElement && node !== editor) ? node : null;
 }
 
+// Blocks whose class came from a markdown prefix
+const MARKDOWN_BLOCK_CLASSES = [
+  'note-h1', 'note-h2', 'note-h3', 'note-h4', 'note-bullet', 'note-numbered', 'note-quote', 'note-code',
+];
+
+const isMarkdownBlock = block => MARKDOWN_BLOCK_CLASSES.some(c => block.classList.contains(c));
+
+function placeCaret(node, offset = 0) {
+  const range = document.createRange();
+  range.setStart(node, offset);
+  range.collapse(true);
+  window.getSelection().removeAllRanges();
+  window.getSelection().addRange(range);
+}
+
+// Empties the block and gives it `className` ('' = plain body text)
+function resetBlock(block, className = '') {
+  block.className = className;
+  block.innerHTML = '<br>';
+  placeCaret(block);
+}
+
+// --- → a rule in place of the line, with an empty line under it to type on
+function insertDivider(block) {
+  const hr = document.createElement('hr');
+  hr.className = 'note-divider';
+  const line = document.createElement('div');
+  line.innerHTML = '<br>';
+  block.replaceWith(hr, line);
+  placeCaret(line);
+}
+
 // Called from 'input' event after Space has already been inserted by the browser.
 // If the block text (trimmed) is exactly a markdown prefix, convert it.
 function tryConvertMarkdown() {
   const block = getCaretBlock();
   if (!block || block.classList.contains('note-todo')) return;
   // Skip blocks already carrying a markdown class (already converted)
-  if (['note-h1','note-h2','note-h3','note-h4','note-bullet']
-        .some(c => block.classList.contains(c))) return;
+  if (isMarkdownBlock(block)) return;
 
   const raw     = block.textContent;
   const trimmed = raw.trim();
@@ -614,41 +1451,118 @@ function tryConvertMarkdown() {
     return;
   }
 
-  // Heading / bullet prefix + Space → styled empty block
+  // --- + Space → divider
+  if (trimmed === '---') {
+    insertDivider(block);
+    return;
+  }
+
+  // Heading / list / quote / code prefix + Space → styled empty block
   let cls = null;
-  if      (trimmed === '####') cls = 'note-h4';
-  else if (trimmed === '###')  cls = 'note-h3';
-  else if (trimmed === '##')   cls = 'note-h2';
-  else if (trimmed === '#')    cls = 'note-h1';
-  else if (trimmed === '-')    cls = 'note-bullet';
+  if      (trimmed === '####')      cls = 'note-h4';
+  else if (trimmed === '###')       cls = 'note-h3';
+  else if (trimmed === '##')        cls = 'note-h2';
+  else if (trimmed === '#')         cls = 'note-h1';
+  else if (trimmed === '-')         cls = 'note-bullet';
+  else if (/^\d+\.$/.test(trimmed)) cls = 'note-numbered';
+  else if (trimmed === '>')         cls = 'note-quote';
+  else if (trimmed === '```')       cls = 'note-code';
   if (!cls) return;
 
-  block.className = cls;
-  block.innerHTML = '<br>';
-  const range = document.createRange();
-  range.setStart(block, 0);
-  range.collapse(true);
-  window.getSelection().removeAllRanges();
-  window.getSelection().addRange(range);
+  resetBlock(block, cls);
 }
 
-// Backspace on an empty markdown block → reset to plain body text
-function tryResetMarkdown(e) {
-  const block = getCaretBlock();
-  if (!block) return;
-  if (!['note-h1','note-h2','note-h3','note-h4','note-bullet']
-        .some(c => block.classList.contains(c))) return;
-  if (block.textContent.trim()) return; // still has content → normal backspace
+// Inline shortcuts, matched against the text before the caret once the
+// closing mark is typed
+const INLINE_SHORTCUTS = [
+  { tag: 'code',   pattern: /`([^`]+)`$/ },
+  { tag: 'strong', pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/ },
+  { tag: 'em',     pattern: /(?<!\*)\*([^*\s](?:[^*]*[^*\s])?)\*$/ },
+  { tag: 'a',      pattern: /\[([^\]]+)\]\(([^)\s]+)\)$/ },
+];
+
+// The element the last inline shortcut made, and what was typed for it, so
+// Backspace straight after can turn it back
+let lastInline = null;
+
+function tryConvertInline() {
+  const sel = window.getSelection();
+  if (!sel?.rangeCount || !sel.isCollapsed) return;
+  const { startContainer: node, startOffset: offset } = sel.getRangeAt(0);
+  if (node.nodeType !== Node.TEXT_NODE || node.parentElement.closest('code, a, .note-code')) return;
+
+  const before = node.data.slice(0, offset);
+  for (const { tag, pattern } of INLINE_SHORTCUTS) {
+    const m = before.match(pattern);
+    if (!m) continue;
+    const el = document.createElement(tag);
+    if (tag === 'a') {
+      const url = safeLinkUrl(m[2]);
+      if (!url) return;
+      el.href   = url;
+      el.target = '_blank';
+      el.rel    = 'noopener noreferrer';
+    }
+    el.textContent = m[1];
+
+    const range = document.createRange();
+    range.setStart(node, m.index);
+    range.setEnd(node, offset);
+    range.deleteContents();
+    range.insertNode(el);
+    // Caret just outside the new element, so what's typed next is plain
+    const after = document.createTextNode('');
+    el.after(after);
+    placeCaret(after);
+    lastInline = { el, source: m[0] };
+    return;
+  }
+}
+
+// Backspace right after an inline shortcut → the marks as they were typed
+function tryRevertInline(e) {
+  const made = lastInline;
+  lastInline = null;
+  const sel  = window.getSelection();
+  if (!made?.el.isConnected || !sel?.rangeCount || !sel.isCollapsed) return false;
+  const { startContainer: node, startOffset: offset } = sel.getRangeAt(0);
+  const rightAfter = (node === made.el.nextSibling && offset === 0) ||
+                     (node === made.el.parentNode && node.childNodes[offset - 1] === made.el);
+  if (!rightAfter) return false;
 
   e.preventDefault();
-  block.className = '';
-  block.innerHTML = '<br>';
-  const range = document.createRange();
-  range.setStart(block, 0);
-  range.collapse(true);
-  window.getSelection().removeAllRanges();
-  window.getSelection().addRange(range);
+  const text = document.createTextNode(made.source);
+  made.el.replaceWith(text);
+  placeCaret(text, text.length);
   debouncedSaveNote();
+  return true;
+}
+
+function caretAtBlockStart(block) {
+  const range = window.getSelection().getRangeAt(0);
+  const head  = document.createRange();
+  head.selectNodeContents(block);
+  head.setEnd(range.startContainer, range.startOffset);
+  return range.collapsed && head.toString() === '';
+}
+
+// Backspace on an empty markdown block → reset to plain body text; at the
+// start of the line under a divider → remove the divider
+function tryResetMarkdown(e) {
+  if (tryRevertInline(e)) return;
+  const block = getCaretBlock();
+  if (!block) return;
+  if (isMarkdownBlock(block) && !block.textContent.trim()) {
+    e.preventDefault();
+    resetBlock(block);
+    debouncedSaveNote();
+    return;
+  }
+  if (block.previousElementSibling?.classList.contains('note-divider') && caretAtBlockStart(block)) {
+    e.preventDefault();
+    block.previousElementSibling.remove();
+    debouncedSaveNote();
+  }
 }
 
 function attachTodoListener(wrap) {
@@ -696,12 +1610,27 @@ function initNoteEditor(editor) {
   editor.addEventListener('compositionstart', () => { _composing = true;  });
   editor.addEventListener('compositionend',   () => { _composing = false; });
 
+  // Pasted Markdown and rich text arrive as editor blocks — see handleNotePaste
+  editor.addEventListener('paste', handleNotePaste);
+
   // input fires AFTER the character is in the DOM — reliable for Space detection
   editor.addEventListener('input', () => {
-    if (!_composing) tryConvertMarkdown();
+    lastInline = null;
+    if (!_composing) {
+      tryConvertMarkdown();
+      tryConvertInline();
+    }
     debouncedSaveNote();
   });
 
+  // Links open in a new tab rather than taking the caret
+  editor.addEventListener('click', e => {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+    e.preventDefault();
+    window.open(link.href, '_blank', 'noopener');
+  });
+
   editor.addEventListener('keydown', e => {
     // Never intercept keys while IME is composing
     if (e.isComposing || _composing) return;
@@ -717,13 +1646,31 @@ function initNoteEditor(editor) {
     if (!block) return;
 
     // /todo + Enter → checkbox (handles '/todo 买牛奶' + Enter too)
-    if (/^\/todo(\s|$)/i.test(block.textContent.trim())) {
+    const text = block.textContent.trim();
+    if (/^\/todo(\s|$)/i.test(text)) {
       e.preventDefault();
       convertToTodo(block);
       debouncedSaveNote();
       return;
     }
 
+    // ``` + Enter (a language after it is dropped) → code block; --- + Enter → divider
+    if (!isMarkdownBlock(block) && !block.classList.contains('note-todo') && /^(```\w*|---)$/.test(text)) {
+      e.preventDefault();
+      if (text === '---') insertDivider(block);
+      else                resetBlock(block, 'note-code');
+      debouncedSaveNote();
+      return;
+    }
+
+    // Enter on an empty list item or quote line ends the list or quote
+    if (['note-bullet', 'note-numbered', 'note-quote'].some(c => block.classList.contains(c)) && !text) {
+      e.preventDefault();
+      resetBlock(block);
+      debouncedSaveNote();
+      return;
+    }
+
     // Heading → next line should be normal text (strip class after browser creates div)
     if (['note-h1','note-h2','note-h3','note-h4'].some(c => block.classList.contains(c))) {
       setTimeout(() => {
@@ -736,27 +1683,454 @@ function initNoteEditor(editor) {
   });
 }
 
+// ─── Note switcher ─────────────────────────────────────────────────────────────
+// The toolbar's title opens a list of every note — pinned first, then the most
+// recently edited — to open, pin, rename or delete one, or start a new one.
+
+function showNote(note) {
+  setEditorHtml(note.html);
+  // Compared with what the editor now holds, so sanitizing alone isn't an edit
+  currentNote = { ...note, html: document.getElementById('note-editor').innerHTML };
+  document.getElementById('note-title').textContent = noteLabel(note);
+  toggleNoteHistory(false);
+}
+
+async function openNote(id) {
+  await _saveNote();
+  const [note] = await loadNotes([id]);
+  if (!note) return;
+  await updateNoteIndex(() => ({ active: id, open: true }));
+  showNote(note);
+}
+
+async function createNote(fields = {}) {
+  await _saveNote();
+  const note = newNote(Date.now(), fields);
+  await saveNote(note);
+  await updateNoteIndex(index => ({ ids: [...index.ids, note.id], active: note.id, open: true }));
+  showNote(note);
+  return note;
+}
+
+// Name and pin edits; the open note is patched in place so its next save keeps them
+async function patchNote(id, patch) {
+  if (currentNote?.id === id) {
+    currentNote = { ...currentNote, ...patch };
+    await saveNote(currentNote);
+    document.getElementById('note-title').textContent = noteLabel(currentNote);
+    return;
+  }
+  const [note] = await loadNotes([id]);
+  if (note) await saveNote({ ...note, ...patch });
+}
+
+// Deleting the open note opens the next one, or a fresh one if it was the
+// last. Until the toast goes, undo brings it back, history and all — and
+// drops the fresh one again if nothing was written in it.
+async function removeNote(id) {
+  if (currentNote?.id === id) await _saveNote();
+  const [note]  = currentNote?.id === id ? [currentNote] : await loadNotes([id]);
+  const history = await loadNoteHistory(id);
+  let fresh = null;
+  await deleteNote(id);
+  if (note) {
+    showNoteToast(`Deleted “${noteLabel(note)}”`, async () => {
+      await restoreNote(note, history);
+      await openNote(note.id);
+      const [stub] = fresh ? await loadNotes([fresh.id]) : [];
+      if (stub && !notePreview(stub.html)) await deleteNote(stub.id);
+    });
+  }
+  if (currentNote?.id !== id) return;
+  currentNote = null;
+  const [next] = sortNotes(await loadNotes((await loadNoteIndex()).ids));
+  if (next) await openNote(next.id);
+  else      fresh = await createNote();
+}
+
+function noteMenuButton(className, text, title, onClick) {
+  const btn = document.createElement('button');
+  btn.className   = className;
+  btn.textContent = text;
+  btn.title       = title;
+  btn.addEventListener('click', e => {
+    e.stopPropagation();
+    onClick(btn);
+  });
+  return btn;
+}
+
+function buildNoteMenuItem(note) {
+  const item = document.createElement('div');
+  item.className = 'note-menu-item';
+  item.classList.toggle('active', note.id === currentNote?.id);
+
+  const pin = noteMenuButton('note-pin', note.pinned ? '★' : '☆', note.pinned ? 'Unpin' : 'Pin', async () => {
+    await patchNote(note.id, { pinned: !note.pinned });
+    renderNoteMenu();
+  });
+  pin.setAttribute('aria-pressed', String(note.pinned));
+
+  const open = noteMenuButton('note-open', noteLabel(note), `Edited ${timeAgo(note.updatedAt)}`, async () => {
+    toggleNoteMenu(false);
+    await openNote(note.id);
+  });
+
+  const rename = noteMenuButton('note-rename-btn', '✎', 'Rename', () => editNoteName(open, note));
+
+  const remove = noteMenuButton('note-delete', '✕', 'Delete', async () => {
+    await removeNote(note.id);
+    renderNoteMenu();
+  });
+
+  item.append(pin, open, rename, remove);
+  return item;
+}
+
+async function renderNoteMenu() {
+  const menu  = document.getElementById('note-menu');
+  const notes = sortNotes(await loadNotes((await loadNoteIndex()).ids));
+  const add   = noteMenuButton('note-new', '+ NEW NOTE', 'New note', async () => {
+    toggleNoteMenu(false);
+    await createNote();
+    document.getElementById('note-editor').focus();
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'note-menu-footer';
+  footer.append(
+    add,
+    noteMenuButton('note-md-action', 'COPY MD', 'Copy this note as Markdown', copyNoteMarkdown),
+    noteMenuButton('note-md-action', '.MD ↓', 'Download this note as Markdown', downloadNoteMarkdown),
+    noteMenuButton('note-md-action', 'IMPORT', 'New note from a Markdown file', () => {
+      document.getElementById('note-import').click();
+    }),
+  );
+  menu.replaceChildren(...notes.map(buildNoteMenuItem), footer);
+}
+
+function toggleNoteMenu(open) {
+  const menu = document.getElementById('note-menu');
+  menu.classList.toggle('hidden', !open);
+  document.getElementById('note-title').setAttribute('aria-expanded', String(open));
+  if (open) renderNoteMenu();
+}
+
+function editNoteName(openBtn, note) {
+  const input = document.createElement('input');
+  input.className   = 'note-rename';
+  input.value       = note.name;
+  input.placeholder = noteLabel(note);
+  openBtn.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  async function finish(save) {
+    if (done) return;
+    done = true;
+    input.replaceWith(openBtn);
+    const name = input.value.trim();
+    if (!save || name === note.name) return;
+    await patchNote(note.id, { name });
+    renderNoteMenu();
+  }
+  input.addEventListener('click', e => e.stopPropagation());
+  input.addEventListener('keydown', e => {
+    e.stopPropagation();
+    if (e.key === 'Enter')  finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// ─── Markdown ──────────────────────────────────────────────────────────────────
+// The open note goes out as Markdown — to the clipboard or a .md file — and
+// Markdown comes in as a new note from a file, or into the open one when
+// pasted (below). The conversion itself is in notes.js.
+
+const noteMarkdown = () => blocksToMarkdown(editorBlocks(document.getElementById('note-editor')));
+
+async function copyNoteMarkdown() {
+  try {
+    await navigator.clipboard.writeText(noteMarkdown());
+    showNoteToast('Copied as Markdown');
+  } catch (err) {
+    console.warn('[Daily Impressionist] Copy failed:', err);
+    showNoteToast('Couldn’t copy the note');
+  }
+}
+
+function downloadNoteMarkdown() {
+  const url  = URL.createObjectURL(new Blob([noteMarkdown()], { type: 'text/markdown' }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = markdownFileName(noteLabel(currentNote));
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// A file becomes a note of its own, named after the file
+async function importMarkdownFile(file) {
+  const html = blocksToHtml(markdownToBlocks(await file.text()));
+  toggleNoteMenu(false);
+  const note = await createNote({
+    name:    file.name.replace(/\.(md|markdown|txt)$/i, ''),
+    html,
+    preview: notePreview(html),
+  });
+  showNoteToast(`Imported “${noteLabel(note)}”`);
+}
+
+// ─── Pasting ───────────────────────────────────────────────────────────────────
+// Nothing pasted goes into the editor as it came. Markdown is converted, and
+// rich text from web pages and other apps is flattened into editor blocks by
+// htmlToBlocks (notes.js), which keeps bold, italic, code and links and drops
+// styles, images, scripts and event handlers. Plain text is left to the browser.
+
+// Rich text that is really Markdown source, as code editors copy it
+const MARKUP_TAGS = /<(ul|ol|li|h[1-6]|blockquote|strong|b|em|i|a)\b/i;
+
+function handleNotePaste(e) {
+  const html = e.clipboardData?.getData('text/html') ?? '';
+  const text = e.clipboardData?.getData('text/plain') ?? '';
+  if (!currentNote) return;
+  if (looksLikeMarkdown(text) && !MARKUP_TAGS.test(html)) {
+    e.preventDefault();
+    pasteBlocks(markdownToBlocks(text.replace(/\s+$/, '')), 'Pasted as Markdown');
+  } else if (html) {
+    e.preventDefault();
+    const blocks = htmlToBlocks(html);
+    if (blocks.length > 1 || (blocks[0] && blocks[0].type !== 'p')) pasteBlocks(blocks, 'Pasted');
+    else if (blocks.length)                                         pasteInline(blocks[0].text, text);
+  }
+}
+
+// One line of rich text goes in at the caret. Without marks it goes in as
+// the clipboard's plain text, through the browser so its undo still works.
+function pasteInline(markdown, plain) {
+  const html = inlineHtml(markdown.replace(/\n/g, ' '));
+  if (!/<(strong|em|code|a)\b/.test(html) && document.execCommand('insertText', false, plain)) return;
+
+  const sel = window.getSelection();
+  if (!sel.rangeCount) return;
+  const range = sel.getRangeAt(0);
+  range.deleteContents();
+  const holder = document.createElement('div');
+  holder.innerHTML = html;
+  const fragment = document.createDocumentFragment();
+  fragment.append(...holder.childNodes);
+  const last = fragment.lastChild;
+  if (!last) return;
+  range.insertNode(fragment);
+  range.setStartAfter(last);
+  range.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(range);
+  debouncedSaveNote();
+}
+
+// Pasted lines replace the selection as blocks of their own — after the
+// caret's line, or in its place if that line is empty. The browser's undo
+// doesn't see changes made this way, so the toast offers one.
+async function pasteBlocks(blocks, message) {
+  await _saveNote();
+  const { id, html } = currentNote;
+  const editor = document.getElementById('note-editor');
+  const sel    = window.getSelection();
+  if (sel.rangeCount && !sel.isCollapsed) sel.deleteFromDocument();
+
+  const holder = document.createElement('div');
+  holder.innerHTML = blocksToHtml(blocks);
+  const added = [...holder.children];
+  if (!added.length) return;
+  added.filter(el => el.classList.contains('note-todo')).forEach(attachTodoListener);
+
+  const block = getCaretBlock();
+  if (!block)                                                                  editor.append(...added);
+  else if (!block.textContent.trim() && !block.classList.contains('note-todo')) block.replaceWith(...added);
+  else                                                                         block.after(...added);
+
+  const last  = added.at(-1);
+  const range = document.createRange();
+  if (last.nodeName === 'HR') range.setStartAfter(last);
+  else                        range.selectNodeContents(last.querySelector('span') ?? last);
+  range.collapse(false);
+  sel.removeAllRanges();
+  sel.addRange(range);
+
+  await _saveNote();
+  showNoteToast(message, () => restoreNoteHtml(id, html));
+}
+
+// ─── Note history ──────────────────────────────────────────────────────────────
+// ↺ swaps the editor for the open note's versions (notes.js): pick one to
+// preview it, then restore it or go back to the list.
+
+function formatVersionTime(ms) {
+  return new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+async function toggleNoteHistory(open) {
+  const panel = document.getElementById('note-history');
+  document.getElementById('note-pad').classList.toggle('history-open', open);
+  document.getElementById('note-history-btn').setAttribute('aria-pressed', String(open));
+  panel.classList.toggle('hidden', !open);
+  if (!open) return;
+  toggleNoteMenu(false);
+  await _saveNote(); // so the newest version is what was on screen
+  renderNoteHistory();
+}
+
+async function renderNoteHistory() {
+  const panel   = document.getElementById('note-history');
+  const history = currentNote ? await loadNoteHistory(currentNote.id) : [];
+  if (!history.length) {
+    const empty = document.createElement('p');
+    empty.className   = 'note-history-empty';
+    empty.textContent = 'No versions yet — they are kept as you write';
+    panel.replaceChildren(empty);
+    return;
+  }
+  panel.replaceChildren(...history.map(buildVersionItem));
+}
+
+function buildVersionItem(version) {
+  const item = document.createElement('button');
+  item.className = 'note-version';
+
+  const time = document.createElement('span');
+  time.className   = 'note-version-time';
+  time.textContent = formatVersionTime(version.at);
+
+  const reason = document.createElement('span');
+  reason.className   = 'note-version-reason';
+  reason.textContent = SNAPSHOT_REASONS[version.reason] ?? '';
+
+  const text = document.createElement('span');
+  text.className   = 'note-version-text';
+  text.textContent = notePreview(version.html) || 'Empty';
+
+  item.append(time, reason, text);
+  item.addEventListener('click', () => previewVersion(version));
+  return item;
+}
+
+function previewVersion(version) {
+  const content = document.createElement('div');
+  content.className = 'note-editor note-version-preview';
+  content.innerHTML = sanitizeNoteHtml(version.html) || '<div><br></div>';
+  content.querySelectorAll('input').forEach(input => { input.disabled = true; });
+
+  const restore = document.createElement('button');
+  restore.className   = 'note-history-action';
+  restore.textContent = 'RESTORE';
+  restore.addEventListener('click', () => restoreVersion(version));
+
+  const back = document.createElement('button');
+  back.className   = 'note-history-action';
+  back.textContent = 'BACK';
+  back.addEventListener('click', renderNoteHistory);
+
+  const actions = document.createElement('div');
+  actions.className = 'note-history-actions';
+  actions.append(back, restore);
+
+  document.getElementById('note-history').replaceChildren(content, actions);
+}
+
+// What's in the editor now becomes a version of its own first, so a restore
+// can be undone from the same list
+async function restoreVersion(version) {
+  await _saveNote();
+  await recordSnapshot(currentNote.id, currentNote.html, 'restore');
+  setEditorHtml(version.html);
+  await _saveNote();
+  toggleNoteHistory(false);
+}
+
+// ─── Note toast ────────────────────────────────────────────────────────────────
+// Clearing, closing or deleting a note can be taken back while this shows;
+// without an `undo` it just confirms something happened.
+
+const TOAST_MS = 8000;
+
+let toastTimer = null;
+let toastUndo  = null;
+
+function showNoteToast(message, undo = null) {
+  document.getElementById('note-toast-text').textContent = message;
+  document.getElementById('note-toast').classList.remove('hidden');
+  document.getElementById('note-toast-undo').classList.toggle('hidden', !undo);
+  toastUndo = undo;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideNoteToast, TOAST_MS);
+}
+
+function hideNoteToast() {
+  document.getElementById('note-toast').classList.add('hidden');
+  toastUndo = null;
+  clearTimeout(toastTimer);
+}
+
 // ─── Widget init (stock + note) ────────────────────────────────────────────────
 
 async function initWidget() {
   // ── Stocks ────────────────────────────────────────────────────────────────
   const savedTickers = await loadSavedTickers();
   savedTickers.forEach(t => upsertCard(t, null));
-  if (savedTickers.length) refreshAllTickers();
-  setInterval(refreshAllTickers, 60_000);
+
+  // Last polled quotes draw at once — marked stale if the last refresh failed.
+  // Ask the worker only for what's missing or older than one interval, so a
+  // burst of new tabs costs one fetch; failed tickers wait for their retry.
+  const { [QUOTES_KEY]: quotes = {} } = await chrome.storage.local.get(QUOTES_KEY);
+  renderQuotes(quotes);
+  const maxAge = SETTINGS.quoteRefreshSec * 1000;
+  const now    = Date.now();
+  const due    = savedTickers.filter(t => {
+    const quote = quotes[t];
+    if (!quote)      return true;
+    if (quote.error) return now >= quote.retryAt;
+    return now - quote.fetchedAt > maxAge && needsPoll(quote, marketStatus(marketFor(t)));
+  });
+  if (due.length) chrome.runtime.sendMessage({ type: 'refresh-quotes', tickers: due });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[QUOTES_KEY]) {
+      renderQuotes(changes[QUOTES_KEY].newValue ?? {});
+    } else if (changes[STOCK_STORE_KEY] || changes[FX_KEY] || changes[ALERT_STATE_KEY] || changes[WATCH_VIEW_KEY]) {
+      // Lots, alerts or order edited, a ticker removed, a fresh exchange rate,
+      // an alert fired, or the list re-sorted or a group folded
+      redrawQuotes();
+    }
+  });
+  initRowDrag(document.getElementById('stock-list'));
+
+  // Closed markets aren't polled, so nothing else would redraw their badges at the open
+  setInterval(redrawQuotes, 60_000);
 
   // ── Note ──────────────────────────────────────────────────────────────────
   const notePad   = document.getElementById('note-pad');
   const editor    = document.getElementById('note-editor');
-  const savedNote = await loadNoteHtml();
+  const noteIndex = await loadNoteIndex();
+  const [active]  = noteIndex.active ? await loadNotes([noteIndex.active]) : [];
 
-  if (savedNote) {
-    editor.innerHTML = savedNote;
-    notePad.classList.remove('hidden');
-    editor.querySelectorAll('.note-todo').forEach(attachTodoListener);
+  if (active) {
+    showNote(active);
+    notePad.classList.toggle('hidden', !noteIndex.open);
   }
   initNoteEditor(editor);
 
+  const noteTitle = document.getElementById('note-title');
+  noteTitle.addEventListener('click', e => {
+    e.stopPropagation();
+    toggleNoteMenu(document.getElementById('note-menu').classList.contains('hidden'));
+  });
+  document.getElementById('note-menu').addEventListener('keydown', e => {
+    if (e.key === 'Escape') { toggleNoteMenu(false); noteTitle.focus(); }
+  });
+
   // − Minimize button — collapse to toolbar only / expand back
   const minimizeBtn = document.getElementById('note-minimize');
   minimizeBtn.addEventListener('click', () => {
@@ -764,20 +2138,54 @@ async function initWidget() {
     minimizeBtn.textContent = isNowMinimized ? '+' : '−';
   });
 
-  // × Close button — hides the pad AND clears content from storage
-  document.getElementById('note-close').addEventListener('click', () => {
-    editor.innerHTML = '<div><br></div>';
-    chrome.storage.local.remove(NOTE_KEY);
-    notePad.classList.add('hidden');
+  // Shows the pad, expanded, on the last open note — a new one if there are none yet
+  async function showNotePad() {
+    if (currentNote) await updateNoteIndex(() => ({ open: true }));
+    else             await createNote();
+    notePad.classList.remove('hidden');
     notePad.classList.remove('minimized');
     minimizeBtn.textContent = '−';
+  }
+
+  // × Close button — hides the pad; every note stays saved
+  document.getElementById('note-close').addEventListener('click', async () => {
+    await _saveNote();
+    notePad.classList.add('hidden');
+    toggleNoteMenu(false);
+    toggleNoteHistory(false);
+    await updateNoteIndex(() => ({ open: false }));
+    showNoteToast('Note closed', showNotePad);
   });
 
-  // ⌫ Erase button — clears content but keeps the pad open
-  document.getElementById('note-erase').addEventListener('click', () => {
-    editor.innerHTML = '<div><br></div>';
-    chrome.storage.local.remove(NOTE_KEY);
+  // ⌫ Erase button — clears the open note but keeps it and the pad. What was
+  // there is kept as a version, and the toast can put it straight back.
+  document.getElementById('note-erase').addEventListener('click', async () => {
+    await _saveNote();
+    const { id, html } = currentNote;
+    await recordSnapshot(id, html, 'clear');
+    setEditorHtml('');
+    await _saveNote();
     editor.focus();
+    showNoteToast('Note cleared', () => restoreNoteHtml(id, html));
+  });
+
+  const importInput = document.getElementById('note-import');
+  importInput.addEventListener('change', () => {
+    const [file] = importInput.files;
+    importInput.value = '';
+    if (file) importMarkdownFile(file);
+  });
+
+  document.getElementById('note-history-btn').addEventListener('click', e => {
+    e.stopPropagation();
+    toggleNoteHistory(!notePad.classList.contains('history-open'));
+  });
+
+  document.getElementById('note-toast-undo').addEventListener('click', e => {
+    e.stopPropagation();
+    const undo = toastUndo;
+    hideNoteToast();
+    undo?.();
   });
 
   // ── UI refs ───────────────────────────────────────────────────────────────
@@ -785,11 +2193,40 @@ async function initWidget() {
   const addMenu   = document.getElementById('add-menu');
   const inputWrap = document.getElementById('stock-input-wrap');
   const input     = document.getElementById('stock-input');
+  const inputErr  = document.getElementById('stock-input-error');
+  const search    = initTickerSearch(input, symbol => submitTicker(symbol));
 
   function closeAll() {
     addMenu.classList.add('hidden');
     inputWrap.classList.add('hidden');
     addBtn.classList.remove('hidden');
+    search.hide();
+    showInputError(null);
+  }
+
+  function showInputError(message) {
+    inputErr.textContent = message ?? '';
+    inputErr.classList.toggle('hidden', !message);
+    input.toggleAttribute('aria-invalid', !!message);
+  }
+
+  // Checks the symbol before it is saved; on failure the input stays open
+  // with the reason under it
+  async function submitTicker(raw) {
+    search.hide();
+    showInputError(null);
+    inputWrap.classList.add('checking');
+    input.readOnly = true;
+    let error;
+    try {
+      error = await addTicker(raw);
+    } finally {
+      input.readOnly = false;
+      inputWrap.classList.remove('checking');
+    }
+    if (!error) { closeAll(); return; }
+    showInputError(error);
+    input.focus();
   }
 
   // "+" → show menu
@@ -804,16 +2241,27 @@ async function initWidget() {
     addMenu.classList.add('hidden');
     inputWrap.classList.remove('hidden');
     input.value = '';
+    showInputError(null);
     input.focus();
   });
 
+  // Menu: Gallery — browse saved favorites
+  document.getElementById('menu-gallery').addEventListener('click', () => {
+    closeAll();
+    openGallery();
+  });
+
+  // Menu: Settings — open the options page in its own tab
+  document.getElementById('menu-settings').addEventListener('click', () => {
+    closeAll();
+    chrome.runtime.openOptionsPage();
+  });
+
   // Menu: Note — show/expand the pad and focus editor
-  document.getElementById('menu-note').addEventListener('click', () => {
+  document.getElementById('menu-note').addEventListener('click', async () => {
     addMenu.classList.add('hidden');
     addBtn.classList.remove('hidden');
-    notePad.classList.remove('hidden');
-    notePad.classList.remove('minimized');
-    minimizeBtn.textContent = '−';
+    await showNotePad();
     editor.focus();
     // Place cursor at end of existing content
     const range = document.createRange();
@@ -824,19 +2272,30 @@ async function initWidget() {
     sel.addRange(range);
   });
 
-  // Stock input: Enter to add, Escape to cancel
-  input.addEventListener('keydown', async e => {
+  // Stock input: arrows pick a suggestion, Enter adds it (or what was typed),
+  // Escape closes the suggestions and then the input
+  input.addEventListener('keydown', e => {
+    if (e.isComposing || input.readOnly) return; // IME candidate window, or a check in flight
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      search.move(e.key === 'ArrowDown' ? 1 : -1);
+    }
     if (e.key === 'Enter') {
-      const raw = input.value.trim();
-      closeAll();
-      if (raw) await addTicker(raw);
+      const raw = search.selected() ?? input.value.trim();
+      if (raw) submitTicker(raw);
+    }
+    if (e.key === 'Escape') {
+      if (search.isOpen()) search.hide();
+      else                 closeAll();
     }
-    if (e.key === 'Escape') closeAll();
   });
+  input.addEventListener('input', () => showInputError(null));
 
-  // Click outside panel → close menu/input (note pad stays open)
+  // Click outside panel → close menu/input (note pad stays open); outside the
+  // note list → close the list
   document.addEventListener('click', e => {
     const panel = document.getElementById('stock-panel');
     if (!panel.contains(e.target)) closeAll();
+    if (!document.getElementById('note-menu').contains(e.target)) toggleNoteMenu(false);
   });
 }
@@ -0,0 +1,139 @@
+// =============================================================================
+//  Daily Impressionist — settings.js
+//  User settings shared by the new-tab page, the options page and the
+//  background service worker.
+//  Stored as one object under `settings` in chrome.storage.sync; anything the
+//  user never changed falls back to DEFAULT_SETTINGS.
+// =============================================================================
+
+// ─── Legacy config.js ─────────────────────────────────────────────────────────
+// config.js declares `const EXTENSION_CONFIG`, which is a global binding but not
+// a property of `window` — so read it by name, guarded for when it is absent.
+// Its values only seed the defaults; the options page takes precedence.
+
+const CONFIG = typeof EXTENSION_CONFIG !== 'undefined' ? EXTENSION_CONFIG : {};
+
+// ─── Master Impressionist Artist List ─────────────────────────────────────────
+// Every API call is anchored to one of these names, or filtered against them.
+
+const IMPRESSIONISTS = [
+  'Monet',         'Renoir',            'Pissarro',     'Sisley',      'Degas',
+  'Morisot',       'Cassatt',           'Caillebotte',  'Manet',       'Bazille',
+  'Guillaumin',    'Cézanne',           'Gauguin',      'van Gogh',    'Seurat',
+  'Signac',        'Toulouse-Lautrec',  'Redon',        'Rousseau',    'Bonnard',
+  'Vuillard',      'Gonzalès',          'Bracquemond',  'Jongkind',    'Boudin',
+  'Fantin-Latour', 'Lepine',            'Hassam',       'Sargent',     'Chase',
+  'Twachtman',     'Metcalf',           'Tarbell',      'Benson',      'Dewis',
+  'Vonnoh',        'Sorolla',
+];
+
+// ─── Museum Sources ───────────────────────────────────────────────────────────
+// Display names for every source, plus the API key a source needs (if any).
+// Sources with a key only run once that key is filled in.
+
+const SOURCES = {
+  met:         { label: 'The Metropolitan Museum of Art' },
+  aic:         { label: 'Art Institute of Chicago' },
+  vam:         { label: 'Victoria and Albert Museum' },
+  cleveland:   { label: 'Cleveland Museum of Art' },
+  rijks:       { label: 'Rijksmuseum',             key: 'RIJKS_KEY' },
+  smithsonian: { label: 'Smithsonian Institution', key: 'SI_KEY' },
+};
+
+// ─── Quote Providers ──────────────────────────────────────────────────────────
+// Display names for quote providers (fetchers in quotes.js), the API key a
+// provider needs (if any) and the markets it can price. Keyed providers only
+// run once their key is filled in. The market ids match markets.js.
+
+const QUOTE_MARKETS = {
+  US:     'US',
+  HK:     'Hong Kong',
+  CN:     'Shanghai · Shenzhen',
+  JP:     'Tokyo',
+  UK:     'London',
+  TW:     'Taiwan',
+  FX:     'FX',
+  CRYPTO: 'Crypto',
+  FUT:    'Futures',
+};
+
+const ALL_MARKETS = Object.keys(QUOTE_MARKETS);
+
+const QUOTE_PROVIDERS = {
+  yahoo:    { label: 'Yahoo Finance',                           markets: ALL_MARKETS },
+  rapidapi: { label: 'Yahoo via RapidAPI', key: 'RAPIDAPI_KEY', markets: ALL_MARKETS },
+  polygon:  { label: 'Polygon.io',         key: 'POLYGON_KEY',  markets: ['US'] },
+};
+
+// Providers to try for a market, best first: the order chosen in settings,
+// then any provider it leaves out (e.g. one added in a later version).
+function providerOrder(market, settings = SETTINGS) {
+  const supported = Object.keys(QUOTE_PROVIDERS).filter(id => QUOTE_PROVIDERS[id].markets.includes(market));
+  const chosen    = (settings.quoteProviders?.[market] ?? []).filter(id => supported.includes(id));
+  return [...new Set([...chosen, ...supported])];
+}
+
+// ─── Currencies ───────────────────────────────────────────────────────────────
+// Offered as the portfolio's base currency and for a lot's cost price. Any
+// pair converts through Yahoo's "<from><to>=X" FX quotes.
+
+const CURRENCIES = ['USD', 'HKD', 'EUR', 'GBP', 'JPY', 'CNY', 'TWD'];
+
+// ─── Defaults ─────────────────────────────────────────────────────────────────
+
+const DEFAULT_SETTINGS = {
+  mode:            CONFIG.MODE === 'daily' ? 'daily' : 'random',
+  artists:         IMPRESSIONISTS,
+  sources:         Object.fromEntries(Object.keys(SOURCES).map(src => [src, true])),
+  eraStart:        1860,
+  eraEnd:          1910,
+  queueDepth:      CONFIG.QUEUE_DEPTH   ?? 3,
+  historyDays:     CONFIG.HISTORY_DAYS  ?? 30,
+  historyViews:    CONFIG.HISTORY_VIEWS ?? 300,
+  quoteRefreshSec: 60,
+  baseCurrency:    'USD',
+  alertCooldown:   60,  // minutes before the same price alert may fire again
+  // Per market; markets not listed use QUOTE_PROVIDERS order — free Yahoo
+  // first, RapidAPI's metered quota as the fallback
+  quoteProviders: {
+    US: ['polygon', 'yahoo', 'rapidapi'],   // Polygon's last trade is real-time
+    HK: ['rapidapi', 'yahoo'],
+  },
+  keys: {
+    RIJKS_KEY:     CONFIG.RIJKS_KEY    ?? '',
+    SI_KEY:        CONFIG.SI_KEY       ?? '',
+    POLYGON_KEY:   CONFIG.POLYGON_KEY  ?? '',
+    RAPIDAPI_KEY:  CONFIG.RAPIDAPI_KEY ?? '',
+  },
+};
+
+const SETTINGS_KEY = 'settings';
+
+// Settings in effect for this page or worker — refresh with loadSettings()
+let SETTINGS = DEFAULT_SETTINGS;
+
+// Lay saved values over the defaults. Nested maps merge key by key so a
+// source, API key or market added in a later version still gets its default.
+function mergeSettings(saved) {
+  const merged = {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    sources: { ...DEFAULT_SETTINGS.sources, ...saved?.sources },
+    keys:    { ...DEFAULT_SETTINGS.keys,    ...saved?.keys },
+    quoteProviders: { ...DEFAULT_SETTINGS.quoteProviders, ...saved?.quoteProviders },
+  };
+  // An empty artist list would leave every fetcher with nothing to search for
+  if (!Array.isArray(merged.artists) || !merged.artists.length) {
+    merged.artists = DEFAULT_SETTINGS.artists;
+  }
+  return merged;
+}
+
+async function loadSettings() {
+  const { [SETTINGS_KEY]: saved } = await chrome.storage.sync.get(SETTINGS_KEY);
+  return mergeSettings(saved);
+}
+
+async function saveSettings(settings) {
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+}
@@ -20,7 +20,32 @@ function test(name, fn) {
   try { fn(); } catch (e) { console.error(`  ✗  threw: ${e.message}`); failed++; }
 }
 
-// ── Paste the pure functions under test (must stay in sync with script.js) ──
+// Async tests run one at a time after the synchronous ones, before the summary
+const asyncTests = [];
+function testAsync(name, fn) { asyncTests.push([name, fn]); }
+
+// ── Paste the pure functions under test (must stay in sync with the source) ──
+
+// Exchange suffix → market (see markets.js) and the currency its prices are in.
+// London quotes in pence, which Yahoo writes as 'GBp'.
+const EXCHANGE_SUFFIXES = {
+  HK: { market: 'HK', currency: 'HKD' },
+  SS: { market: 'CN', currency: 'CNY' },
+  SZ: { market: 'CN', currency: 'CNY' },
+  T:  { market: 'JP', currency: 'JPY' },
+  L:  { market: 'UK', currency: 'GBp' },
+  TW: { market: 'TW', currency: 'TWD' },
+};
+
+// Indices trade on their exchange's hours; any not listed here are US ones
+const INDEX_MARKETS = {
+  '^HSI': 'HK', '^HSCE': 'HK',
+  '^N225': 'JP', '^FTSE': 'UK', '^TWII': 'TW',
+};
+
+// Quote currencies a crypto symbol can end in — narrow enough that US share
+// classes like BRK-B stay equities
+const CRYPTO_QUOTES = /-(USD|USDT|USDC|EUR|GBP|JPY|BTC|ETH)$/;
 
 function isHKTicker(raw) {
   return /^\d{1,5}(\.HK)?$/i.test(raw.trim());
@@ -32,12 +57,79 @@ function normalizeHkTicker(raw) {
 }
 
 function normalizeTicker(raw) {
-  return isHKTicker(raw) ? normalizeHkTicker(raw) : raw.trim().toUpperCase();
+  if (isHKTicker(raw)) return normalizeHkTicker(raw);
+  const symbol = raw.trim().toUpperCase();
+  // A-share codes: Shanghai's start with 6 (or 9 for B shares), Shenzhen's with 0, 2 or 3
+  if (/^\d{6}$/.test(symbol)) return symbol + (/^[69]/.test(symbol) ? '.SS' : '.SZ');
+  const pair = symbol.match(/^([A-Z]{3})\/([A-Z]{3})$/);
+  if (pair) return `${pair[1]}${pair[2]}=X`;
+  return symbol;
+}
+
+// What a normalized symbol is: { kind, market, currency }. `kind` is one of
+// equity, index, fx, crypto, future; `currency` is null for indices, which
+// are points rather than money.
+function instrumentInfo(ticker) {
+  if (ticker.startsWith('^')) return { kind: 'index', market: INDEX_MARKETS[ticker] ?? 'US', currency: null };
+  // EURUSD=X is priced in USD; the short form JPY=X means USD/JPY
+  if (ticker.endsWith('=X'))  return { kind: 'fx', market: 'FX', currency: ticker.length === 8 ? ticker.slice(3, 6) : ticker.slice(0, 3) };
+  if (ticker.endsWith('=F'))  return { kind: 'future', market: 'FUT', currency: 'USD' };
+  const crypto = ticker.match(CRYPTO_QUOTES);
+  if (crypto)                 return { kind: 'crypto', market: 'CRYPTO', currency: crypto[1] };
+  if (isHKTicker(ticker))     return { kind: 'equity', ...EXCHANGE_SUFFIXES.HK };
+  const suffix = ticker.match(/\.([A-Z]+)$/)?.[1];
+  return { kind: 'equity', ...(EXCHANGE_SUFFIXES[suffix] ?? { market: 'US', currency: 'USD' }) };
+}
+
+// Price formatting (must match script.js)
+// Decimals to show for a price, after each market's tick size. FX and crypto
+// quotes go finer than stocks; sub-dollar crypto keeps 4 significant digits.
+function priceDecimals(price, kind, currency) {
+  if (kind === 'fx')     return price >= 20 ? 3 : 4;
+  if (kind === 'crypto') return price >= 1 ? 2 : Math.min(8, 3 - Math.floor(Math.log10(price)));
+  if (kind === 'index')  return 2;
+  if (kind === 'future') return price >= 10 ? 2 : 4;
+  switch (currency) {
+    case 'JPY': return price >= 1000 ? 0 : 1;
+    case 'GBp': return price >= 100 ? 1 : 2;
+    case 'HKD': return price < 0.5 ? 3 : 2;   // HKEX ticks go to 0.001 below HK$0.50
+    case 'USD': return price < 1 ? 4 : 2;     // US sub-dollar stocks tick in 0.0001
+    default:    return 2;
+  }
 }
 
-function formatPrice(price) {
+// "HK$", "CN¥", "NT$" … — built once per currency
+const currencySymbols = new Map();
+function currencySymbol(currency) {
+  if (!currencySymbols.has(currency)) {
+    let symbol = '';
+    try {
+      symbol = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+        .formatToParts(0).find(p => p.type === 'currency')?.value ?? '';
+    } catch { /* not an ISO code — show the bare number */ }
+    currencySymbols.set(currency, symbol);
+  }
+  return currencySymbols.get(currency);
+}
+
+// Without a ticker prices keep the plain 2-or-3-decimal form. With one they're
+// shown in the instrument's currency — `currency` from the quote wins over the
+// one the symbol implies. FX rates and index levels are bare numbers; London
+// pence get a "p".
+function formatPrice(price, ticker, currency) {
   if (price == null) return '—';
-  return price >= 100 ? price.toFixed(2) : price.toFixed(3);
+  if (!ticker) {
+    return price >= 100
+      ? price.toFixed(2)
+      : price.toFixed(3);
+  }
+  const info   = instrumentInfo(ticker);
+  const unit   = currency ?? info.currency;
+  const digits = priceDecimals(price, info.kind, unit);
+  const number = price.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  if (info.kind === 'fx' || !unit) return number;
+  if (unit === 'GBp')              return `${number}p`;
+  return currencySymbol(unit) + number;
 }
 
 function formatChange(change) {
@@ -46,12 +138,12 @@ function formatChange(change) {
   return `${sign}${change.toFixed(2)}%`;
 }
 
-function inImpressionistEra(raw) {
+function inImpressionistEra(raw, start = 1860, end = 1910) {
   if (!raw) return true;
   const m = String(raw).match(/\d{4}/);
   if (!m) return true;
   const y = +m[0];
-  return y >= 1860 && y <= 1910;
+  return y >= start && y <= end;
 }
 
 const IMPRESSIONISTS = [
@@ -67,12 +159,47 @@ const IMPRESSIONISTS = [
 
 const stripHtml = s => String(s ?? '').replace(/<[^>]*>/g, '').trim();
 
-function matchesArtist(str) {
+function matchesArtist(str, artists = IMPRESSIONISTS) {
   const lower = stripHtml(str).toLowerCase();
-  return IMPRESSIONISTS.some(a => lower.includes(a.toLowerCase()));
+  return artists.some(a => lower.includes(a.toLowerCase()));
+}
+
+// Yahoo Finance v8 chart response parser (must match fetchViaYahoo in quotes.js)
+// Bars as [[time in ms, close], …]. Yahoo pads halted or not-yet-traded bars
+// with null closes; those are dropped rather than drawn as zero.
+function parseYahooSeries(json) {
+  const result = json?.chart?.result?.[0];
+  const times  = result?.timestamp ?? [];
+  const closes = result?.indicators?.quote?.[0]?.close ?? [];
+  return times
+    .map((t, i) => [t * 1000, closes[i]])
+    .filter(([, close]) => close != null);
+}
+
+// Pre-market or after-hours price, when Yahoo has one: from the meta fields if
+// the response carries them, otherwise from the last bar if it falls in the
+// pre or post window of `currentTradingPeriod`. Change is against the last
+// regular-session price.
+function parseExtendedPrice(json) {
+  const meta = json?.chart?.result?.[0]?.meta;
+  if (!meta) return null;
+
+  let extended = null;
+  if (meta.postMarketPrice != null)     extended = { session: 'post', price: meta.postMarketPrice };
+  else if (meta.preMarketPrice != null) extended = { session: 'pre',  price: meta.preMarketPrice };
+  else {
+    const last   = parseYahooSeries(json).at(-1);
+    const period = meta.currentTradingPeriod;
+    const t      = last && last[0] / 1000;
+    const session = last && period && ['pre', 'post'].find(s => period[s] && t >= period[s].start && t < period[s].end);
+    if (session) extended = { session, price: last[1] };
+  }
+  if (!extended) return null;
+
+  const base = meta.regularMarketPrice;
+  return { ...extended, change: base ? (extended.price - base) / base * 100 : null };
 }
 
-// Yahoo Finance v8 chart response parser (must match fetchViaYahoo in script.js)
 function parseYahooV8(ticker, json) {
   const meta = json?.chart?.result?.[0]?.meta;
   if (!meta) return null;
@@ -84,94 +211,1737 @@ function parseYahooV8(ticker, json) {
     ? new Date(meta.regularMarketTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
     : null;
   const shortName = meta.shortName || meta.longName || null;
-  return { ticker, price, change, timestamp, shortName };
+  return {
+    ticker, price, change, timestamp, shortName, prevClose,
+    currency: meta.currency ?? null,
+    series:   parseYahooSeries(json),
+    extended: parseExtendedPrice(json),
+  };
+}
+
+// Settings merge (must match settings.js)
+const DEFAULT_SETTINGS = {
+  mode: 'random', artists: IMPRESSIONISTS, eraStart: 1860, eraEnd: 1910,
+  sources: { met: true, aic: true, rijks: true },
+  keys:    { RIJKS_KEY: '', POLYGON_KEY: '' },
+  quoteProviders: { US: ['polygon', 'yahoo', 'rapidapi'], HK: ['rapidapi', 'yahoo'] },
+};
+
+function mergeSettings(saved) {
+  const merged = {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    sources: { ...DEFAULT_SETTINGS.sources, ...saved?.sources },
+    keys:    { ...DEFAULT_SETTINGS.keys,    ...saved?.keys },
+    quoteProviders: { ...DEFAULT_SETTINGS.quoteProviders, ...saved?.quoteProviders },
+  };
+  if (!Array.isArray(merged.artists) || !merged.artists.length) {
+    merged.artists = DEFAULT_SETTINGS.artists;
+  }
+  return merged;
+}
+
+// Quote provider order (must match settings.js)
+const QUOTE_MARKETS = { US: 'US', HK: 'Hong Kong', CN: 'Shanghai · Shenzhen', JP: 'Tokyo' };
+const ALL_MARKETS = Object.keys(QUOTE_MARKETS);
+
+const QUOTE_PROVIDERS = {
+  yahoo:    { label: 'Yahoo Finance',                           markets: ALL_MARKETS },
+  rapidapi: { label: 'Yahoo via RapidAPI', key: 'RAPIDAPI_KEY', markets: ALL_MARKETS },
+  polygon:  { label: 'Polygon.io',         key: 'POLYGON_KEY',  markets: ['US'] },
+};
+
+// Providers to try for a market, best first: the order chosen in settings,
+// then any provider it leaves out (e.g. one added in a later version).
+function providerOrder(market, settings = SETTINGS) {
+  const supported = Object.keys(QUOTE_PROVIDERS).filter(id => QUOTE_PROVIDERS[id].markets.includes(market));
+  const chosen    = (settings.quoteProviders?.[market] ?? []).filter(id => supported.includes(id));
+  return [...new Set([...chosen, ...supported])];
+}
+
+// Quote provider helpers (must match quotes.js)
+// RapidAPI's get-quotes answers with Yahoo's v7 quote fields
+function parseRapidApiQuote(json, ticker) {
+  const q = json?.quoteResponse?.result?.find(r => r.symbol === ticker);
+  if (q?.regularMarketPrice == null) return null;
+
+  const price     = q.regularMarketPrice;
+  const prevClose = q.regularMarketPreviousClose ?? null;
+  const change    = q.regularMarketChangePercent
+    ?? (prevClose != null ? ((price - prevClose) / prevClose) * 100 : null);
+  const timestamp = q.regularMarketTime
+    ? new Date(q.regularMarketTime * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  const extended =
+    q.postMarketPrice != null ? { session: 'post', price: q.postMarketPrice, change: q.postMarketChangePercent ?? null } :
+    q.preMarketPrice  != null ? { session: 'pre',  price: q.preMarketPrice,  change: q.preMarketChangePercent  ?? null } :
+    null;
+
+  return {
+    ticker, price, change, timestamp, prevClose, extended,
+    shortName: q.shortName || q.longName || null,
+    currency:  q.currency ?? null,
+  };
+}
+
+const RATE_LIMIT_BACKOFF_MS = 60_000;
+
+// Books `cost` calls in the provider's window, or returns false when that
+// would go over its limit or it is benched
+function reserveCalls(usage, limit, cost, now) {
+  if (usage.blockedUntil > now) return false;
+  if (limit) {
+    usage.calls = usage.calls.filter(t => now - t < limit.perMs);
+    if (usage.calls.length + cost > limit.calls) return false;
+  }
+  for (let i = 0; i < cost; i++) usage.calls.push(now);
+  return true;
+}
+
+// How long a refused or quota-spent response asks us to wait, in ms
+function retryAfterMs(headers) {
+  const seconds = Number(headers.get('retry-after') ?? headers.get('x-ratelimit-requests-reset'));
+  return seconds > 0 ? seconds * 1000 : RATE_LIMIT_BACKOFF_MS;
+}
+
+const QUOTE_FAILURES = ['unknown', 'network', 'rate-limit'];
+
+const quoteFailure = failures => QUOTE_FAILURES.find(f => failures.has(f)) ?? 'unknown';
+
+// Rijksmuseum / Smithsonian record helpers (must match artwork.js)
+function rijksDate(longTitle) {
+  const tail = String(longTitle ?? '').split(',').pop().trim();
+  return /\d{4}/.test(tail) ? tail : '';
+}
+
+function siArtist(freetext) {
+  const names = freetext?.name || [];
+  return (names.find(n => /artist/i.test(n.label)) || names[0])?.content || '';
+}
+function siField(entries, label) {
+  const list = entries || [];
+  const hit  = label ? list.find(e => label.test(e.label)) : list[0];
+  return stripHtml(hit?.content);
+}
+
+// Shown-history window (must match artwork.js)
+function pruneHistory(history, now, days, views) {
+  const cutoff = now - days * 86_400_000;
+  return history.filter((entry, i) => i >= history.length - views || entry.at >= cutoff);
+}
+
+const historyKey = artwork =>
+  artwork?.src && artwork.id != null ? `${artwork.src}:${artwork.id}` : null;
+
+const withShown = (history, key, now) => [...history.filter(e => e.key !== key), { key, at: now }];
+
+// Painting-of-the-day seeding (must match artwork.js)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h  = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function localDateKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Source chain (must match artwork.js)
+const pickRandom = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+
+function shuffle(arr, rng = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const wasShown = (seen, src, id) => seen.has(`${src}:${id}`);
+
+const SOURCE_TIMEOUT_MS = 3000;
+const CHAIN_DEADLINE_MS = 6000;
+
+function withTimeout(fetcher, ctx, ms) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const timer   = setTimeout(() => controller.abort(new Error(`timed out after ${ms} ms`)), ms);
+  const aborted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  const guarded = {
+    ...ctx,
+    signal,
+    rng: () => { signal.throwIfAborted(); return ctx.rng(); },
+  };
+  return Promise.race([fetcher(guarded), aborted]).finally(() => clearTimeout(timer));
+}
+
+async function fetchFromSources(sources, ctx, fetchers = FETCHERS, budget = CHAIN_DEADLINE_MS) {
+  const deadline = Date.now() + budget;
+  for (const src of shuffle(sources, ctx.rng)) {
+    const ms = Math.min(SOURCE_TIMEOUT_MS, deadline - Date.now());
+    if (ms <= 0) break;
+
+    const rng = seededRandom(ctx.rng() * 2 ** 32);
+    try {
+      const result = await withTimeout(fetchers[src], { ...ctx, rng }, ms);
+      if (result) return { ...result, src };
+    } catch (err) {
+      console.warn(`[Daily Impressionist] ${src} failed:`, err);
+      if (ctx.daily) return null;
+    }
+  }
+  return null;
+}
+
+async function fetchThroughTiers(sources, ctx, fetchers = FETCHERS, offline = fetchOfflineArtwork) {
+  return await fetchFromSources(sources, ctx, fetchers) ?? await offline(ctx);
+}
+
+// Offline tier (must match artwork.js)
+function pickOffline(stored, bundled, { rng, seen }) {
+  const saved = [
+    ...(stored.queue || []),
+    stored.daily,
+    ...(stored.favorites || []),
+  ].filter(a => a?.dataUrl);
+
+  const candidates = saved.length ? saved : bundled;
+  const fresh      = candidates.filter(a => !seen.has(historyKey(a)));
+  const pick       = pickRandom(fresh.length ? fresh : candidates, rng);
+  return pick ? { ...pick, offline: true } : null;
+}
+
+// Chart geometry (must match chart.js)
+// Value range to fit, widened to include the reference line if given
+function seriesBounds(points, baseline = null) {
+  let min = Infinity, max = -Infinity;
+  for (const [, v] of points) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (baseline != null) {
+    min = Math.min(min, baseline);
+    max = Math.max(max, baseline);
+  }
+  if (min === max) { min -= 1; max += 1; } // flat series → draw it mid-height
+  return { min, max };
+}
+
+function scaleY(v, bounds, height, pad) {
+  return pad + (bounds.max - v) * (height - 2 * pad) / (bounds.max - bounds.min);
+}
+
+function scaleX(i, n, width, pad) {
+  return n > 1 ? pad + i * (width - 2 * pad) / (n - 1) : width / 2;
+}
+
+function linePath(points, bounds, width, height, pad = 2) {
+  return points
+    .map(([, v], i) => `${i ? 'L' : 'M'}${scaleX(i, points.length, width, pad).toFixed(1)},` +
+                       `${scaleY(v, bounds, height, pad).toFixed(1)}`)
+    .join('');
+}
+
+// Bar under an x position in viewBox units — the inverse of scaleX
+function indexAtX(x, n, width, pad = 2) {
+  if (n <= 1) return 0;
+  const i = Math.round((x - pad) * (n - 1) / (width - 2 * pad));
+  return Math.min(n - 1, Math.max(0, i));
+}
+
+// Up, down or flat against the reference close (or the first bar without one)
+function seriesTrend(points, prevClose) {
+  if (!points.length) return 'neutral';
+  const base = prevClose ?? points[0][1];
+  const last = points[points.length - 1][1];
+  return last > base ? 'positive' : last < base ? 'negative' : 'neutral';
+}
+
+const referenceLabel = range => range === '1D' ? 'prev close' : `${range} start`;
+
+// Market calendar (must match markets.js)
+const MARKETS = {
+  US: {
+    label:    'NYSE · NASDAQ',
+    timeZone: 'America/New_York',
+    pre:      ['04:00', '09:30'],
+    regular:  [['09:30', '16:00']],
+    post:     ['16:00', '20:00'],
+    holidays: new Set([
+      '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+      '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+      '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+      '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+      '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+      '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24',
+    ]),
+    earlyClose: {
+      '2025-07-03': '13:00', '2025-11-28': '13:00', '2025-12-24': '13:00',
+      '2026-11-27': '13:00', '2026-12-24': '13:00',
+      '2027-11-26': '13:00',
+    },
+  },
+  HK: {
+    label:    'HKEX',
+    timeZone: 'Asia/Hong_Kong',
+    regular:  [['09:30', '12:00'], ['13:00', '16:00']],
+    holidays: new Set([
+      '2025-01-01', '2025-01-29', '2025-01-30', '2025-01-31', '2025-04-04', '2025-04-18',
+      '2025-04-21', '2025-05-01', '2025-05-05', '2025-07-01', '2025-10-01', '2025-10-07',
+      '2025-10-29', '2025-12-25', '2025-12-26',
+      '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-04-03', '2026-04-06',
+      '2026-04-07', '2026-05-01', '2026-05-25', '2026-06-19', '2026-07-01', '2026-10-01',
+      '2026-10-19', '2026-12-25',
+      '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-03-29', '2027-04-05',
+      '2027-05-13', '2027-06-09', '2027-07-01', '2027-09-16', '2027-10-01', '2027-10-08',
+      '2027-12-27',
+    ]),
+    earlyClose: {
+      '2025-01-28': '12:00', '2025-12-24': '12:00', '2025-12-31': '12:00',
+      '2026-02-16': '12:00', '2026-12-24': '12:00', '2026-12-31': '12:00',
+      '2027-02-05': '12:00', '2027-12-24': '12:00', '2027-12-31': '12:00',
+    },
+  },
+  CN: {
+    label:    'SSE · SZSE',
+    timeZone: 'Asia/Shanghai',
+    regular:  [['09:30', '11:30'], ['13:00', '15:00']],
+    holidays: new Set([
+      '2026-01-01', '2026-01-02', '2026-02-16', '2026-02-17', '2026-02-18', '2026-02-19',
+      '2026-02-20', '2026-02-23', '2026-04-06', '2026-05-01', '2026-05-04', '2026-05-05',
+      '2026-06-19', '2026-09-25', '2026-10-01', '2026-10-02', '2026-10-05', '2026-10-06',
+      '2026-10-07',
+    ]),
+    earlyClose: {},
+  },
+  JP: {
+    label:    'TSE',
+    timeZone: 'Asia/Tokyo',
+    regular:  [['09:00', '11:30'], ['12:30', '15:30']],
+    holidays: new Set([
+      '2026-01-01', '2026-01-02', '2026-01-12', '2026-02-11', '2026-02-23', '2026-03-20',
+      '2026-04-29', '2026-05-04', '2026-05-05', '2026-05-06', '2026-07-20', '2026-08-11',
+      '2026-09-21', '2026-09-22', '2026-09-23', '2026-10-12', '2026-11-03', '2026-11-23',
+      '2026-12-31',
+    ]),
+    earlyClose: {},
+  },
+  UK: {
+    label:    'LSE',
+    timeZone: 'Europe/London',
+    regular:  [['08:00', '16:30']],
+    holidays: new Set([
+      '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31',
+      '2026-12-25', '2026-12-28',
+    ]),
+    earlyClose: { '2026-12-24': '12:30', '2026-12-31': '12:30' },
+  },
+  // No holiday table yet — TWSE closures show as trading days
+  TW: {
+    label:    'TWSE',
+    timeZone: 'Asia/Taipei',
+    regular:  [['09:00', '13:30']],
+    holidays: new Set(),
+    earlyClose: {},
+  },
+
+  // Markets that trade through the night run on a weekly window instead of
+  // daily sessions; `pause` is a daily break inside it.
+  FX: {
+    label:    'FX',
+    timeZone: 'America/New_York',
+    week:     { open: ['Sun', '17:00'], close: ['Fri', '17:00'] },
+  },
+  FUT: {
+    label:    'CME Globex',
+    timeZone: 'America/New_York',
+    week:     { open: ['Sun', '18:00'], close: ['Fri', '17:00'], pause: ['17:00', '18:00'] },
+  },
+  CRYPTO: {
+    label:    'Crypto',
+    timeZone: 'UTC',
+    always:   true,
+  },
+};
+
+// Status of a market at one moment:
+//   open   — regular session, prices live
+//   pre    — pre-market (US only)
+//   post   — after-hours (US only)
+//   lunch  — between the morning and afternoon sessions (HKEX, SSE/SZSE, TSE)
+//   closed — anything else: nights, weekends, holidays
+//   unconfirmed — in session hours past the holiday table's last year, when
+//                 the day may be a holiday; polled as live in case it isn't
+const LIVE_STATUSES = ['open', 'pre', 'post', 'unconfirmed'];
+
+function marketFor(ticker) {
+  return instrumentInfo(ticker).market;
+}
+
+const hhmm = s => { const [h, m] = s.split(':'); return h * 60 + +m; };
+
+// Formatters are slow to build and asked for on every row, so keep one per zone
+const zoneFormatters = new Map();
+
+// Local date, weekday and minutes past midnight at the exchange
+function zonedParts(date, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }));
+  }
+  const p = Object.fromEntries(
+    zoneFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    dateKey: `${p.year}-${p.month}-${p.day}`,
+    weekday: p.weekday,
+    minutes: +p.hour * 60 + +p.minute,
+  };
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Open or closed within a weekly window, counting minutes from Sunday midnight
+function weekStatus({ open, close, pause }, weekday, minutes) {
+  const at  = ([day, time]) => WEEKDAYS.indexOf(day) * 1440 + hhmm(time);
+  const now = WEEKDAYS.indexOf(weekday) * 1440 + minutes;
+  if (now < at(open) || now >= at(close)) return 'closed';
+  if (pause && minutes >= hhmm(pause[0]) && minutes < hhmm(pause[1])) return 'closed';
+  return 'open';
+}
+
+// Last year the holiday table covers. An empty table (TWSE) never runs out.
+const calendarEnd = market => market.holidays.size
+  ? Math.max(...[...market.holidays].map(d => +d.slice(0, 4)))
+  : Infinity;
+
+function marketStatus(id, date = new Date()) {
+  const market = MARKETS[id];
+  if (market.always) return 'open';
+  const { dateKey, weekday, minutes } = zonedParts(date, market.timeZone);
+  if (market.week) return weekStatus(market.week, weekday, minutes);
+  if (weekday === 'Sat' || weekday === 'Sun' || market.holidays.has(dateKey)) return 'closed';
+
+  const status = sessionStatus(market, dateKey, minutes);
+  if (status !== 'closed' && +dateKey.slice(0, 4) > calendarEnd(market)) return 'unconfirmed';
+  return status;
+}
+
+// Where a trading day's clock stands against its sessions
+function sessionStatus(market, dateKey, minutes) {
+  // An early close cuts the sessions short — HKEX half days drop the afternoon
+  const close    = market.earlyClose[dateKey] ? hhmm(market.earlyClose[dateKey]) : Infinity;
+  const sessions = market.regular
+    .map(([start, end]) => [hhmm(start), Math.min(hhmm(end), close)])
+    .filter(([start, end]) => start < end);
+  const open = sessions[0][0], last = sessions[sessions.length - 1][1];
+
+  if (sessions.some(([start, end]) => minutes >= start && minutes < end)) return 'open';
+  if (minutes > open && minutes < last)                                    return 'lunch';
+  if (market.pre  && minutes >= hhmm(market.pre[0]) && minutes < open)     return 'pre';
+  if (market.post && minutes >= last && minutes < hhmm(market.post[1]))    return 'post';
+  return 'closed';
+}
+
+
+// Live sessions are polled on every alarm. Once a market stops trading it is
+// polled one more time, to catch the closing price, and then left alone until
+// it reopens. `quote.session` is the status recorded when it was fetched.
+function needsPoll(quote, status) {
+  if (!quote) return true;
+  if (LIVE_STATUSES.includes(status)) return true;
+  return quote.session !== status;
+}
+
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS  = 15 * 60_000;
+
+const retryDelay = attempt => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+function failedQuote(prev, error, now) {
+  const attempt = prev?.error ? prev.attempt + 1 : 0;
+  return { ...prev, error, failedAt: now, attempt, retryAt: now + retryDelay(attempt) };
+}
+
+function pollDue(quote, status, now) {
+  if (quote?.error) return now >= quote.retryAt;
+  return needsPoll(quote, status);
+}
+
+function isStale(quote, status, now, maxAge) {
+  if (quote?.fetchedAt == null) return false;
+  if (quote.error) return true;
+  return LIVE_STATUSES.includes(status) && now - quote.fetchedAt > maxAge;
+}
+
+// Symbol search (must match quotes.js)
+function isSupportedSymbol(symbol) {
+  if (instrumentInfo(symbol).kind !== 'equity') return true;
+  const suffix = symbol.match(/\.([A-Z]+)$/)?.[1];
+  return !suffix || suffix in EXCHANGE_SUFFIXES;
+}
+
+// Suggestions as [{ symbol, name, exchange }], best match first
+function parseYahooSearch(json) {
+  return (json?.quotes ?? [])
+    .filter(q => q.symbol && isSupportedSymbol(q.symbol))
+    .map(q => ({
+      symbol:   q.symbol,
+      name:     q.shortname || q.longname || '',
+      exchange: q.exchDisp || q.exchange || '',
+    }));
+}
+
+// Watchlist entries (must match quotes.js)
+// Each watchlist entry is { ticker, lots, alerts, group }: the holdings behind
+// it (portfolio.js), its price alert rules (alerts.js) and the name of the
+// group it's filed under, or null. Earlier versions stored bare ticker
+// strings; those load as ungrouped entries with no lots or alerts.
+function normalizeWatchEntry(raw) {
+  if (typeof raw === 'string') return { ticker: raw, lots: [], alerts: [], group: null };
+  return {
+    ticker: raw.ticker,
+    lots:   Array.isArray(raw.lots)   ? raw.lots   : [],
+    alerts: Array.isArray(raw.alerts) ? raw.alerts : [],
+    group:  typeof raw.group === 'string' && raw.group.trim() ? raw.group.trim() : null,
+  };
+}
+
+// Watchlist layout (must match quotes.js)
+const WATCH_SORTS = { manual: 'Manual', change: 'Change', name: 'Name' };
+
+// [{ group, tickers }], group null for the ungrouped rows (omitted when none)
+function watchlistLayout(entries, quotes = {}, sort = 'manual') {
+  const groups = new Map([[null, []]]);
+  entries.forEach(({ ticker, group }) => {
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(ticker);
+  });
+
+  const name     = t => quotes[t]?.shortName || t;
+  const byName   = (a, b) => name(a).localeCompare(name(b));
+  const byChange = (a, b) => {
+    const x = quotes[a]?.change, y = quotes[b]?.change;
+    if (x == null || y == null) return (x == null) - (y == null); // unpriced rows last
+    return y - x;
+  };
+  const compare = { change: byChange, name: byName }[sort];
+
+  return [...groups]
+    .filter(([group, tickers]) => group != null || tickers.length)
+    .map(([group, tickers]) => ({ group, tickers: compare ? [...tickers].sort(compare) : tickers }));
+}
+
+// Moves `ticker` next to `target` — before it, or after it with `after` —
+// and into target's group.
+function moveEntry(entries, ticker, target, after = false) {
+  const moving = entries.find(e => e.ticker === ticker);
+  if (!moving || ticker === target) return entries;
+  const rest = entries.filter(e => e !== moving);
+  const i    = rest.findIndex(e => e.ticker === target);
+  if (i < 0) return entries;
+  rest.splice(after ? i + 1 : i, 0, { ...moving, group: rest[i].group });
+  return rest;
+}
+
+// One step up or down the list as shown in manual order. Stepping past the
+// edge of a group joins the neighbouring group at its near end.
+function moveEntryBy(entries, ticker, step) {
+  const shown = watchlistLayout(entries)
+    .flatMap(({ group, tickers }) => tickers.map(t => ({ ticker: t, group })));
+  const i    = shown.findIndex(s => s.ticker === ticker);
+  const next = shown[i + step];
+  if (i < 0 || !next) return entries;
+  const sameGroup = next.group === shown[i].group;
+  return moveEntry(entries, ticker, next.ticker, sameGroup ? step > 0 : step < 0);
+}
+
+// Portfolio maths (must match portfolio.js)
+// Currency a ticker is priced in: Yahoo says so in its chart meta; Polygon
+// quotes (US only) and not-yet-polled tickers fall back to the symbol's.
+// Indices have none and are valued as if in USD.
+function quoteCurrency(ticker, quote) {
+  return quote?.currency ?? instrumentInfo(ticker).currency ?? 'USD';
+}
+
+// Minor units some exchanges quote in → [major currency, units per major].
+// No FX pair exists for these, so they're converted through the major one.
+const MINOR_UNITS = {
+  GBp: ['GBP', 100], // London
+  ZAc: ['ZAR', 100], // Johannesburg
+  ILA: ['ILS', 100], // Tel Aviv
+};
+
+const majorCurrency = currency => MINOR_UNITS[currency]?.[0] ?? currency;
+
+// A lot with no currency of its own was bought in the ticker's currency
+const lotCurrency = (lot, ticker, quote) => lot.currency || quoteCurrency(ticker, quote);
+
+// Lots worth keeping: a positive quantity and a non-negative cost
+function validLots(lots) {
+  return (lots ?? []).filter(l => Number.isFinite(l.qty) && l.qty > 0 && Number.isFinite(l.cost) && l.cost >= 0);
+}
+
+// Returns currency → rate into `base`, or null when no FX quote is cached yet.
+// Either direction of a pair will do; the inverse is used if that's what's there.
+function fxConverter(fx, base) {
+  const convert = currency => {
+    if (MINOR_UNITS[currency]) {
+      const [major, units] = MINOR_UNITS[currency];
+      const rate = convert(major);
+      return rate == null ? null : rate / units;
+    }
+    if (currency === base) return 1;
+    const direct  = fx?.[`${currency}${base}`]?.rate;
+    if (direct) return direct;
+    const inverse = fx?.[`${base}${currency}`]?.rate;
+    return inverse ? 1 / inverse : null;
+  };
+  return convert;
+}
+
+// FX pairs needed to value every holding in `base`
+function fxPairsNeeded(entries, quotes, base) {
+  const currencies = new Set();
+  entries.forEach(({ ticker, lots }) => {
+    const held = validLots(lots);
+    if (!held.length) return;
+    currencies.add(majorCurrency(quoteCurrency(ticker, quotes[ticker])));
+    held.forEach(lot => currencies.add(majorCurrency(lotCurrency(lot, ticker, quotes[ticker]))));
+  });
+  currencies.delete(base);
+  return [...currencies].map(c => `${c}${base}`);
+}
+
+// One row's position, all amounts in the base currency. Any figure whose
+// inputs are missing (no quote yet, no FX rate yet) is null.
+function positionSummary(ticker, lots, quote, toBase) {
+  const held = validLots(lots);
+  const qty  = held.reduce((sum, l) => sum + l.qty, 0);
+
+  let cost = 0;
+  for (const lot of held) {
+    const rate = toBase(lotCurrency(lot, ticker, quote));
+    if (rate == null) { cost = null; break; }
+    cost += lot.qty * lot.cost * rate;
+  }
+
+  const rate   = toBase(quoteCurrency(ticker, quote));
+  const priced = quote?.price != null && rate != null;
+  const value  = priced ? qty * quote.price * rate : null;
+  const dayPnl = priced && quote.prevClose != null ? qty * (quote.price - quote.prevClose) * rate : null;
+  const unrealized = value != null && cost != null ? value - cost : null;
+
+  return { qty, cost, value, dayPnl, unrealized };
+}
+
+// Sum of the positions' figures. `partial` says some position couldn't be
+// valued, so the totals leave it out.
+function portfolioTotal(positions) {
+  const sum = key => positions.reduce((total, p) => total + (p[key] ?? 0), 0);
+  const valued = positions.filter(p => p.value != null && p.cost != null);
+  return {
+    value:      sum('value'),
+    dayPnl:     sum('dayPnl'),
+    unrealized: valued.reduce((total, p) => total + p.unrealized, 0),
+    cost:       valued.reduce((total, p) => total + p.cost, 0),
+    partial:    positions.some(p => p.value == null || p.cost == null || p.dayPnl == null),
+  };
+}
+
+// Price alerts (must match alerts.js)
+// Rule shapes — { id, type, value }:
+//   above  — price at or above `value`
+//   below  — price at or below `value`
+//   move   — day change of at least `value` percent, either way
+const ALERT_TYPES = {
+  above: 'Price above',
+  below: 'Price below',
+  move:  'Day move ±%',
+};
+
+// Rules worth checking: a known type and a finite value
+function validAlerts(alerts) {
+  return (alerts ?? []).filter(a => a?.id && a.type in ALERT_TYPES && Number.isFinite(a.value));
+}
+
+function alertTriggered(rule, quote) {
+  if (quote?.price == null) return false;
+  switch (rule.type) {
+    case 'above': return quote.price >= rule.value;
+    case 'below': return quote.price <= rule.value;
+    case 'move':  return quote.change != null && Math.abs(quote.change) >= rule.value;
+    default:      return false;
+  }
+}
+
+// Identifies a rule's settings — editing the rule resets its state
+const alertSig = rule => `${rule.type}:${rule.value}`;
+
+// Check one ticker's rules against a fresh quote. A rule fires when its
+// condition turns true, and not again until the condition has cleared — and
+// never twice within `cooldownMs`, so a price hovering at the line doesn't
+// raise a notification on every poll. Returns the rules that fired and the
+// state to store for every rule.
+function evaluateAlerts(rules, quote, state, now, cooldownMs) {
+  const fired = [];
+  const next  = {};
+  for (const rule of validAlerts(rules)) {
+    const prev   = state[rule.id]?.sig === alertSig(rule) ? state[rule.id] : null;
+    const active = alertTriggered(rule, quote);
+    const cooled = prev?.firedAt == null || now - prev.firedAt >= cooldownMs;
+    const fire   = active && !prev?.active && cooled;
+    if (fire) fired.push(rule);
+    next[rule.id] = { sig: alertSig(rule), active, firedAt: fire ? now : prev?.firedAt ?? null };
+  }
+  return { fired, state: next };
+}
+
+function alertMessage(rule, ticker, quote) {
+  const name  = quote?.shortName || ticker;
+  const price = quote?.price;
+  switch (rule.type) {
+    case 'above': return `${name} is at ${price}, above your alert at ${rule.value}`;
+    case 'below': return `${name} is at ${price}, below your alert at ${rule.value}`;
+    default: {
+      const sign = quote.change >= 0 ? '+' : '';
+      return `${name} has moved ${sign}${quote.change.toFixed(2)}% today (alert at ±${rule.value}%)`;
+    }
+  }
+}
+
+// News headlines and cache (must match news.js)
+const NEWS_LIMIT  = 6;
+const NEWS_TTL_MS = 15 * 60_000;
+
+function parseYahooNews(json) {
+  return (json?.news ?? [])
+    .filter(n => n.title && /^https?:\/\//.test(n.link ?? ''))
+    .map(n => ({
+      title:       n.title,
+      url:         n.link,
+      source:      n.publisher || '',
+      publishedAt: n.providerPublishTime ? n.providerPublishTime * 1000 : null,
+    }))
+    .sort((a, b) => (b.publishedAt ?? 0) - (a.publishedAt ?? 0));
 }
 
+async function tickerNews(ticker, provider, cache, now = Date.now()) {
+  const hit = cache[ticker];
+  if (hit && now - hit.fetchedAt < NEWS_TTL_MS) return hit.items;
+  const items = (await provider.fetch(ticker)).slice(0, NEWS_LIMIT);
+  cache[ticker] = { items, fetchedAt: now };
+  return items;
+}
+
+// Headline age (must match script.js)
+function timeAgo(ms, now = Date.now()) {
+  const minutes = Math.floor((now - ms) / 60_000);
+  if (minutes < 1)  return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24)   return `${hours}h ago`;
+  return new Date(ms).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Palette helpers (must match palette.js)
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// WCAG relative luminance, 0 (black) … 1 (white)
+function relativeLuminance([r, g, b]) {
+  const lin = c => {
+    c /= 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+// Nearest colour by "redmean" distance — plain RGB distance overrates
+// differences in blue and underrates them in green, as the eye sees them.
+function closestColor(rgb, colors) {
+  let best = colors[0], bestDist = Infinity;
+  for (const hex of colors) {
+    const [r2, g2, b2] = hexToRgb(hex);
+    const rMean = (rgb[0] + r2) / 2;
+    const dr = rgb[0] - r2, dg = rgb[1] - g2, db = rgb[2] - b2;
+    const dist = (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+    if (dist < bestDist) { best = hex; bestDist = dist; }
+  }
+  return best;
+}
+
+const LUMA_GRID    = 8;
+
+// `data` is RGBA pixel data as returned by getImageData.
+function extractPalette(data, width, height, count = 5) {
+  // Bucket by the top 4 bits of each channel; average within a bucket
+  const buckets = new Map();
+  const cells   = Array.from({ length: LUMA_GRID * LUMA_GRID }, () => ({ sum: 0, n: 0 }));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < 128) continue; // transparent edges of cut-out scans
+      const rgb = [data[i], data[i + 1], data[i + 2]];
+
+      const key    = ((rgb[0] >> 4) << 8) | ((rgb[1] >> 4) << 4) | (rgb[2] >> 4);
+      const bucket = buckets.get(key) ?? { r: 0, g: 0, b: 0, n: 0 };
+      bucket.r += rgb[0]; bucket.g += rgb[1]; bucket.b += rgb[2]; bucket.n++;
+      buckets.set(key, bucket);
+
+      const cell = cells[Math.floor(y * LUMA_GRID / height) * LUMA_GRID + Math.floor(x * LUMA_GRID / width)];
+      cell.sum += relativeLuminance(rgb);
+      cell.n++;
+    }
+  }
+
+  const colors = [...buckets.values()]
+    .sort((a, b) => b.n - a.n)
+    .slice(0, count)
+    .map(({ r, g, b, n }) => rgbToHex([r / n, g / n, b / n]));
+  const luma = cells.map(({ sum, n }) => n ? Math.round(sum / n * 100) / 100 : 0);
+  return { colors, luma };
+}
+
+// Mean luminance of the part of the image inside a rectangle given in
+// normalised image coordinates (0…1), weighting each grid cell by overlap.
+function lumaInRect(luma, x0, y0, x1, y1) {
+  let sum = 0, area = 0;
+  for (let row = 0; row < LUMA_GRID; row++) {
+    const h = Math.min(y1, (row + 1) / LUMA_GRID) - Math.max(y0, row / LUMA_GRID);
+    if (h <= 0) continue;
+    for (let col = 0; col < LUMA_GRID; col++) {
+      const w = Math.min(x1, (col + 1) / LUMA_GRID) - Math.max(x0, col / LUMA_GRID);
+      if (w <= 0) continue;
+      sum  += luma[row * LUMA_GRID + col] * w * h;
+      area += w * h;
+    }
+  }
+  return area ? sum / area : null;
+}
+
+
+// =============================================================================
+//  Tests
+// =============================================================================
+
+test('isHKTicker — positive cases', () => {
+  assert(isHKTicker('0700'),     '0700 is HK');
+  assert(isHKTicker('0700.HK'), '0700.HK is HK');
+  assert(isHKTicker('700'),     '700 is HK (leading-zero-less)');
+  assert(isHKTicker('9988'),    '9988 is HK');
+  assert(isHKTicker('9988.hk'), '9988.hk is HK (lowercase)');
+  assert(isHKTicker('1'),       '1-digit is HK');
+  assert(isHKTicker('12345'),   '5-digit is HK (max)');
+});
+
+test('isHKTicker — negative cases', () => {
+  assert(!isHKTicker('NVDA'),   'NVDA is not HK');
+  assert(!isHKTicker('AAPL'),   'AAPL is not HK');
+  assert(!isHKTicker(''),       'empty string is not HK');
+  assert(!isHKTicker('123456'), '6-digit is not HK (too long)');
+  assert(!isHKTicker('0700.US'),'0700.US is not HK');
+  assert(!isHKTicker('abc'),    'letters are not HK');
+});
+
+test('normalizeHkTicker', () => {
+  assert(normalizeHkTicker('700')     === '0700.HK', '700 → 0700.HK');
+  assert(normalizeHkTicker('0700')    === '0700.HK', '0700 → 0700.HK');
+  assert(normalizeHkTicker('0700.HK') === '0700.HK', '0700.HK → 0700.HK (idempotent)');
+  assert(normalizeHkTicker('9988')    === '9988.HK', '9988 → 9988.HK');
+  assert(normalizeHkTicker('1')       === '0001.HK', '1 → 0001.HK');
+  assert(normalizeHkTicker('0')       === '0000.HK', '0 → 0000.HK (edge)');
+  assert(normalizeHkTicker('9988.hk') === '9988.HK', 'lowercase .hk is normalized');
+});
+
+test('normalizeTicker', () => {
+  assert(normalizeTicker('nvda')    === 'NVDA',    'nvda → NVDA');
+  assert(normalizeTicker('AAPL')   === 'AAPL',    'AAPL → AAPL');
+  assert(normalizeTicker(' tsla ') === 'TSLA',    'trims whitespace');
+  assert(normalizeTicker('700')    === '0700.HK', '700 → 0700.HK');
+  assert(normalizeTicker('0700.HK')=== '0700.HK', '0700.HK → 0700.HK');
+  assert(normalizeTicker('')       === '',         'empty → empty');
+});
+
+test('normalizeTicker — other markets', () => {
+  assert(normalizeTicker('600519')   === '600519.SS', '6xxxxx → Shanghai');
+  assert(normalizeTicker('000001')   === '000001.SZ', '0xxxxx → Shenzhen');
+  assert(normalizeTicker('300750')   === '300750.SZ', '3xxxxx → Shenzhen (ChiNext)');
+  assert(normalizeTicker('7203.t')   === '7203.T',    'Tokyo suffix uppercased');
+  assert(normalizeTicker('vod.l')    === 'VOD.L',     'London suffix uppercased');
+  assert(normalizeTicker('2330.tw')  === '2330.TW',   'Taiwan suffix uppercased');
+  assert(normalizeTicker('^gspc')    === '^GSPC',     'index uppercased');
+  assert(normalizeTicker('eur/usd')  === 'EURUSD=X',  'slash pair → Yahoo FX symbol');
+  assert(normalizeTicker('eurusd=x') === 'EURUSD=X',  'FX symbol kept');
+  assert(normalizeTicker('btc-usd')  === 'BTC-USD',   'crypto kept');
+  assert(normalizeTicker('gc=f')     === 'GC=F',      'futures kept');
+});
+
+test('parseYahooSearch', () => {
+  const json = { quotes: [
+    { symbol: 'AAPL',    shortname: 'Apple Inc.', exchDisp: 'NASDAQ', quoteType: 'EQUITY' },
+    { symbol: 'AAPL.MX', shortname: 'Apple Inc.', exchDisp: 'Mexico', quoteType: 'EQUITY' },
+    { symbol: '0700.HK', longname:  'Tencent Holdings Limited', exchange: 'HKG' },
+    { symbol: 'BTC-USD', shortname: 'Bitcoin USD', exchDisp: 'CCC' },
+    { index: 'quotes' },
+  ] };
+  const r = parseYahooSearch(json);
+  assert(r.length === 3,                            'unsupported exchange and symbol-less rows dropped');
+  assert(r[0].symbol === 'AAPL' && r[0].name === 'Apple Inc.' && r[0].exchange === 'NASDAQ', 'fields mapped');
+  assert(r[1].name === 'Tencent Holdings Limited',  'falls back to longname');
+  assert(r[1].exchange === 'HKG',                   'falls back to exchange code');
+  assert(r[2].symbol === 'BTC-USD',                 'crypto kept');
+  assert(parseYahooSearch(null).length === 0,       'bad response → no suggestions');
+});
+
+test('isSupportedSymbol', () => {
+  assert(isSupportedSymbol('MSFT'),      'US');
+  assert(isSupportedSymbol('7203.T'),    'Tokyo');
+  assert(isSupportedSymbol('^GSPC'),     'index');
+  assert(isSupportedSymbol('GBPUSD=X'),  'FX');
+  assert(!isSupportedSymbol('SAP.DE'),   'Xetra is not supported');
+});
+
+test('instrumentInfo', () => {
+  const is = (t, kind, market, currency) => {
+    const i = instrumentInfo(t);
+    return i.kind === kind && i.market === market && i.currency === currency;
+  };
+  assert(is('AAPL',      'equity', 'US',     'USD'), 'US stock');
+  assert(is('0700.HK',   'equity', 'HK',     'HKD'), 'HK stock');
+  assert(is('600519.SS', 'equity', 'CN',     'CNY'), 'Shanghai');
+  assert(is('000001.SZ', 'equity', 'CN',     'CNY'), 'Shenzhen');
+  assert(is('7203.T',    'equity', 'JP',     'JPY'), 'Tokyo');
+  assert(is('VOD.L',     'equity', 'UK',     'GBp'), 'London, in pence');
+  assert(is('2330.TW',   'equity', 'TW',     'TWD'), 'Taiwan');
+  assert(is('BRK-B',     'equity', 'US',     'USD'), 'share class is not crypto');
+  assert(is('^GSPC',     'index',  'US',     null),  'US index');
+  assert(is('^HSI',      'index',  'HK',     null),  'HK index');
+  assert(is('EURUSD=X',  'fx',     'FX',     'USD'), 'FX pair → quote currency');
+  assert(is('JPY=X',     'fx',     'FX',     'JPY'), 'short FX form is USD/xxx');
+  assert(is('BTC-USD',   'crypto', 'CRYPTO', 'USD'), 'crypto');
+  assert(is('GC=F',      'future', 'FUT',    'USD'), 'futures');
+});
+
+test('formatPrice', () => {
+  assert(formatPrice(null)   === '—',       'null → —');
+  assert(formatPrice(undefined) === '—',    'undefined → —');
+  assert(formatPrice(875.39) === '875.39',  '875.39 → 875.39 (2dp)');
+  assert(formatPrice(100)    === '100.00',  '100 → 100.00 (boundary)');
+  assert(formatPrice(99.9)   === '99.900',  '99.9 → 99.900 (3dp)');
+  assert(formatPrice(0.5)    === '0.500',   '0.5 → 0.500');
+  assert(formatPrice(1200)   === '1200.00', '1200 → 1200.00');
+});
+
+test('formatPrice — per instrument', () => {
+  assert(formatPrice(875.39, 'NVDA')           === '$875.39',     'US stock in dollars');
+  assert(formatPrice(0.4521, 'SNDL')           === '$0.4521',     'US sub-dollar → 4dp');
+  assert(formatPrice(375.4, '0700.HK')         === 'HK$375.40',   'HK stock');
+  assert(formatPrice(0.123, '1234.HK')         === 'HK$0.123',    'HK penny stock → 3dp');
+  assert(formatPrice(2650, '7203.T')           === '¥2,650',      'Tokyo ≥ ¥1000 → whole yen');
+  assert(formatPrice(72.34, 'VOD.L')           === '72.34p',      'London in pence');
+  assert(formatPrice(2650.5, 'SHEL.L')         === '2,650.5p',    'London ≥ 100p → 1dp');
+  assert(formatPrice(1.08456, 'EURUSD=X')      === '1.0846',      'FX → 4dp, no symbol');
+  assert(formatPrice(151.234, 'JPY=X')         === '151.234',     'FX ≥ 20 → 3dp');
+  assert(formatPrice(5432.1, '^GSPC')          === '5,432.10',    'index → points');
+  assert(formatPrice(67123.456, 'BTC-USD')     === '$67,123.46',  'crypto ≥ 1 → 2dp');
+  assert(formatPrice(0.00012345, 'SHIB-USD')   === '$0.0001235',  'crypto < 1 → 4 significant digits');
+  assert(formatPrice(2345.6, 'GC=F')           === '$2,345.60',   'futures');
+  assert(formatPrice(2.5, 'NG=F')              === '$2.5000',     'futures < 10 → 4dp');
+  assert(formatPrice(1800, '600519.SS')        === 'CN¥1,800.00', 'Shanghai in yuan');
+  assert(formatPrice(100, 'AAPL', 'EUR')       === '€100.00',     'quote currency wins');
+  assert(formatPrice(null, 'AAPL')             === '—',           'null → —');
+});
+
+test('formatChange', () => {
+  assert(formatChange(null)  === '—',        'null → —');
+  assert(formatChange(2.34)  === '+2.34%',   'positive gets + sign');
+  assert(formatChange(-1.5)  === '-1.50%',   'negative gets - sign');
+  assert(formatChange(0)     === '+0.00%',   'zero gets + sign');
+  assert(formatChange(0.001) === '+0.00%',   'tiny positive rounds to +0.00%');
+  assert(formatChange(100)   === '+100.00%', 'large % works');
+});
+
+test('inImpressionistEra', () => {
+  assert(inImpressionistEra('1860')       === true,  '1860 in era (lower bound)');
+  assert(inImpressionistEra('1910')       === true,  '1910 in era (upper bound)');
+  assert(inImpressionistEra('1885')       === true,  '1885 in era');
+  assert(inImpressionistEra('1859')       === false, '1859 before era');
+  assert(inImpressionistEra('1911')       === false, '1911 after era');
+  assert(inImpressionistEra(null)         === true,  'null → keep (unknown date)');
+  assert(inImpressionistEra('')           === true,  'empty → keep');
+  assert(inImpressionistEra('circa 1885') === true,  '"circa 1885" extracts year');
+  assert(inImpressionistEra('c. 1900-05') === true,  '"c. 1900-05" extracts 1900');
+  assert(inImpressionistEra('no date')    === true,  'unparseable → keep');
+  assert(inImpressionistEra('1750')       === false, '1750 too early');
+  assert(inImpressionistEra('1750', 1700, 1800) === true,  'custom bounds include 1750');
+  assert(inImpressionistEra('1885', 1700, 1800) === false, 'custom bounds exclude 1885');
+});
+
+test('matchesArtist', () => {
+  assert(matchesArtist('Claude Monet (French, 1840–1926)') === true,  'Monet matches');
+  assert(matchesArtist('Pierre-Auguste Renoir')            === true,  'Renoir matches');
+  assert(matchesArtist('Vincent van Gogh')                 === true,  'van Gogh matches');
+  assert(matchesArtist('Paul Cézanne')                     === true,  'Cézanne matches');
+  assert(matchesArtist('Pablo Picasso')                    === false, 'Picasso not in list');
+  assert(matchesArtist('Rembrandt van Rijn')               === false, 'Rembrandt not in list');
+  assert(matchesArtist('')                                 === false, 'empty string → false');
+  assert(matchesArtist('<b>Monet</b>')                     === true,  'strips HTML before matching');
+  assert(matchesArtist('Pablo Picasso', ['Picasso'])       === true,  'custom artist list');
+  assert(matchesArtist('Claude Monet',  ['Picasso'])       === false, 'custom list replaces defaults');
+});
+
+test('mergeSettings', () => {
+  const m = mergeSettings(undefined);
+  assert(m.mode === 'random' && m.eraStart === 1860, 'nothing saved → defaults');
+  const saved = mergeSettings({ eraEnd: 1920, sources: { aic: false }, keys: { RIJKS_KEY: 'k' } });
+  assert(saved.eraEnd === 1920,                        'saved scalar wins');
+  assert(saved.sources.aic === false,                  'saved source toggle wins');
+  assert(saved.sources.met === true,                   'unsaved source keeps default');
+  assert(saved.keys.RIJKS_KEY === 'k' && saved.keys.POLYGON_KEY === '', 'keys merge per key');
+  assert(mergeSettings({ artists: [] }).artists === IMPRESSIONISTS,  'empty artist list → defaults');
+  assert(mergeSettings({ artists: ['Monet'] }).artists.length === 1, 'custom artist list kept');
+});
+
+test('providerOrder', () => {
+  const d = mergeSettings(undefined);
+  assert(providerOrder('US', d).join() === 'polygon,yahoo,rapidapi', 'US default: Polygon first');
+  assert(providerOrder('HK', d).join() === 'rapidapi,yahoo',         'HK default: RapidAPI first, no Polygon');
+  assert(providerOrder('JP', d).join() === 'yahoo,rapidapi',         'unlisted market: registry order');
+  const custom = mergeSettings({ quoteProviders: { US: ['yahoo'] } });
+  assert(providerOrder('US', custom).join() === 'yahoo,rapidapi,polygon', 'left-out providers tried last');
+  assert(custom.quoteProviders.HK.length === 2,                      'other markets keep their default');
+  const bogus = mergeSettings({ quoteProviders: { CN: ['polygon', 'nope', 'rapidapi'] } });
+  assert(providerOrder('CN', bogus).join() === 'rapidapi,yahoo',     'unsupported and unknown providers dropped');
+});
+
+test('parseRapidApiQuote', () => {
+  const json = { quoteResponse: { result: [
+    { symbol: 'OTHER', regularMarketPrice: 1 },
+    { symbol: '0700.HK', regularMarketPrice: 400, regularMarketPreviousClose: 392,
+      regularMarketChangePercent: 2.04, shortName: 'TENCENT', currency: 'HKD', regularMarketTime: 1760000000 },
+  ] } };
+  const q = parseRapidApiQuote(json, '0700.HK');
+  assert(q.price === 400 && q.prevClose === 392 && q.change === 2.04, 'regular market fields');
+  assert(q.shortName === 'TENCENT' && q.currency === 'HKD',          'name and currency');
+  assert(q.extended === null,                                          'no extended price');
+  assert(typeof q.timestamp === 'string',                              'timestamp formatted');
+  const post = parseRapidApiQuote({ quoteResponse: { result: [
+    { symbol: 'AAPL', regularMarketPrice: 100, regularMarketPreviousClose: 98, postMarketPrice: 101, postMarketChangePercent: 1 },
+  ] } }, 'AAPL');
+  assert(Math.abs(post.change - 200 / 98) < 1e-9,                     'change computed without the percent field');
+  assert(post.extended.session === 'post' && post.extended.price === 101, 'after-hours price');
+  assert(parseRapidApiQuote(json, 'AAPL') === null,                   'symbol missing → null');
+  assert(parseRapidApiQuote({}, 'AAPL') === null,                     'bad response → null');
+});
+
+test('reserveCalls', () => {
+  const usage = { calls: [], blockedUntil: 0 };
+  const limit = { calls: 5, perMs: 60_000 };
+  assert(reserveCalls(usage, limit, 2, 0),      'first quote fits');
+  assert(reserveCalls(usage, limit, 2, 1000),   'second quote fits');
+  assert(!reserveCalls(usage, limit, 2, 2000),  'third would make 6 calls → refused');
+  assert(usage.calls.length === 4,              'refusal books nothing');
+  assert(reserveCalls(usage, limit, 2, 61_000), 'window slides');
+  assert(reserveCalls({ calls: [], blockedUntil: 0 }, undefined, 1, 0), 'no limit → always');
+  assert(!reserveCalls({ calls: [], blockedUntil: 5000 }, undefined, 1, 1000), 'benched after a 429');
+  assert(reserveCalls({ calls: [], blockedUntil: 5000 }, undefined, 1, 5000),  'back once the wait is over');
+});
+
+test('retryAfterMs', () => {
+  const h = obj => ({ get: k => obj[k] ?? null });
+  assert(retryAfterMs(h({ 'retry-after': '30' })) === 30_000,                 'Retry-After seconds');
+  assert(retryAfterMs(h({ 'x-ratelimit-requests-reset': '3600' })) === 3_600_000, 'RapidAPI quota reset');
+  assert(retryAfterMs(h({})) === 60_000,                                      'default backoff');
+});
+
+test('quoteFailure', () => {
+  const of = (...reasons) => quoteFailure(new Set(reasons));
+  assert(of('rate-limit', 'unknown')            === 'unknown',    'a definite answer beats a provider skipped over its quota');
+  assert(of('network', 'unknown')               === 'unknown',    'and one whose request failed');
+  assert(of('rate-limit', 'network')            === 'network',    'a failed request beats the quota');
+  assert(of('rate-limit')                       === 'rate-limit', 'rate-limit only when no provider could be asked');
+  assert(of()                                   === 'unknown',    'no providers at all → unknown');
+});
+
+test('rijksDate', () => {
+  assert(rijksDate('Water Lilies, Claude Monet, c. 1906') === 'c. 1906', 'takes the trailing date');
+  assert(rijksDate('The Bridge, Claude Monet, 1872-1873') === '1872-1873', 'keeps date ranges');
+  assert(rijksDate('Untitled, Claude Monet')              === '',          'no date → empty');
+  assert(rijksDate(undefined)                             === '',          'missing longTitle → empty');
+});
+
+test('siArtist', () => {
+  const freetext = { name: [
+    { label: 'Owner',  content: 'Smithsonian American Art Museum' },
+    { label: 'Artist', content: 'John Singer Sargent, born Florence, Italy 1856-died London 1925' },
+  ]};
+  assert(siArtist(freetext).startsWith('John Singer Sargent'), 'prefers the "Artist" label');
+  assert(siArtist({ name: [{ label: 'Maker', content: 'Childe Hassam' }] }) === 'Childe Hassam',
+    'falls back to the first name');
+  assert(siArtist({})        === '', 'no names → empty');
+  assert(siArtist(undefined) === '', 'missing freetext → empty');
+});
+
+test('siField', () => {
+  const physical = [
+    { label: 'Medium',     content: 'oil on canvas' },
+    { label: 'Dimensions', content: '25 1/4 x 31 1/2 in.' },
+  ];
+  assert(siField(physical, /medium/i)     === 'oil on canvas',       'finds entry by label');
+  assert(siField(physical, /dimensions/i) === '25 1/4 x 31 1/2 in.', 'finds second label');
+  assert(siField(physical, /credit/i)     === '',                    'missing label → empty');
+  assert(siField([{ label: 'Credit Line', content: 'Gift of <i>John Gellatly</i>' }]) === 'Gift of John Gellatly',
+    'no label → first entry, HTML stripped');
+  assert(siField(undefined, /medium/i)    === '',                    'missing list → empty');
+});
+
+test('historyKey', () => {
+  assert(historyKey({ src: 'met', id: 436535 }) === 'met:436535', 'source + object ID');
+  assert(historyKey({ src: 'aic', id: 0 })      === 'aic:0',      'zero ID still keyed');
+  assert(historyKey({ src: 'met' })             === null,         'no ID → null');
+  assert(historyKey({ id: 5 })                  === null,         'no source → null (FALLBACK)');
+  assert(historyKey(null)                       === null,         'null artwork → null');
+});
+
+test('pruneHistory', () => {
+  const DAY = 86_400_000, now = 100 * DAY;
+  const history = [
+    { key: 'met:1', at: now - 40 * DAY },
+    { key: 'met:2', at: now - 20 * DAY },
+    { key: 'aic:3', at: now - 1 * DAY },
+  ];
+  const keys = (days, views) => pruneHistory(history, now, days, views).map(e => e.key).join(',');
+  assert(keys(30, 0)   === 'met:2,aic:3',       'drops entries older than the day window');
+  assert(keys(0, 2)    === 'met:2,aic:3',       'keeps the last N views regardless of age');
+  assert(keys(30, 3)   === 'met:1,met:2,aic:3', 'either window keeps an entry');
+  assert(keys(0, 0)    === '',                  'zero windows → empty');
+  assert(pruneHistory([], now, 30, 300).length === 0, 'empty history stays empty');
+});
+
+test('withShown', () => {
+  const history = [{ key: 'met:1', at: 1 }, { key: 'aic:2', at: 2 }];
+  const keys    = list => list.map(e => `${e.key}@${e.at}`).join(',');
+  assert(keys(withShown(history, 'vam:3', 3)) === 'met:1@1,aic:2@2,vam:3@3', 'new view appended');
+  assert(keys(withShown(history, 'met:1', 3)) === 'aic:2@2,met:1@3',         'repeat moves to the end');
+  assert(history.length === 2,                                                'leaves the history alone');
+  assert(pruneHistory(withShown(history, 'met:1', 3), 3, 0, 2).length === 2,
+    'a repeat does not push another painting out of the views window');
+});
+
+test('seededRandom', () => {
+  const a = seededRandom(42), b = seededRandom(42), c = seededRandom(43);
+  const seqA = [a(), a(), a()], seqB = [b(), b(), b()], seqC = [c(), c(), c()];
+  assert(seqA.join() === seqB.join(),             'same seed → same sequence');
+  assert(seqA.join() !== seqC.join(),             'different seed → different sequence');
+  assert(seqA.every(x => x >= 0 && x < 1),        'values in [0, 1)');
+});
+
+test('hashString', () => {
+  assert(hashString('2024-05-17') === hashString('2024-05-17'), 'stable for the same date');
+  assert(hashString('2024-05-17') !== hashString('2024-05-18'), 'differs day to day');
+  assert(hashString('') === 0x811C9DC5,                         'empty → FNV offset basis');
+  assert(Number.isInteger(hashString('x')) && hashString('x') >= 0, 'unsigned 32-bit int');
+});
+
+test('shuffle / pickRandom', () => {
+  const arr = ['met', 'aic', 'vam', 'cleveland'];
+  assert(shuffle(arr, seededRandom(7)).join() === shuffle(arr, seededRandom(7)).join(), 'same seed → same order');
+  assert(shuffle(arr, seededRandom(7)).sort().join() === [...arr].sort().join(), 'a permutation');
+  assert(arr.join() === 'met,aic,vam,cleveland',       'leaves the input alone');
+  assert(pickRandom(arr, () => 0.99) === 'cleveland', 'draws from the given rng');
+  assert(arr.includes(pickRandom(arr)),                'defaults to Math.random');
+});
+
+// Stub museums that answer after `delay` ms, picking from their own list
+function stubFetchers(delay) {
+  const museum = src => async ({ rng, seen }) => {
+    await new Promise(r => setTimeout(r, delay));
+    const fresh = [1, 2, 3, 4, 5, 6].filter(id => !wasShown(seen, src, id));
+    return fresh.length ? { id: pickRandom(fresh, rng) } : null;
+  };
+  return { met: museum('met'), aic: museum('aic'), vam: museum('vam') };
+}
+
+testAsync('fetchFromSources — overlapping calls keep their own context', async () => {
+  const sources = ['met', 'aic', 'vam'];
+  const alone   = await fetchFromSources(sources, { rng: seededRandom(99), seen: new Set() }, stubFetchers(5));
+
+  // A seeded (daily) call and an unseeded refill in flight at the same time
+  const seen = new Set(sources.flatMap(src => [1, 2, 3, 4, 5].map(id => `${src}:${id}`)));
+  const [daily, refill] = await Promise.all([
+    fetchFromSources(sources, { rng: seededRandom(99), seen: new Set() }, stubFetchers(5)),
+    fetchFromSources(sources, { rng: Math.random, seen }, stubFetchers(1)),
+  ]);
+  assert(daily.src === alone.src && daily.id === alone.id, 'the seeded pick is unchanged by the overlap');
+  assert(refill.id === 6,                                  'the refill still skips its own seen keys');
+});
+
+// A museum that never answers on its own, like a fetch on a captive portal
+const hangingFetcher = log => async ({ signal }) => {
+  log.push('start');
+  await new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+};
+
+testAsync('withTimeout — aborts a fetcher that runs over', async () => {
+  let ctx, error;
+  const stalled = async c => {
+    ctx = c;
+    await new Promise(r => setTimeout(r, 50));
+    return c.rng();
+  };
+  try { await withTimeout(stalled, { rng: Math.random, seen: new Set() }, 10); } catch (err) { error = err; }
+  assert(/timed out after 10 ms/.test(error?.message), 'rejects once the time is up');
+  assert(ctx.signal.aborted,                         'aborts the signal its requests carry');
+  let drew = true;
+  try { ctx.rng(); } catch { drew = false; }
+  assert(!drew,                                      'refuses random draws afterwards');
+
+  const quick = await withTimeout(async ({ rng }) => ({ id: rng() }), { rng: () => 0.5, seen: new Set() }, 10);
+  assert(quick.id === 0.5,                           'an answer in time passes through');
+});
+
+testAsync('fetchFromSources — one deadline for the whole chain', async () => {
+  const log     = [];
+  const hanging = { met: hangingFetcher(log), aic: hangingFetcher(log), vam: hangingFetcher(log) };
+  const started = Date.now();
+  const warn    = console.warn;
+  console.warn  = () => {};
+  const result  = await fetchFromSources(['met', 'aic', 'vam'], { rng: Math.random, seen: new Set() }, hanging, 40);
+  console.warn  = warn;
+  assert(result === null,                 'gives up with null');
+  assert(Date.now() - started < 1000,     'within the budget, not per-source timeouts back to back');
+  assert(log.length === 1,                'no source starts after the deadline');
+});
+
+test('pickOffline', () => {
+  const art    = (src, id, dataUrl = 'data:x') => ({ src, id, dataUrl });
+  const stored = {
+    queue:     [art('met', 1), art('aic', 2, null)],
+    daily:     art('vam', 'O1'),
+    favorites: [art('rijks', 'SK-A')],
+  };
+  const none   = { rng: Math.random, seen: new Set() };
+  const keys   = new Set(Array.from({ length: 50 }, () => historyKey(pickOffline(stored, [], none))));
+  assert([...keys].sort().join() === 'met:1,rijks:SK-A,vam:O1', 'queue, daily and favorites — only those with an image');
+
+  const seen = new Set(['met:1', 'vam:O1']);
+  assert(pickOffline(stored, [], { rng: Math.random, seen }).id === 'SK-A', 'prefers one not shown recently');
+  const all  = new Set(['met:1', 'vam:O1', 'rijks:SK-A']);
+  assert(pickOffline(stored, [], { rng: Math.random, seen: all }) !== null, 'a repeat beats nothing');
+  assert(pickOffline(stored, [], none).offline === true,                'flagged offline');
+  assert(pickOffline({}, [], none) === null,                            'nothing stored or bundled → null');
+  assert(pickOffline({ daily: null, queue: [] }, [], none) === null,    'empty entries → null');
+
+  const bundled = [{ src: 'aic', id: 16568, imageUrl: 'chrome-extension://x/offline/a.jpg' },
+                   { src: 'aic', id: 64818, imageUrl: 'chrome-extension://x/offline/b.jpg' }];
+  assert(pickOffline(stored, bundled, { rng: Math.random, seen: all }).src !== 'aic',
+    'anything stored, even a repeat, beats the bundled pack');
+  assert(pickOffline({}, bundled, none)?.offline === true,              'nothing stored → the bundled pack');
+  const shownLilies = { rng: Math.random, seen: new Set(['aic:16568']) };
+  assert(Array.from({ length: 20 }, () => pickOffline({}, bundled, shownLilies).id).every(id => id === 64818),
+    'the pack prefers one not shown recently too');
+});
+
+testAsync('fetchThroughTiers — falls through in order', async () => {
+  const stored  = { queue: [{ src: 'met', id: 1, dataUrl: 'data:x' }] };
+  const offline = ctx => { offline.calls++; return pickOffline(stored, [], ctx); };
+  const tried   = [];
+  const museums = {
+    met: async () => { tried.push('met'); throw new Error('down'); },
+    aic: async () => { tried.push('aic'); return null; },
+    vam: async () => { tried.push('vam'); return { id: 'O1' }; },
+  };
+  const ctx  = () => ({ rng: Math.random, seen: new Set() });
+  const warn = console.warn;
+  console.warn = () => {};
+
+  offline.calls = 0;
+  let result = await fetchThroughTiers(['met', 'aic', 'vam'], ctx(), museums, offline);
+  assert(result.src === 'vam' && !result.offline && offline.calls === 0, 'a museum that answers wins; storage untouched');
+  assert(tried.includes('vam'),                                            'past failing and empty museums');
+
+  offline.calls = 0;
+  result = await fetchThroughTiers(['met', 'aic'], ctx(), museums, offline);
+  assert(result.offline && result.id === 1 && offline.calls === 1,       'every museum failing → offline tier');
+
+  tried.length = 0;
+  result = await fetchThroughTiers([], ctx(), museums, offline);
+  assert(result.offline && tried.length === 0,                           'offline → no museum asked');
+
+  result = await fetchThroughTiers(['met'], ctx(), museums, c => pickOffline({}, [], c));
+  assert(result === null,                                                'nothing anywhere → null (FALLBACK)');
+  console.warn = warn;
+});
+
+testAsync('fetchFromSources — daily mode', async () => {
+  const scopes  = [];
+  const museums = {
+    met: async () => { throw new Error('timed out after 3000 ms'); },
+    aic: async ({ scope }) => { scopes.push(scope); return null; },
+    vam: async ({ scope }) => { scopes.push(scope); return { id: 'O1' }; },
+  };
+  const scope = { artists: ['Monet'], eraStart: 1860, eraEnd: 1910 };
+  const warn  = console.warn;
+  console.warn = () => {};
+  const random = await fetchFromSources(['met', 'aic', 'vam'], { rng: Math.random, seen: new Set(), scope }, museums);
+  assert(random?.src === 'vam',                      'random mode moves past a failing museum');
+  assert(scopes.every(s => s === scope),             'fetchers get the call\'s artists and era');
+
+  // Whichever order the seed puts them in, a failure never hands over to the next museum
+  let sawFailure = false;
+  for (let seed = 0; seed < 20; seed++) {
+    const ctx    = { daily: true, rng: seededRandom(seed), seen: new Set(), scope };
+    const order  = shuffle(['met', 'aic', 'vam'], seededRandom(seed));
+    const result = await fetchFromSources(['met', 'aic', 'vam'], ctx, museums);
+    const failed = order.indexOf('met') < order.indexOf('vam');
+    sawFailure ||= failed;
+    if (failed ? result !== null : result?.src !== 'vam') { sawFailure = null; break; }
+  }
+  console.warn = warn;
+  assert(sawFailure === true, 'daily mode stops at a failure; an empty answer still passes on');
+});
+
+test('localDateKey', () => {
+  assert(localDateKey(new Date(2024, 0, 5))         === '2024-01-05', 'zero-pads month and day');
+  assert(localDateKey(new Date(2024, 11, 31, 23, 59)) === '2024-12-31', 'uses local date, not UTC');
+  assert(/^\d{4}-\d{2}-\d{2}$/.test(localDateKey()), 'defaults to today');
+});
+
+test('hexToRgb / rgbToHex', () => {
+  const rgb = hexToRgb('#7A8A82');
+  assert(rgb[0] === 122 && rgb[1] === 138 && rgb[2] === 130, 'parses hex');
+  assert(rgbToHex([122, 138, 130]) === '#7A8A82',            'round-trips');
+  assert(rgbToHex([0.4, 254.6, 16]) === '#00FF10',           'rounds and pads');
+});
+
+test('relativeLuminance', () => {
+  assert(relativeLuminance([0, 0, 0]) === 0,                           'black is 0');
+  assert(Math.abs(relativeLuminance([255, 255, 255]) - 1) < 1e-9,      'white is 1');
+  assert(relativeLuminance([0, 255, 0]) > relativeLuminance([0, 0, 255]), 'green reads brighter than blue');
+});
+
+test('closestColor', () => {
+  const walls = ['#1C1C1C', '#6E7C78', '#7C6E5A', '#9B9490'];
+  assert(closestColor([10, 10, 10], walls)    === '#1C1C1C', 'near-black → Sumi');
+  assert(closestColor([90, 130, 150], walls)  === '#6E7C78', 'cool blue → grey-green');
+  assert(closestColor([150, 110, 60], walls)  === '#7C6E5A', 'warm ochre → yellow-brown');
+  assert(closestColor([240, 240, 235], walls) === '#9B9490', 'near-white → palest');
+});
+
+test('extractPalette', () => {
+  // 8×8 image: top half white, bottom half blue, one transparent pixel
+  const w = 8, h = 8, data = new Uint8ClampedArray(w * h * 4);
+  for (let i = 0; i < w * h; i++) {
+    const top = i < w * h / 2;
+    data.set(top ? [255, 255, 255, 255] : [20, 40, 200, 255], i * 4);
+  }
+  data[3] = 0;
+  const { colors, luma } = extractPalette(data, w, h);
+  assert(colors.length === 2,                   'two distinct colours');
+  assert(colors[0] === '#FFFFFF' || colors[0] === '#1428C8', 'dominant colour is one of them');
+  assert(colors.includes('#1428C8'),            'blue kept exactly');
+  assert(luma.length === LUMA_GRID * LUMA_GRID, 'full luma grid');
+  assert(luma[0] === 0,                         'transparent cell ignored');
+  assert(luma[1] === 1,                         'white cell is 1');
+  assert(luma[luma.length - 1] < 0.1,           'blue cell is dark');
+});
+
+test('extractPalette — most common colour first', () => {
+  const data = new Uint8ClampedArray(4 * 4 * 4);
+  for (let i = 0; i < 16; i++) data.set(i < 12 ? [200, 60, 40, 255] : [30, 30, 30, 255], i * 4);
+  const { colors } = extractPalette(data, 4, 4);
+  assert(colors[0] === '#C83C28', 'majority colour leads');
+  assert(extractPalette(data, 4, 4, 1).colors.length === 1, 'count limits colours');
+});
+
+test('lumaInRect', () => {
+  // Left half dark, right half bright
+  const luma = Array.from({ length: LUMA_GRID * LUMA_GRID }, (_, i) => (i % LUMA_GRID) < LUMA_GRID / 2 ? 0 : 1);
+  assert(lumaInRect(luma, 0, 0, 0.5, 1)   === 0,   'left half dark');
+  assert(lumaInRect(luma, 0.5, 0, 1, 1)   === 1,   'right half bright');
+  assert(lumaInRect(luma, 0.25, 0, 0.75, 1) === 0.5, 'straddling rect averages by overlap');
+  assert(lumaInRect(luma, 0.6, 0.6, 0.6, 0.9) === null, 'empty rect → null');
+});
+
+test('parseYahooSeries', () => {
+  const json = { chart: { result: [{
+    meta: { regularMarketPrice: 11 },
+    timestamp: [1700000000, 1700000300, 1700000600],
+    indicators: { quote: [{ close: [10, null, 11] }] },
+  }] } };
+  const series = parseYahooSeries(json);
+  assert(series.length === 2,                         'null closes dropped');
+  assert(series[0][0] === 1700000000000,              'seconds → ms');
+  assert(series[1][1] === 11,                         'close kept');
+  assert(parseYahooSeries(null).length === 0,         'no response → empty');
+  assert(parseYahooV8('X', json).series.length === 2, 'quote carries the series');
+});
+
+test('seriesBounds', () => {
+  const pts = [[0, 10], [1, 12], [2, 11]];
+  let b = seriesBounds(pts);
+  assert(b.min === 10 && b.max === 12, 'min/max of closes');
+  b = seriesBounds(pts, 9);
+  assert(b.min === 9,                  'widened to include prev close');
+  b = seriesBounds([[0, 5], [1, 5]]);
+  assert(b.min === 4 && b.max === 6,   'flat series padded');
+});
+
+test('linePath / indexAtX', () => {
+  const pts = [[0, 0], [1, 10], [2, 5]];
+  const d   = linePath(pts, { min: 0, max: 10 }, 100, 50, 0);
+  assert(d === 'M0.0,50.0L50.0,0.0L100.0,25.0', 'scaled to the box, top = max');
+  assert(indexAtX(0, 3, 100, 0)   === 0, 'left edge → first bar');
+  assert(indexAtX(49, 3, 100, 0)  === 1, 'nearest bar');
+  assert(indexAtX(140, 3, 100, 0) === 2, 'clamped past the right edge');
+  assert(indexAtX(-5, 3, 100, 0)  === 0, 'clamped before the left edge');
+});
+
+test('seriesTrend', () => {
+  assert(seriesTrend([[0, 10], [1, 11]], 12)   === 'negative', 'below prev close');
+  assert(seriesTrend([[0, 10], [1, 11]], null) === 'positive', 'no prev close → vs first bar');
+  assert(seriesTrend([], 5)                    === 'neutral',  'empty');
+});
+
+test('referenceLabel', () => {
+  assert(referenceLabel('1D') === 'prev close', '1D → the previous close');
+  assert(referenceLabel('5D') === '5D start',   'longer ranges → where the range starts');
+  assert(referenceLabel('1Y') === '1Y start',   'named after the range');
+});
+
+test('marketStatus — US', () => {
+  // 2026-10-20 is a Tuesday; New York is on EDT (UTC−4)
+  const at = iso => marketStatus('US', new Date(iso));
+  assert(at('2026-10-20T14:00:00Z') === 'open',   '10:00 ET → open');
+  assert(at('2026-10-20T12:00:00Z') === 'pre',    '08:00 ET → pre-market');
+  assert(at('2026-10-20T21:00:00Z') === 'post',   '17:00 ET → after-hours');
+  assert(at('2026-10-21T01:00:00Z') === 'closed', '21:00 ET → closed');
+  assert(at('2026-10-20T13:30:00Z') === 'open',   '09:30 ET sharp → open');
+  assert(at('2026-10-20T20:00:00Z') === 'post',   '16:00 ET sharp → after-hours');
+  assert(at('2026-10-24T15:00:00Z') === 'closed', 'Saturday → closed');
+  assert(at('2026-11-26T15:00:00Z') === 'closed', 'Thanksgiving → closed');
+  // 2026-11-27 closes at 13:00 ET (EST, UTC−5)
+  assert(at('2026-11-27T17:30:00Z') === 'open',   '12:30 ET on a half day → open');
+  assert(at('2026-11-27T18:30:00Z') === 'post',   '13:30 ET on a half day → after-hours');
+});
+
+test('marketStatus — HK', () => {
+  // Hong Kong is UTC+8 all year; 2026-10-20 is a Tuesday
+  const at = iso => marketStatus('HK', new Date(iso));
+  assert(at('2026-10-20T02:00:00Z') === 'open',   '10:00 HKT → open');
+  assert(at('2026-10-20T04:30:00Z') === 'lunch',  '12:30 HKT → lunch break');
+  assert(at('2026-10-20T06:00:00Z') === 'open',   '14:00 HKT → open');
+  assert(at('2026-10-20T00:30:00Z') === 'closed', '08:30 HKT → closed (no pre-market)');
+  assert(at('2026-10-20T08:30:00Z') === 'closed', '16:30 HKT → closed');
+  assert(at('2026-10-19T02:00:00Z') === 'closed', 'Chung Yeung holiday → closed');
+  assert(at('2026-12-24T02:00:00Z') === 'open',   'Christmas Eve morning → open');
+  assert(at('2026-12-24T05:30:00Z') === 'closed', 'Christmas Eve afternoon → closed');
+});
+
+test('marketStatus — HK 2027 calendar', () => {
+  const at = iso => marketStatus('HK', new Date(iso));
+  assert(at('2027-02-05T02:00:00Z') === 'open',   'Lunar New Year\'s Eve morning → open');
+  assert(at('2027-02-05T06:00:00Z') === 'closed', 'Lunar New Year\'s Eve afternoon → closed');
+  assert(at('2027-02-09T02:00:00Z') === 'closed', 'fourth day of Lunar New Year (second fell on Sunday) → closed');
+  assert(at('2027-09-16T02:00:00Z') === 'closed', 'day after Mid-Autumn → closed');
+  assert(at('2027-12-27T02:00:00Z') === 'closed', 'first weekday after Christmas → closed');
+  assert(at('2027-12-31T06:00:00Z') === 'closed', 'New Year\'s Eve afternoon → closed');
+  assert(at('2027-10-20T02:00:00Z') === 'open',   'an ordinary 2027 Wednesday → open');
+});
+
+test('marketStatus — past the holiday table', () => {
+  // 2028-01-04 is a Tuesday; HKEX's table ends with 2027
+  const at = iso => marketStatus('HK', new Date(iso));
+  assert(at('2028-01-04T02:00:00Z') === 'unconfirmed', 'session hours past the table → unconfirmed');
+  assert(at('2028-01-04T04:30:00Z') === 'unconfirmed', 'lunch past the table → unconfirmed');
+  assert(at('2028-01-04T10:00:00Z') === 'closed',      'evening past the table → still closed');
+  assert(at('2028-01-08T02:00:00Z') === 'closed',      'Saturday past the table → still closed');
+  assert(marketStatus('US', new Date('2027-10-19T14:00:00Z')) === 'open', 'US table runs through 2027');
+  assert(marketStatus('UK', new Date('2027-10-19T10:00:00Z')) === 'unconfirmed', 'LSE table ends with 2026');
+  assert(marketStatus('TW', new Date('2028-01-04T02:00:00Z')) === 'open', 'no table at all → never flagged');
+  assert(needsPoll({ session: 'unconfirmed' }, 'unconfirmed'), 'unconfirmed sessions are polled as live');
+});
+
+test('marketStatus — other exchanges', () => {
+  // 2026-10-20 is a Tuesday
+  assert(marketStatus('CN', new Date('2026-10-20T02:00:00Z')) === 'open',   '10:00 CST → Shanghai open');
+  assert(marketStatus('CN', new Date('2026-10-20T04:00:00Z')) === 'lunch',  '12:00 CST → Shanghai lunch');
+  assert(marketStatus('CN', new Date('2026-10-06T02:00:00Z')) === 'closed', 'Golden Week → closed');
+  assert(marketStatus('JP', new Date('2026-10-20T06:15:00Z')) === 'open',   '15:15 JST → Tokyo open');
+  assert(marketStatus('JP', new Date('2026-10-20T03:00:00Z')) === 'lunch',  '12:00 JST → Tokyo lunch');
+  assert(marketStatus('UK', new Date('2026-10-20T15:00:00Z')) === 'open',   '16:00 BST → London open');
+  assert(marketStatus('UK', new Date('2026-12-24T13:00:00Z')) === 'closed', 'Christmas Eve afternoon → closed');
+  assert(marketStatus('TW', new Date('2026-10-20T02:00:00Z')) === 'open',   '10:00 in Taipei → open');
+});
+
+test('marketStatus — round-the-clock markets', () => {
+  // New York is on EDT (UTC−4) through 2026-11-01
+  assert(marketStatus('FX',  new Date('2026-10-21T03:00:00Z')) === 'open',   'FX trades overnight');
+  assert(marketStatus('FX',  new Date('2026-10-24T15:00:00Z')) === 'closed', 'FX closed Saturday');
+  assert(marketStatus('FX',  new Date('2026-10-25T20:00:00Z')) === 'closed', 'Sunday 16:00 ET → not yet open');
+  assert(marketStatus('FX',  new Date('2026-10-25T22:00:00Z')) === 'open',   'Sunday 18:00 ET → open');
+  assert(marketStatus('FUT', new Date('2026-10-20T21:30:00Z')) === 'closed', '17:30 ET → daily futures break');
+  assert(marketStatus('FUT', new Date('2026-10-20T23:00:00Z')) === 'open',   '19:00 ET → futures open');
+  assert(marketStatus('CRYPTO', new Date('2026-10-24T15:00:00Z')) === 'open', 'crypto never closes');
+  assert(marketFor('BTC-USD') === 'CRYPTO' && marketFor('^N225') === 'JP', 'marketFor follows the symbol');
+});
+
+test('needsPoll', () => {
+  assert(needsPoll(null, 'closed'),                         'no quote yet → poll');
+  assert(needsPoll({ session: 'open' }, 'open'),            'live → poll');
+  assert(needsPoll({ session: 'post' }, 'pre'),             'pre-market → poll');
+  assert(needsPoll({ session: 'open' }, 'closed'),          'just closed → one more poll');
+  assert(!needsPoll({ session: 'closed' }, 'closed'),       'closing price in → stop');
+  assert(needsPoll({ session: 'open' }, 'lunch'),           'lunch starts → one more poll');
+  assert(!needsPoll({ session: 'lunch' }, 'lunch'),         'during lunch → stop');
+});
+
+test('failedQuote', () => {
+  const good = { price: 10, fetchedAt: 1000, session: 'open' };
+  let q = failedQuote(good, 'network', 5000);
+  assert(q.price === 10 && q.fetchedAt === 1000, 'keeps the last good quote');
+  assert(q.error === 'network' && q.failedAt === 5000, 'records why and when');
+  assert(q.attempt === 0 && q.retryAt === 35_000, 'first retry after 30 s');
+  q = failedQuote(q, 'rate-limit', 35_000);
+  assert(q.attempt === 1 && q.retryAt === 95_000 && q.error === 'rate-limit', 'backs off to 60 s');
+  q = failedQuote({ ...q, attempt: 10 }, 'network', 0);
+  assert(q.retryAt === 15 * 60_000, 'capped at 15 minutes');
+  q = failedQuote(undefined, 'unknown', 0);
+  assert(q.price === undefined && q.error === 'unknown' && q.attempt === 0, 'failure without a last quote');
+  q = failedQuote(null, 'unknown', 0);
+  assert(q.error === 'unknown', 'null last quote (older versions stored failures as null)');
+});
+
+test('pollDue', () => {
+  const failed = { price: 10, session: 'closed', error: 'network', retryAt: 100 };
+  assert(!pollDue(failed, 'open', 99),                  'live market still waits for the retry');
+  assert(pollDue(failed, 'closed', 100),                'closed market retried when due');
+  assert(pollDue(null, 'closed', 0),                    'no quote yet → poll');
+  assert(!pollDue({ session: 'closed' }, 'closed', 0),  'healthy quotes follow needsPoll');
+});
+
+test('isStale', () => {
+  const maxAge = 120_000;
+  assert(!isStale(null, 'open', 0, maxAge),                                    'no quote → nothing stale');
+  assert(!isStale({ error: 'unknown' }, 'open', 0, maxAge),                    'never fetched → nothing stale');
+  assert(isStale({ fetchedAt: 0, error: 'network' }, 'closed', 1, maxAge),     'failed refresh → stale');
+  assert(!isStale({ fetchedAt: 0 }, 'open', maxAge, maxAge),                   'within max age → fresh');
+  assert(isStale({ fetchedAt: 0 }, 'open', maxAge + 1, maxAge),                'overdue while open → stale');
+  assert(!isStale({ fetchedAt: 0 }, 'closed', 10 * maxAge, maxAge),            'closing price never stale');
+});
+
+test('parseExtendedPrice', () => {
+  const base = { regularMarketPrice: 100 };
+  const wrap = (meta, extra = {}) => ({ chart: { result: [{ meta: { ...base, ...meta }, ...extra }] } });
+
+  let ext = parseExtendedPrice(wrap({ postMarketPrice: 102 }));
+  assert(ext.session === 'post' && ext.price === 102, 'postMarketPrice from meta');
+  assert(Math.abs(ext.change - 2) < 1e-9,            'change against regular price');
+  ext = parseExtendedPrice(wrap({ preMarketPrice: 99 }));
+  assert(ext.session === 'pre' && ext.change === -1, 'preMarketPrice from meta');
+
+  const period = { pre: { start: 100, end: 200 }, regular: { start: 200, end: 300 }, post: { start: 300, end: 400 } };
+  const bars   = t => ({ timestamp: [t], indicators: { quote: [{ close: [101] }] } });
+  ext = parseExtendedPrice(wrap({ currentTradingPeriod: period }, bars(350)));
+  assert(ext?.session === 'post' && ext.price === 101, 'last bar in post window');
+  assert(parseExtendedPrice(wrap({ currentTradingPeriod: period }, bars(250))) === null, 'regular bar → none');
+  assert(parseExtendedPrice(wrap({})) === null, 'nothing extended → null');
+  assert(parseExtendedPrice(null)     === null, 'no response → null');
+});
+
+test('normalizeWatchEntry', () => {
+  const legacy = normalizeWatchEntry('AAPL');
+  assert(legacy.ticker === 'AAPL' && legacy.lots.length === 0, 'bare string → entry without lots');
+  const lots = [{ qty: 10, cost: 150, currency: 'USD' }];
+  assert(normalizeWatchEntry({ ticker: 'AAPL', lots }).lots === lots, 'lots kept');
+  assert(normalizeWatchEntry({ ticker: 'AAPL', lots: 'x' }).lots.length === 0, 'malformed lots → none');
+  assert(legacy.alerts.length === 0,                                           'no alert rules by default');
+  assert(legacy.group === null,                                                'ungrouped by default');
+  assert(normalizeWatchEntry({ ticker: 'AAPL', group: ' Tech ' }).group === 'Tech', 'group name trimmed');
+  assert(normalizeWatchEntry({ ticker: 'AAPL', group: '  ' }).group === null,     'blank group → none');
+});
+
+const watch = (...specs) => specs.map(s => {
+  const [ticker, group = null] = s.split(':');
+  return { ticker, lots: [], alerts: [], group };
+});
+const order = entries => entries.map(e => e.group ? `${e.ticker}:${e.group}` : e.ticker).join(' ');
+
+test('watchlistLayout', () => {
+  const entries = watch('NVDA:Tech', 'AAPL', '0005.HK:Banks', 'MSFT:Tech', 'TSLA');
+  const layout  = watchlistLayout(entries);
+  assert(layout.length === 3,                                'ungrouped + two groups');
+  assert(layout[0].group === null && layout[0].tickers.join() === 'AAPL,TSLA', 'ungrouped rows first');
+  assert(layout[1].group === 'Tech' && layout[1].tickers.join() === 'NVDA,MSFT', 'groups by first appearance');
+  assert(layout[2].group === 'Banks',                        'then the next group');
+  assert(watchlistLayout(watch('A:G'))[0].group === 'G',     'no ungrouped block when every row is grouped');
 
-// =============================================================================
-//  Tests
-// =============================================================================
+  const quotes = { AAPL: { change: 1.5, shortName: 'Apple' }, TSLA: { change: -2, shortName: 'Tesla' },
+                   NVDA: { change: 3 }, MSFT: { shortName: 'Microsoft' } };
+  assert(watchlistLayout(entries, quotes, 'change')[0].tickers.join() === 'AAPL,TSLA', 'by change, biggest first');
+  assert(watchlistLayout(entries, quotes, 'change')[1].tickers.join() === 'NVDA,MSFT', 'unpriced rows last');
+  assert(watchlistLayout(entries, quotes, 'name')[1].tickers.join()   === 'MSFT,NVDA', 'by shown name');
+  assert(order(entries) === 'NVDA:Tech AAPL 0005.HK:Banks MSFT:Tech TSLA', 'sorting leaves the entries alone');
+});
 
-test('isHKTicker — positive cases', () => {
-  assert(isHKTicker('0700'),     '0700 is HK');
-  assert(isHKTicker('0700.HK'), '0700.HK is HK');
-  assert(isHKTicker('700'),     '700 is HK (leading-zero-less)');
-  assert(isHKTicker('9988'),    '9988 is HK');
-  assert(isHKTicker('9988.hk'), '9988.hk is HK (lowercase)');
-  assert(isHKTicker('1'),       '1-digit is HK');
-  assert(isHKTicker('12345'),   '5-digit is HK (max)');
+test('moveEntry', () => {
+  const entries = watch('AAPL', 'TSLA', 'NVDA:Tech', 'MSFT:Tech');
+  assert(order(moveEntry(entries, 'AAPL', 'TSLA', true))  === 'TSLA AAPL NVDA:Tech MSFT:Tech', 'after a row');
+  assert(order(moveEntry(entries, 'MSFT', 'NVDA'))        === 'AAPL TSLA MSFT:Tech NVDA:Tech', 'before a row');
+  assert(order(moveEntry(entries, 'AAPL', 'MSFT', true))  === 'TSLA NVDA:Tech MSFT:Tech AAPL:Tech', 'joins the target group');
+  assert(order(moveEntry(entries, 'NVDA', 'TSLA'))        === 'AAPL NVDA TSLA MSFT:Tech', 'leaves its group');
+  assert(moveEntry(entries, 'AAPL', 'AAPL') === entries,  'onto itself → unchanged');
+  assert(moveEntry(entries, 'AAPL', 'NOPE') === entries,  'unknown target → unchanged');
 });
 
-test('isHKTicker — negative cases', () => {
-  assert(!isHKTicker('NVDA'),   'NVDA is not HK');
-  assert(!isHKTicker('AAPL'),   'AAPL is not HK');
-  assert(!isHKTicker(''),       'empty string is not HK');
-  assert(!isHKTicker('123456'), '6-digit is not HK (too long)');
-  assert(!isHKTicker('0700.US'),'0700.US is not HK');
-  assert(!isHKTicker('abc'),    'letters are not HK');
+test('moveEntryBy', () => {
+  const entries = watch('AAPL', 'TSLA', 'NVDA:Tech', 'MSFT:Tech');
+  assert(order(moveEntryBy(entries, 'AAPL', 1))  === 'TSLA AAPL NVDA:Tech MSFT:Tech', 'down within a block');
+  assert(order(moveEntryBy(entries, 'TSLA', 1))  === 'AAPL TSLA:Tech NVDA:Tech MSFT:Tech', 'down into a group → first in it');
+  assert(order(moveEntryBy(entries, 'NVDA', -1)) === 'AAPL TSLA NVDA MSFT:Tech', 'up out of a group → last above');
+  assert(moveEntryBy(entries, 'AAPL', -1) === entries, 'top row up → unchanged');
+  assert(moveEntryBy(entries, 'MSFT', 1)  === entries, 'bottom row down → unchanged');
 });
 
-test('normalizeHkTicker', () => {
-  assert(normalizeHkTicker('700')     === '0700.HK', '700 → 0700.HK');
-  assert(normalizeHkTicker('0700')    === '0700.HK', '0700 → 0700.HK');
-  assert(normalizeHkTicker('0700.HK') === '0700.HK', '0700.HK → 0700.HK (idempotent)');
-  assert(normalizeHkTicker('9988')    === '9988.HK', '9988 → 9988.HK');
-  assert(normalizeHkTicker('1')       === '0001.HK', '1 → 0001.HK');
-  assert(normalizeHkTicker('0')       === '0000.HK', '0 → 0000.HK (edge)');
-  assert(normalizeHkTicker('9988.hk') === '9988.HK', 'lowercase .hk is normalized');
+test('validLots', () => {
+  const lots = validLots([
+    { qty: 10, cost: 1 }, { qty: 0, cost: 1 }, { qty: NaN, cost: 1 },
+    { qty: 5, cost: -1 }, { qty: 5, cost: 0 },
+  ]);
+  assert(lots.length === 2, 'drops zero, blank and negative-cost lots');
+  assert(validLots(undefined).length === 0, 'no lots → empty');
 });
 
-test('normalizeTicker', () => {
-  assert(normalizeTicker('nvda')    === 'NVDA',    'nvda → NVDA');
-  assert(normalizeTicker('AAPL')   === 'AAPL',    'AAPL → AAPL');
-  assert(normalizeTicker(' tsla ') === 'TSLA',    'trims whitespace');
-  assert(normalizeTicker('700')    === '0700.HK', '700 → 0700.HK');
-  assert(normalizeTicker('0700.HK')=== '0700.HK', '0700.HK → 0700.HK');
-  assert(normalizeTicker('')       === '',         'empty → empty');
+test('fxConverter', () => {
+  const toUsd = fxConverter({ HKDUSD: { rate: 0.128 }, USDJPY: { rate: 150 } }, 'USD');
+  assert(toUsd('USD') === 1,                        'base → 1');
+  assert(toUsd('HKD') === 0.128,                    'direct pair');
+  assert(Math.abs(toUsd('JPY') - 1 / 150) < 1e-12, 'inverse pair');
+  assert(toUsd('EUR') === null,                     'missing pair → null');
 });
 
-test('formatPrice', () => {
-  assert(formatPrice(null)   === '—',       'null → —');
-  assert(formatPrice(undefined) === '—',    'undefined → —');
-  assert(formatPrice(875.39) === '875.39',  '875.39 → 875.39 (2dp)');
-  assert(formatPrice(100)    === '100.00',  '100 → 100.00 (boundary)');
-  assert(formatPrice(99.9)   === '99.900',  '99.9 → 99.900 (3dp)');
-  assert(formatPrice(0.5)    === '0.500',   '0.5 → 0.500');
-  assert(formatPrice(1200)   === '1200.00', '1200 → 1200.00');
+test('fxConverter — minor units', () => {
+  const toUsd = fxConverter({ GBPUSD: { rate: 1.25 } }, 'USD');
+  assert(toUsd('GBp') === 0.0125,                            'pence via GBP');
+  assert(fxConverter({}, 'GBP')('GBp') === 0.01,             'pence into pounds');
+  assert(fxPairsNeeded([{ ticker: 'VOD.L', lots: [{ qty: 1, cost: 70 }] }], {}, 'USD')[0] === 'GBPUSD',
+         'pence holding → GBPUSD');
 });
 
-test('formatChange', () => {
-  assert(formatChange(null)  === '—',        'null → —');
-  assert(formatChange(2.34)  === '+2.34%',   'positive gets + sign');
-  assert(formatChange(-1.5)  === '-1.50%',   'negative gets - sign');
-  assert(formatChange(0)     === '+0.00%',   'zero gets + sign');
-  assert(formatChange(0.001) === '+0.00%',   'tiny positive rounds to +0.00%');
-  assert(formatChange(100)   === '+100.00%', 'large % works');
+test('fxPairsNeeded', () => {
+  const entries = [
+    { ticker: '0700.HK', lots: [{ qty: 100, cost: 300 }] },
+    { ticker: 'AAPL',    lots: [{ qty: 1, cost: 150, currency: 'EUR' }] },
+    { ticker: 'MSFT',    lots: [] },
+  ];
+  const pairs = fxPairsNeeded(entries, { '0700.HK': { currency: 'HKD' } }, 'USD');
+  assert(pairs.length === 2,         'one pair per foreign currency');
+  assert(pairs.includes('HKDUSD'),   'HKD holding → HKDUSD');
+  assert(pairs.includes('EURUSD'),   'EUR cost basis → EURUSD');
+  assert(fxPairsNeeded(entries, {}, 'HKD').includes('USDHKD'), 'follows the base currency');
 });
 
-test('inImpressionistEra', () => {
-  assert(inImpressionistEra('1860')       === true,  '1860 in era (lower bound)');
-  assert(inImpressionistEra('1910')       === true,  '1910 in era (upper bound)');
-  assert(inImpressionistEra('1885')       === true,  '1885 in era');
-  assert(inImpressionistEra('1859')       === false, '1859 before era');
-  assert(inImpressionistEra('1911')       === false, '1911 after era');
-  assert(inImpressionistEra(null)         === true,  'null → keep (unknown date)');
-  assert(inImpressionistEra('')           === true,  'empty → keep');
-  assert(inImpressionistEra('circa 1885') === true,  '"circa 1885" extracts year');
-  assert(inImpressionistEra('c. 1900-05') === true,  '"c. 1900-05" extracts 1900');
-  assert(inImpressionistEra('no date')    === true,  'unparseable → keep');
-  assert(inImpressionistEra('1750')       === false, '1750 too early');
+test('positionSummary', () => {
+  const toUsd = fxConverter({ HKDUSD: { rate: 0.125 } }, 'USD');
+  const quote = { price: 400, prevClose: 392, currency: 'HKD' };
+  const lots  = [{ qty: 100, cost: 300 }, { qty: 100, cost: 340 }];
+  const p     = positionSummary('0700.HK', lots, quote, toUsd);
+  assert(p.qty === 200,          'quantities add up');
+  assert(p.value === 10000,      'value = 200 × 400 HKD × 0.125');
+  assert(p.cost === 8000,        'cost converted at the same rate');
+  assert(p.unrealized === 2000,  'unrealized = value − cost');
+  assert(p.dayPnl === 200,       'day P&L = 200 × 8 HKD × 0.125');
+
+  const noFx = positionSummary('0700.HK', lots, quote, fxConverter({}, 'USD'));
+  assert(noFx.value === null && noFx.unrealized === null, 'no FX rate → unknown');
+  const noQuote = positionSummary('AAPL', [{ qty: 2, cost: 100 }], undefined, toUsd);
+  assert(noQuote.cost === 200 && noQuote.value === null,  'no quote → cost only');
 });
 
-test('matchesArtist', () => {
-  assert(matchesArtist('Claude Monet (French, 1840–1926)') === true,  'Monet matches');
-  assert(matchesArtist('Pierre-Auguste Renoir')            === true,  'Renoir matches');
-  assert(matchesArtist('Vincent van Gogh')                 === true,  'van Gogh matches');
-  assert(matchesArtist('Paul Cézanne')                     === true,  'Cézanne matches');
-  assert(matchesArtist('Pablo Picasso')                    === false, 'Picasso not in list');
-  assert(matchesArtist('Rembrandt van Rijn')               === false, 'Rembrandt not in list');
-  assert(matchesArtist('')                                 === false, 'empty string → false');
-  assert(matchesArtist('<b>Monet</b>')                     === true,  'strips HTML before matching');
+test('portfolioTotal', () => {
+  const total = portfolioTotal([
+    { value: 1000, cost: 800,  dayPnl: 10,   unrealized: 200 },
+    { value: 500,  cost: 600,  dayPnl: -5,   unrealized: -100 },
+  ]);
+  assert(total.value === 1500 && total.dayPnl === 5, 'sums value and day P&L');
+  assert(total.unrealized === 100 && total.cost === 1400, 'sums unrealized and cost');
+  assert(total.partial === false, 'complete');
+  const partial = portfolioTotal([
+    { value: 1000, cost: 800, dayPnl: 10, unrealized: 200 },
+    { value: null, cost: 200, dayPnl: null, unrealized: null },
+  ]);
+  assert(partial.partial && partial.value === 1000, 'unvalued position flagged and left out');
+});
+
+test('alertTriggered', () => {
+  const q = { price: 105, change: -3.2 };
+  assert(alertTriggered({ type: 'above', value: 100 }, q),  'above: 105 ≥ 100');
+  assert(!alertTriggered({ type: 'above', value: 110 }, q), 'above: 105 < 110');
+  assert(alertTriggered({ type: 'below', value: 105 }, q),  'below: at the line counts');
+  assert(alertTriggered({ type: 'move', value: 3 }, q),     'move: −3.2% beyond ±3%');
+  assert(!alertTriggered({ type: 'move', value: 5 }, q),    'move: within ±5%');
+  assert(!alertTriggered({ type: 'above', value: 1 }, {}),  'no price → never');
+});
+
+test('evaluateAlerts — fires once, re-arms, cools down', () => {
+  const rules = [{ id: 'r1', type: 'above', value: 100 }];
+  const hour  = 3_600_000;
+
+  let r = evaluateAlerts(rules, { price: 101 }, {}, 0, hour);
+  assert(r.fired.length === 1,          'fires when the condition turns true');
+  r = evaluateAlerts(rules, { price: 102 }, r.state, 60_000, hour);
+  assert(r.fired.length === 0,          'stays quiet while it holds');
+  r = evaluateAlerts(rules, { price: 99 }, r.state, 120_000, hour);
+  assert(!r.state.r1.active,            'clears when the price falls back');
+  r = evaluateAlerts(rules, { price: 101 }, r.state, 180_000, hour);
+  assert(r.fired.length === 0,          'crossing again within the cooldown → quiet');
+  r = evaluateAlerts(rules, { price: 99 }, r.state, 2 * hour, hour);
+  r = evaluateAlerts(rules, { price: 101 }, r.state, 2 * hour + 1, hour);
+  assert(r.fired.length === 1,          'crossing after the cooldown fires again');
+});
+
+test('evaluateAlerts — editing a rule resets it', () => {
+  const state = { r1: { sig: 'above:100', active: true, firedAt: 0 } };
+  const r = evaluateAlerts([{ id: 'r1', type: 'above', value: 90 }], { price: 101 }, state, 1000, 3_600_000);
+  assert(r.fired.length === 1, 'new threshold fires without waiting for the old cooldown');
+  const bad = evaluateAlerts([{ id: 'x', type: 'nope', value: 1 }, { id: 'y', type: 'above' }], { price: 1 }, {}, 0, 0);
+  assert(Object.keys(bad.state).length === 0, 'invalid rules ignored');
+});
+
+test('alertMessage', () => {
+  assert(alertMessage({ type: 'above', value: 100 }, 'AAPL', { price: 101 }).includes('above your alert at 100'), 'above');
+  assert(alertMessage({ type: 'move', value: 3 }, '0700.HK', { price: 1, change: -3.25, shortName: 'TENCENT' })
+    .startsWith('TENCENT has moved -3.25%'), 'move uses the company name and signed change');
 });
 
 test('parseYahooV8 — correct response shape', () => {
@@ -257,6 +2027,135 @@ test('parseYahooV8 — no prevClose (new listing)', () => {
   assert(formatChange(result.change) === '—', 'formatChange handles null change');
 });
 
+test('parseYahooNews', () => {
+  const items = parseYahooNews({ news: [
+    { title: 'Older', link: 'https://example.com/a', publisher: 'Reuters', providerPublishTime: 1000 },
+    { title: 'Newer', link: 'https://example.com/b', publisher: 'Barron\'s', providerPublishTime: 2000 },
+    { title: 'Undated', link: 'https://example.com/c' },
+    { title: 'Script', link: 'javascript:alert(1)', providerPublishTime: 3000 },
+    { link: 'https://example.com/d' },
+  ] });
+  assert(items.length === 3,                         'drops untitled and non-http links');
+  assert(items[0].title === 'Newer',                 'newest first');
+  assert(items[0].publishedAt === 2_000_000,         'publish time in ms');
+  assert(items[1].source === 'Reuters',              'publisher as source');
+  assert(items[2].publishedAt === null && items[2].source === '', 'undated, no publisher');
+  assert(parseYahooNews({}).length === 0 && parseYahooNews(null).length === 0, 'no news → empty');
+});
+
+test('timeAgo', () => {
+  const now = Date.UTC(2026, 9, 19, 12, 0);
+  assert(timeAgo(now - 30_000, now)          === 'just now', 'under a minute');
+  assert(timeAgo(now - 5 * 60_000, now)      === '5m ago',   'minutes');
+  assert(timeAgo(now - 3 * 3_600_000, now)   === '3h ago',   'hours');
+  assert(!/ago/.test(timeAgo(now - 2 * 86_400_000, now)),    'a date after a day');
+});
+
+testAsync('tickerNews', async () => {
+  const calls = [];
+  const stub  = { label: 'Stub', fetch: async t => {
+    calls.push(t);
+    return Array.from({ length: 10 }, (_, i) => ({ title: `${t} ${i}`, url: 'https://example.com', source: 'Stub', publishedAt: i }));
+  } };
+  const cache = {};
+  let items = await tickerNews('AAPL', stub, cache, 0);
+  assert(items.length === NEWS_LIMIT && calls.length === 1,      'fetched and trimmed to the limit');
+  assert(cache.AAPL.fetchedAt === 0 && cache.AAPL.items === items, 'written to the cache');
+  items = await tickerNews('AAPL', stub, cache, NEWS_TTL_MS - 1);
+  assert(calls.length === 1 && items[0].title === 'AAPL 0',      'served from cache within the TTL');
+  await tickerNews('AAPL', stub, cache, NEWS_TTL_MS);
+  assert(calls.length === 2 && cache.AAPL.fetchedAt === NEWS_TTL_MS, 'refetched once expired');
+  await tickerNews('0700.HK', stub, cache, NEWS_TTL_MS);
+  assert(calls.length === 3 && cache.AAPL && cache['0700.HK'],   'cached per ticker');
+
+  const failing = { fetch: async () => { throw new Error('offline'); } };
+  let threw = false;
+  try { await tickerNews('MSFT', failing, cache, 0); } catch { threw = true; }
+  assert(threw && !('MSFT' in cache),                            'a failed fetch caches nothing');
+});
+
+
+// =============================================================================
+//  Favorites (pure logic extracted from script.js)
+// =============================================================================
+
+const favoriteId = artwork => historyKey(artwork) ?? `${artwork.source}|${artwork.title}`;
+
+const isFavorite     = (list, artwork) => list.some(f => f.favId === favoriteId(artwork));
+const pinnedFavorite = (list, pinnedId) => (pinnedId && list.find(f => f.favId === pinnedId)) || null;
+
+const favoriteEntry = (artwork, dataUrl, now = Date.now()) =>
+  ({ ...artwork, dataUrl, favId: favoriteId(artwork), savedAt: now });
+
+test('favoriteId', () => {
+  assert(favoriteId({ src: 'met', id: 436535, source: 'The Met', title: 'Wheat Field' }) === 'met:436535',
+    'museum paintings keyed like the shown history');
+  assert(favoriteId({ source: 'Art Institute of Chicago', title: 'Water Lilies' }) === 'Art Institute of Chicago|Water Lilies',
+    'no museum ID (FALLBACK) → source and title');
+});
+
+test('favoriteEntry / isFavorite', () => {
+  const art   = { src: 'aic', id: 16568, title: 'Water Lilies', imageUrl: 'https://example.com/a.jpg', offline: true };
+  const entry = favoriteEntry(art, 'data:image/jpeg;base64,AA', 1000);
+  assert(entry.favId === 'aic:16568' && entry.savedAt === 1000, 'keyed and timestamped');
+  assert(entry.dataUrl === 'data:image/jpeg;base64,AA',         'keeps the encoded image');
+  assert(entry.title === 'Water Lilies' && entry.imageUrl === art.imageUrl, 'keeps the metadata');
+  assert(!('favId' in art),                                     'leaves the artwork alone');
+
+  assert(isFavorite([entry], { src: 'aic', id: 16568 }),        'a saved painting, however it was loaded');
+  assert(!isFavorite([entry], { src: 'aic', id: 1 }),           'another painting');
+  assert(!isFavorite([], art),                                  'empty list');
+});
+
+test('pinnedFavorite', () => {
+  const list = [favoriteEntry({ src: 'met', id: 1 }, 'data:a', 2), favoriteEntry({ src: 'aic', id: 2 }, 'data:b', 1)];
+  assert(pinnedFavorite(list, 'aic:2')?.dataUrl === 'data:b', 'finds the pinned entry');
+  assert(pinnedFavorite(list, 'vam:3') === null,              'pin to a removed favorite → none');
+  assert(pinnedFavorite(list, undefined) === null,            'nothing pinned → none');
+});
+
+
+// =============================================================================
+//  Prefetch queue (pure logic extracted from background.js)
+// =============================================================================
+
+function takeUnshown(queue, shown) {
+  const i = queue.findIndex(entry => !shown.has(historyKey(entry)));
+  return i < 0 ? { next: null, rest: [] } : { next: queue[i], rest: queue.slice(i + 1) };
+}
+
+function canQueue(queue, entry, depth) {
+  const key = historyKey(entry);
+  return queue.length < depth && !(key && queue.some(e => historyKey(e) === key));
+}
+
+test('takeUnshown', () => {
+  const queue = [{ src: 'met', id: 1 }, { src: 'aic', id: 2 }, { src: 'vam', id: 3 }];
+  const ids   = list => list.map(e => e.id).join(',');
+
+  let { next, rest } = takeUnshown(queue, new Set());
+  assert(next.id === 1 && ids(rest) === '2,3',     'nothing shown → head, rest stays queued');
+  ({ next, rest } = takeUnshown(queue, new Set(['met:1'])));
+  assert(next.id === 2 && ids(rest) === '3',       'shown head dropped, next one taken');
+  ({ next, rest } = takeUnshown(queue, new Set(['aic:2'])));
+  assert(next.id === 1 && ids(rest) === '2,3',     'shown entries behind the head wait their turn');
+  ({ next, rest } = takeUnshown(queue, new Set(['met:1', 'aic:2', 'vam:3'])));
+  assert(next === null && rest.length === 0,       'all shown → none, queue emptied');
+  ({ next, rest } = takeUnshown([], new Set()));
+  assert(next === null && rest.length === 0,       'empty queue → none');
+  assert(queue.length === 3,                       'leaves the stored queue alone');
+});
+
+test('canQueue', () => {
+  const queue = [{ src: 'met', id: 1 }, { src: 'aic', id: 2 }];
+  assert(canQueue(queue, { src: 'vam', id: 3 }, 3),  'room left → queued');
+  assert(!canQueue(queue, { src: 'vam', id: 3 }, 2), 'full → refused');
+  assert(!canQueue(queue, { src: 'vam', id: 3 }, 1), 'over a lowered depth → refused');
+  assert(!canQueue(queue, { src: 'aic', id: 2 }, 3), 'already waiting → refused');
+  assert(canQueue(queue, { src: 'met', id: 2 }, 3),  'same ID from another museum → queued');
+  assert(canQueue([{ title: 'a' }], { title: 'b' }, 3), 'entries without a museum ID never clash');
+});
+
 
 // =============================================================================
 //  Note widget helpers (pure logic extracted from script.js)
@@ -312,6 +2211,723 @@ test('isTodoLine', () => {
   assert(isTodoLine('')              === false, 'empty string');
 });
 
+// Note storage helpers (must match notes.js)
+function newNote(now = Date.now(), fields = {}) {
+  return {
+    id:        crypto.randomUUID(),
+    name:      '',
+    preview:   '',
+    html:      '',
+    pinned:    false,
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+}
+
+const noteLabel = note => note.name || note.preview || 'Untitled';
+
+function sortNotes(notes) {
+  return [...notes].sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+}
+
+const PREVIEW_LENGTH = 40;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+function notePreview(html) {
+  const text = (html ?? '')
+    .replace(/<(div|p|br|li|h[1-6])\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => HTML_ENTITIES[name]);
+  const line = text.split('\n').map(l => l.trim()).find(Boolean) ?? '';
+  return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH - 1)}…` : line;
+}
+
+function normalizeNoteIndex(raw) {
+  const ids = Array.isArray(raw?.ids) ? raw.ids.filter(id => typeof id === 'string') : [];
+  return {
+    ids,
+    active: ids.includes(raw?.active) ? raw.active : ids[0] ?? null,
+    open:   !!raw?.open && ids.length > 0,
+  };
+}
+
+function migrateLegacyNote(html, now = Date.now()) {
+  if (!html) return null;
+  const note = newNote(now, { html, preview: notePreview(html) });
+  return { note, index: { ids: [note.id], active: note.id, open: true } };
+}
+
+const NOTE_HISTORY_LIMIT     = 40;
+const NOTE_HISTORY_WINDOW_MS = 5 * 60_000;
+
+function addSnapshot(history, html, reason, now = Date.now()) {
+  const [latest, ...older] = history;
+  // Already kept — but a clear or restore still marks it, so typing on
+  // afterwards doesn't fold it away
+  if (latest?.html === html) {
+    return reason === 'edit' || latest.reason === reason ? history : [{ ...latest, reason }, ...older];
+  }
+  const snapshot = { html, at: now, reason };
+  const coalesce = reason === 'edit' && latest?.reason === 'edit' && now - latest.at < NOTE_HISTORY_WINDOW_MS;
+  return [snapshot, ...(coalesce ? older : history)].slice(0, NOTE_HISTORY_LIMIT);
+}
+
+test('notePreview', () => {
+  assert(notePreview('<div class="note-h1">Groceries</div><div>milk</div>') === 'Groceries', 'first block');
+  assert(notePreview('<div><br></div><div>  second  </div>') === 'second',   'skips empty blocks');
+  assert(notePreview('first<br>second') === 'first',                          'a <br> ends the line');
+  assert(notePreview('<div class="note-todo"><input type="checkbox"><span>call &amp; write</span></div>') === 'call & write',
+         'todo text, entities decoded');
+  assert(notePreview('<div>a&lt;b&gt;c&nbsp;d</div>') === 'a<b>c d',        'escaped markup stays text');
+  assert(notePreview('<div>' + 'x'.repeat(60) + '</div>').length === PREVIEW_LENGTH, 'cut to the preview length');
+  assert(notePreview('') === '' && notePreview(null) === '',                  'empty');
+});
+
+test('noteLabel and sortNotes', () => {
+  assert(noteLabel({ name: 'Plan', preview: 'x' }) === 'Plan',  'name first');
+  assert(noteLabel({ name: '', preview: 'First line' }) === 'First line', 'then the first line');
+  assert(noteLabel({ name: '', preview: '' }) === 'Untitled',   'then Untitled');
+  const notes = [
+    { id: 'old',    pinned: false, updatedAt: 1 },
+    { id: 'pinned', pinned: true,  updatedAt: 0 },
+    { id: 'new',    pinned: false, updatedAt: 5 },
+  ];
+  assert(sortNotes(notes).map(n => n.id).join() === 'pinned,new,old', 'pinned first, then most recently edited');
+  assert(notes[0].id === 'old', 'input left in place');
+});
+
+test('normalizeNoteIndex', () => {
+  assert(JSON.stringify(normalizeNoteIndex(null)) === '{"ids":[],"active":null,"open":false}', 'nothing stored');
+  const index = normalizeNoteIndex({ ids: ['a', 'b', 3], active: 'b', open: true });
+  assert(index.ids.join() === 'a,b' && index.active === 'b' && index.open, 'keeps a valid index');
+  assert(normalizeNoteIndex({ ids: ['a'], active: 'gone' }).active === 'a', 'a missing active note falls back to the first');
+  assert(!normalizeNoteIndex({ ids: [], open: true }).open, 'no notes → pad closed');
+});
+
+test('migrateLegacyNote', () => {
+  assert(migrateLegacyNote('') === null && migrateLegacyNote(undefined) === null, 'nothing to migrate');
+  const { note, index } = migrateLegacyNote('<div class="note-h1">Ideas</div><div>one</div>', 1000);
+  assert(note.html.startsWith('<div class="note-h1">Ideas'), 'content carried over');
+  assert(note.preview === 'Ideas' && note.name === '',        'named by its first line');
+  assert(note.createdAt === 1000 && note.updatedAt === 1000,  'timestamped');
+  assert(index.ids[0] === note.id && index.active === note.id && index.open, 'becomes the open note');
+});
+
+test('addSnapshot', () => {
+  let h = addSnapshot([], 'a', 'edit', 0);
+  assert(h.length === 1 && h[0].html === 'a' && h[0].at === 0, 'first version');
+  assert(addSnapshot(h, 'a', 'edit', 10) === h,                   'unchanged content → no version');
+  h = addSnapshot(h, 'ab', 'edit', 60_000);
+  assert(h.length === 1 && h[0].html === 'ab',                     'typing within the window replaces the latest');
+  h = addSnapshot(h, 'abc', 'edit', 60_000 + NOTE_HISTORY_WINDOW_MS);
+  assert(h.length === 2 && h[1].html === 'ab',                     'a new window starts a new version');
+
+  h = addSnapshot(h, 'abc', 'clear', 400_000);
+  assert(h.length === 2 && h[0].reason === 'clear',                'clearing marks the version already kept');
+  h = addSnapshot(h, '', 'edit', 401_000);
+  assert(h.length === 3 && h[1].html === 'abc',                    'the cleared text survives the next save');
+  h = addSnapshot(h, 'x', 'edit', 402_000);
+  assert(h.length === 3 && h[0].html === 'x' && h[1].html === 'abc', 'edits after a clear fold into each other');
+
+  h = addSnapshot(h, 'x', 'restore', 403_000);
+  h = addSnapshot(h, 'old', 'edit', 403_500);
+  assert(h[1].html === 'x' && h[1].reason === 'restore',           'what a restore replaced is kept');
+
+  let long = [];
+  for (let i = 0; i < NOTE_HISTORY_LIMIT + 5; i++) long = addSnapshot(long, `v${i}`, 'clear', i);
+  assert(long.length === NOTE_HISTORY_LIMIT && long[0].html === `v${NOTE_HISTORY_LIMIT + 4}`, 'oldest versions drop off');
+});
+
+// Markdown conversion (must match notes.js)
+const HEADING_MARKS = { h1: '#', h2: '##', h3: '###', h4: '####' };
+
+// ── Inline ──
+
+const escapeInline = text => text.replace(/[\\*_`[\]<]/g, '\\$&');
+
+// Backticks inside code need a longer run around it
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length));
+  const ticks   = '`'.repeat(longest + 1);
+  const pad     = /^`|`$/.test(text) || /^ .*[^ ].* $/.test(text) ? ' ' : '';
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+// Emphasis can't open or close on whitespace, so edge spaces go outside it
+function wrapInline(inner, mark) {
+  if (!inner.trim()) return inner;
+  const [, lead, core, trail] = inner.match(/^(\s*)([^]*?)(\s*)$/);
+  return `${lead}${mark}${core}${mark}${trail}`;
+}
+
+const linkMarkdown = (inner, href) =>
+  `[${inner}](${href.replace(/[\s()<>]/g, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`)})`;
+
+// Link targets a note may hold: web and mail addresses only. A bare domain is
+// taken to mean https.
+function safeLinkUrl(raw) {
+  const url = /^[a-z][a-z\d+.-]*:/i.test(raw)          ? raw
+            : /^[\w-]+(\.[\w-]+)+([/?#]|$)/.test(raw) ? `https://${raw}`
+            : null;
+  return url && /^(https?|mailto):/i.test(url) ? url : null;
+}
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Inline Markdown as editor HTML. `_` only emphasises at word edges, so
+// snake_case stays as written; a link to anything but safeLinkUrl's keeps
+// just its text.
+function inlineHtml(markdown) {
+  let html = '';
+  for (let i = 0, m; i < markdown.length; i += m[0].length) {
+    const rest = markdown.slice(i);
+    const atEdge = len => markdown[i] !== '_' ||
+      (!WORD_CHAR.test(markdown[i - 1] ?? '') && !WORD_CHAR.test(markdown[i + len] ?? ''));
+
+    if ((m = rest.match(/^\\([!-/:-@[-`{-~])/))) {
+      html += escapeHtml(m[1]);
+    } else if ((m = rest.match(/^(`+)(?!`)([^]*?[^`])\1(?!`)/))) {
+      const code = /^ .*[^ ].* $/.test(m[2]) ? m[2].slice(1, -1) : m[2];
+      html += `<code>${escapeHtml(code)}</code>`;
+    } else if ((m = rest.match(/^\[((?:\\[^]|[^\\\]])*)\]\(\s*([^\s)]+)\s*\)/))) {
+      const url = safeLinkUrl(m[2]);
+      html += url
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${inlineHtml(m[1])}</a>`
+        : inlineHtml(m[1]);
+    } else if ((m = rest.match(/^(([*_])\2)(?=\S)((?:\\[^]|[^\\])+?)\1(?!\2)/)) && !/\s$/.test(m[3]) && atEdge(m[0].length)) {
+      html += `<strong>${inlineHtml(m[3])}</strong>`;
+    } else if ((m = rest.match(/^(\*|_)(?!\1)(?=\S)((?:\\[^]|[^\\])+?)\1/)) && !/\s$/.test(m[2]) && atEdge(m[0].length)) {
+      html += `<em>${inlineHtml(m[2])}</em>`;
+    } else {
+      m = [markdown[i]];
+      html += escapeHtml(m[0]);
+    }
+  }
+  return html;
+}
+
+// ── Blocks ──
+
+// A plain line starting like some other block would be read as one, so that
+// start is escaped. `*`, `_`, '`' and '<' are escaped in any text already.
+const BLOCK_START = /^(#{1,6}(\s|$)|[-+](\s|$)|>|~~~|[-=]+\s*$)/;
+
+function escapeBlockStart(line) {
+  const [, indent, rest] = line.match(/^(\s*)([^]*)$/);
+  if (/^\d+[.)](\s|$)/.test(rest)) return indent + rest.replace(/^\d+/, '$&\\');
+  return BLOCK_START.test(rest) ? `${indent}\\${rest}` : line;
+}
+
+// Longer than any run of backticks starting a line inside
+function codeFence(lines) {
+  const longest = Math.max(0, ...lines.map(l => l.match(/^\s*(`*)/)[1].length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// A line break inside anything but a plain or code block can't be kept in
+// Markdown, so it becomes a space. Numbered lists count from 1 again after
+// any other block, as in the editor.
+function blocksToMarkdown(blocks) {
+  const lines = [];
+  let number  = 0;
+  blocks.forEach(({ type, text, done }, i) => {
+    number = type === 'numbered' ? number + 1 : 0;
+    const line = text.replace(/\n/g, ' ');
+    if (type === 'code') {
+      if (blocks[i - 1]?.type === 'code') return; // already written with its run
+      const end  = blocks.findIndex((b, j) => j > i && b.type !== 'code');
+      const code = blocks.slice(i, end < 0 ? undefined : end).flatMap(b => b.text.split('\n'));
+      const fence = codeFence(code);
+      lines.push(fence, ...code, fence);
+    }
+    else if (type === 'divider')  lines.push('***');
+    else if (type === 'todo')     lines.push(`- [${done ? 'x' : ' '}] ${line}`.trimEnd());
+    else if (type === 'bullet')   lines.push(`- ${line}`.trimEnd());
+    else if (type === 'numbered') lines.push(`${number}. ${line}`.trimEnd());
+    else if (type === 'quote')    lines.push(`> ${line}`.trimEnd());
+    else if (type in HEADING_MARKS) lines.push(`${HEADING_MARKS[type]} ${line}`.trimEnd());
+    else lines.push(...text.split('\n').map(escapeBlockStart));
+  });
+  return lines.join('\n');
+}
+
+function markdownLineBlock(line) {
+  let m;
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line))                   return { type: 'divider', text: '' };
+  if ((m = line.match(/^\s*[-*+]\s+\[([ xX])\](?:\s+(.*))?$/))) {
+    return { type: 'todo', text: (m[2] ?? '').trim(), done: m[1] !== ' ' };
+  }
+  if ((m = line.match(/^\s*[-*+](?:\s+(.*))?$/)))                return { type: 'bullet',   text: (m[1] ?? '').trim() };
+  if ((m = line.match(/^\s*\d+[.)](?:\s+(.*))?$/)))              return { type: 'numbered', text: (m[1] ?? '').trim() };
+  if ((m = line.match(/^\s*>\s?(.*)$/)))                         return { type: 'quote',    text: m[1] };
+  if ((m = line.match(/^(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/))) {
+    return { type: `h${Math.min(m[1].length, 4)}`, text: m[2] ?? '' };
+  }
+  return { type: 'p', text: line };
+}
+
+// A fence with nothing in it still makes one (empty) code line, as the
+// editor can't hold an empty code block
+function markdownToBlocks(markdown) {
+  const blocks = [];
+  let fence = null, codeLines = 0;
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    if (fence) {
+      if (line.trim().startsWith(fence) && /^([`~])\1*$/.test(line.trim())) {
+        if (!codeLines) blocks.push({ type: 'code', text: '' });
+        fence = null;
+      } else {
+        blocks.push({ type: 'code', text: line });
+        codeLines++;
+      }
+      continue;
+    }
+    const open = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (open) { fence = open[1]; codeLines = 0; continue; }
+    blocks.push(markdownLineBlock(line));
+  }
+  if (fence && !codeLines) blocks.push({ type: 'code', text: '' });
+  return blocks;
+}
+
+// Pasted text worth reading as Markdown: some line starts a block, or there's
+// bold text or a link in it
+const looksLikeMarkdown = text =>
+  /^\s*(#{1,6}\s|[-*+]\s|\d+[.)]\s|>|```|~~~)/m.test(text) ||
+  /\*\*\S[^*\n]*\*\*|\[[^\]\n]+\]\([^)\s]+\)/.test(text);
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Blocks as editor HTML, the same markup typing them would have made
+function blocksToHtml(blocks) {
+  return blocks.map(({ type, text, done }) => {
+    if (type === 'divider') return '<hr class="note-divider">';
+    // A line break ending the text needs a second <br> to show
+    const inner = text.split('\n').map(type === 'code' ? escapeHtml : inlineHtml).join('<br>') +
+                  (text.endsWith('\n') ? '<br>' : '');
+    if (type === 'todo') {
+      return `<div class="note-todo${done ? ' note-done' : ''}">` +
+             `<input type="checkbox"${done ? ' checked=""' : ''}><span>${inner}</span></div>`;
+    }
+    const cls = type === 'p' ? '' : ` class="note-${type}"`;
+    return `<div${cls}>${inner || '<br>'}</div>`;
+  }).join('');
+}
+
+// A download name from the note's label, without characters file systems refuse
+function markdownFileName(label) {
+  const base = label.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+  return `${base || 'note'}.md`;
+}
+
+
+// Note HTML sanitizer (must match notes.js)
+// Note HTML comes back out of storage, and in from the clipboard, as anything
+// at all. htmlToBlocks reads it leniently into blocks, keeping only what the
+// editor can show — its block classes, headings, lists, quotes, preformatted
+// text and rules, todos' checkboxes, and bold, italic, code and links — and
+// blocksToHtml writes those out again, so whatever reaches the editor is
+// markup the editor itself would have made, with every character of text
+// escaped. Nothing of the input is copied through as-is.
+
+// Elements dropped along with everything inside them
+const DROP_CONTENT = new Set([
+  'script', 'style', 'template', 'noscript', 'iframe', 'object', 'textarea', 'title', 'head',
+  'select', 'svg', 'math', 'canvas', 'xmp', 'noembed', 'noframes',
+]);
+
+// Elements that start a line of their own
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hgroup', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul',
+]);
+
+const INLINE_MARKS = new Set(['strong', 'b', 'em', 'i', 'code', 'a']);
+
+const NOTE_BLOCK_CLASS = /(?:^|\s)note-(h[1-4]|bullet|numbered|quote|code|todo)(?=\s|$)/;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] !== '#') return body === 'nbsp' ? '\u00A0' : body === 'apos' ? "'" : HTML_ENTITIES[body] ?? entity;
+    const code = /^#x/i.test(body) ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF) ? String.fromCodePoint(code) : '\uFFFD';
+  });
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const [, name, , dq, sq, bare] of source.matchAll(/([^\s"'=<>/]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    attrs[name.toLowerCase()] ??= decodeEntities(dq ?? sq ?? bare ?? '');
+  }
+  return attrs;
+}
+
+// Comments, doctypes, tags, runs of text, and a '<' that starts none of those
+const HTML_TOKEN = /<!--[^]*?(?:-->|$)|<[!?][^>]*>?|<\/?([a-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</gi;
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  const stack  = [];          // open block elements, { tag, type, done, list }
+  let frames   = [{ md: '' }]; // open inline marks, the line's own text first
+  let line     = { touched: false, todo: false, done: false };
+  let skipping = null;        // a DROP_CONTENT tag whose end is awaited
+
+  const lineType = () => stack.at(-1)?.type ?? 'p';
+  const raw      = () => lineType() === 'code' || frames.some(f => f.tag === 'code');
+
+  function markdownFor({ tag, href, md }) {
+    if (tag === 'strong' || tag === 'b') return wrapInline(md, '**');
+    if (tag === 'em'     || tag === 'i') return wrapInline(md, md.includes('**') ? '_' : '*');
+    if (tag === 'code') return md ? codeSpan(md) : '';
+    const url = href && safeLinkUrl(href.trim());
+    return url && md.trim() ? linkMarkdown(md, url) : md;
+  }
+
+  function closeFrame() {
+    const frame = frames.pop();
+    frames.at(-1).md += markdownFor(frame);
+  }
+
+  // Ends the current line; marks still open carry on into the next one
+  function flush() {
+    const reopen = frames.slice(1).map(({ tag, href }) => ({ tag, href, md: '' }));
+    while (frames.length > 1) closeFrame();
+    let md = frames[0].md;
+    frames = [{ md: '' }, ...reopen];
+    const { touched, todo, done } = line;
+    line = { touched: false, todo: false, done: false };
+    if (!touched && !md.trim()) return;
+
+    const type = todo ? 'todo' : lineType();
+    if (type === 'code') {
+      md.replace(/\n$/, '').split('\n').forEach(text => blocks.push({ type, text }));
+      return;
+    }
+    md = md.replace(/ {2,}/g, ' ').replace(/ *\n */g, '\n').replace(/^ +| +$/g, '').replace(/\n$/, '');
+    blocks.push(type === 'todo' ? { type, text: md, done: done || !!stack.at(-1)?.done } : { type, text: md });
+  }
+
+  function blockType(tag, attrs) {
+    const own = (attrs.class ?? '').match(NOTE_BLOCK_CLASS)?.[1];
+    if (own)                   return own;
+    if (/^h[1-6]$/.test(tag))  return `h${Math.min(+tag[1], 4)}`;
+    if (tag === 'li')          return stack.findLast(b => b.list)?.list === 'ol' ? 'numbered' : 'bullet';
+    if (tag === 'blockquote')  return 'quote';
+    if (tag === 'pre')         return 'code';
+    return lineType();
+  }
+
+  function open(tag, attrs) {
+    if (tag === 'br') {
+      frames.at(-1).md += '\n';
+      line.touched = true;
+    } else if (tag === 'hr') {
+      flush();
+      blocks.push({ type: 'divider', text: '' });
+    } else if (tag === 'input') {
+      if ((attrs.type ?? '').toLowerCase() !== 'checkbox') return;
+      line.todo    = true;
+      line.done  ||= 'checked' in attrs;
+      line.touched = true;
+    } else if (BLOCK_TAGS.has(tag)) {
+      flush();
+      const classes = ` ${attrs.class ?? ''} `;
+      stack.push({
+        tag,
+        type: blockType(tag, attrs),
+        done: classes.includes(' note-done '),
+        list: tag === 'ul' || tag === 'ol' ? tag : null,
+      });
+    } else if (INLINE_MARKS.has(tag) && !raw()) {
+      frames.push({ tag, href: attrs.href, md: '' });
+    } else if (tag === 'td' || tag === 'th') {
+      text(' '); // a table row reads as one line
+    }
+    // Any other element — span, font, img… — is dropped, though its text stays
+  }
+
+  function close(tag) {
+    if (BLOCK_TAGS.has(tag)) {
+      const at = stack.map(b => b.tag).lastIndexOf(tag);
+      if (at < 0) return;
+      flush();
+      stack.length = at;
+    } else if (INLINE_MARKS.has(tag)) {
+      const at = frames.map(f => f.tag).lastIndexOf(tag);
+      if (at > 0) while (frames.length > at) closeFrame();
+    }
+  }
+
+  function text(content) {
+    if (lineType() === 'code') {
+      frames.at(-1).md += content;
+      line.touched ||= content !== '';
+      return;
+    }
+    const collapsed = content.replace(/[ \t\n\r\f]+/g, ' ');
+    frames.at(-1).md += raw() ? collapsed : escapeInline(collapsed);
+  }
+
+  for (const [token, name, attrSource] of (html ?? '').matchAll(HTML_TOKEN)) {
+    const tag     = name?.toLowerCase();
+    const closing = token[1] === '/';
+    if (skipping) {
+      if (closing && tag === skipping) skipping = null;
+      continue;
+    }
+    if (/^<[!?]/.test(token)) continue;
+    if (!tag) { text(decodeEntities(token)); continue; }
+    if (DROP_CONTENT.has(tag)) {
+      if (!closing && !/\/\s*>$/.test(token)) skipping = tag;
+      continue;
+    }
+    if (closing) close(tag);
+    else         open(tag, parseAttrs(attrSource));
+  }
+  flush();
+  return blocks;
+}
+
+// What may go into the editor: see htmlToBlocks
+const sanitizeNoteHtml = html => blocksToHtml(htmlToBlocks(html));
+
+test('blocksToMarkdown', () => {
+  const md = blocksToMarkdown([
+    { type: 'h1', text: 'Plan' },
+    { type: 'h4', text: 'Small' },
+    { type: 'bullet', text: 'one' },
+    { type: 'todo', text: 'buy milk', done: false },
+    { type: 'todo', text: 'call', done: true },
+    { type: 'p', text: '' },
+    { type: 'p', text: 'plain\n# not a heading' },
+    { type: 'bullet', text: 'soft\nbreak' },
+  ]);
+  assert(md === '# Plan\n#### Small\n- one\n- [ ] buy milk\n- [x] call\n\nplain\n\\# not a heading\n- soft break', 'one line per block');
+  assert(blocksToMarkdown([{ type: 'todo', text: '', done: false }]) === '- [ ]', 'empty todo has no trailing space');
+
+  const more = blocksToMarkdown([
+    { type: 'numbered', text: 'a' },
+    { type: 'numbered', text: 'b' },
+    { type: 'quote',    text: 'said' },
+    { type: 'numbered', text: 'c' },
+    { type: 'divider',  text: '' },
+    { type: 'code',     text: 'let x;' },
+    { type: 'code',     text: '```' },
+    { type: 'p',        text: '2. not a list' },
+  ]);
+  assert(more === '1. a\n2. b\n> said\n1. c\n***\n````\nlet x;\n```\n````\n2\\. not a list', 'numbered, quote, divider, code');
+});
+
+test('markdownToBlocks', () => {
+  const blocks = markdownToBlocks('## Title ##\r\n* star\n  + nested\n- [X] Done\n-  [ ] spaced\n###### deep\n#hashtag\n\\- literal\n3) third\n> quote\n* * *');
+  const want = [
+    { type: 'h2', text: 'Title' },
+    { type: 'bullet', text: 'star' },
+    { type: 'bullet', text: 'nested' },
+    { type: 'todo', text: 'Done', done: true },
+    { type: 'todo', text: 'spaced', done: false },
+    { type: 'h4', text: 'deep' },
+    { type: 'p', text: '#hashtag' },
+    { type: 'p', text: '\\- literal' },
+    { type: 'numbered', text: 'third' },
+    { type: 'quote', text: 'quote' },
+    { type: 'divider', text: '' },
+  ];
+  assert(JSON.stringify(blocks) === JSON.stringify(want), 'lines become blocks');
+  assert(markdownToBlocks('')[0].type === 'p',                  'empty text → one empty line');
+  assert(markdownToBlocks('-no space')[0].type === 'p',         'a dash needs a space to be a bullet');
+
+  const code = markdownToBlocks('```js\n# not a heading\n  indented\n```\nafter');
+  assert(JSON.stringify(code) === JSON.stringify([
+    { type: 'code', text: '# not a heading' },
+    { type: 'code', text: '  indented' },
+    { type: 'p', text: 'after' },
+  ]), 'fenced lines kept as typed');
+  assert(markdownToBlocks('~~~\n~~~').length === 1 && markdownToBlocks('~~~\n~~~')[0].type === 'code', 'an empty fence is one code line');
+  assert(markdownToBlocks('```\nnever closed').every(b => b.type === 'code'), 'an open fence runs to the end');
+});
+
+test('Markdown round trip', () => {
+  const blocks = [
+    { type: 'h1', text: 'Week' },
+    { type: 'h3', text: '' },
+    { type: 'bullet', text: 'a **b** *c* `d`' },
+    { type: 'todo', text: '\\- \\[ \\] looks like a todo', done: true },
+    { type: 'p', text: '' },
+    { type: 'p', text: '> quoted' },
+    { type: 'p', text: '\\\\ backslash' },
+    { type: 'p', text: '- dash' },
+    { type: 'p', text: '2) two' },
+    { type: 'p', text: '---' },
+    { type: 'p', text: '[site](https://example.com/a%20b) and snake\\_case' },
+    { type: 'numbered', text: 'one' },
+    { type: 'numbered', text: 'two' },
+    { type: 'quote', text: 'wise' },
+    { type: 'divider', text: '' },
+    { type: 'code', text: '' },
+    { type: 'code', text: '  <b>raw</b> **not bold**' },
+  ];
+  const back = markdownToBlocks(blocksToMarkdown(blocks));
+  assert(blocksToHtml(back) === blocksToHtml(blocks), 'the note survives the round trip');
+});
+
+test('inlineHtml', () => {
+  assert(inlineHtml('a **b** *c* _d_ `e`') === 'a <strong>b</strong> <em>c</em> <em>d</em> <code>e</code>', 'marks');
+  assert(inlineHtml('**a *b* c**') === '<strong>a <em>b</em> c</strong>',  'nested');
+  assert(inlineHtml('snake_case_name') === 'snake_case_name',              'no emphasis inside words');
+  assert(inlineHtml('\\*literal\\* a\\_b') === '*literal* a_b',            'escapes');
+  assert(inlineHtml('** spaced**') === '** spaced**',                      'no emphasis opening on a space');
+  assert(inlineHtml('``a`b``') === '<code>a`b</code>',                     'longer code fence');
+  assert(inlineHtml('`` `x ``') === '<code>`x</code>',                     'padded code span');
+  assert(inlineHtml('<script>&') === '&lt;script&gt;&amp;',                'HTML escaped');
+  assert(inlineHtml('[go](example.com/x)') ===
+    '<a href="https://example.com/x" target="_blank" rel="noopener noreferrer">go</a>', 'bare domain link');
+  assert(!inlineHtml('[x](javascript:alert(1))').includes('href'),        'unsafe link loses its href');
+  assert(inlineHtml('[a "q"](https://x.io/?a="b")').includes('href="https://x.io/?a=&quot;b&quot;"'), 'href escaped');
+});
+
+test('inline Markdown writers', () => {
+  assert(escapeInline('a*b_c`d[e]f\\g<h') === 'a\\*b\\_c\\`d\\[e\\]f\\\\g\\<h', 'escapeInline');
+  assert(codeSpan('x') === '`x`' && codeSpan('a`b') === '``a`b``' && codeSpan('`x') === '`` `x ``', 'codeSpan');
+  assert(wrapInline(' bold ', '**') === ' **bold** ' && wrapInline('  ', '*') === '  ', 'wrapInline');
+  assert(linkMarkdown('t', 'https://x.io/a b(c)') === '[t](https://x.io/a%20b%28c%29)', 'linkMarkdown');
+});
+
+test('safeLinkUrl', () => {
+  assert(safeLinkUrl('https://x.io') === 'https://x.io',       'https');
+  assert(safeLinkUrl('mailto:a@b.io') === 'mailto:a@b.io',     'mailto');
+  assert(safeLinkUrl('x.io/path') === 'https://x.io/path',     'bare domain');
+  assert(safeLinkUrl('javascript:alert(1)') === null,          'javascript:');
+  assert(safeLinkUrl('data:text/html,x') === null,             'data:');
+  assert(safeLinkUrl('notaurl') === null,                      'no domain');
+});
+
+test('sanitizeNoteHtml keeps editor markup', () => {
+  const editorHtml =
+    '<div class="note-h1">Plan</div><div>a  b<br>c</div><div><br></div>' +
+    '<div class="note-todo note-done"><input type="checkbox" checked=""><span>done <strong>x</strong></span></div>' +
+    '<div class="note-todo"><input type="checkbox"><span></span></div>' +
+    '<div class="note-bullet"><em>i</em> <code>c</code> <a href="https://x.io" target="_blank" rel="noopener noreferrer">l</a></div>' +
+    '<div class="note-numbered">n</div><div class="note-quote">q</div><hr class="note-divider">' +
+    '<div class="note-code">  if (a &lt; b)</div><div>2 * 3 and snake_case</div><div>a<br><br></div>';
+  assert(sanitizeNoteHtml(editorHtml) === editorHtml,           'what the editor makes comes back unchanged');
+  assert(sanitizeNoteHtml('') === '' && sanitizeNoteHtml(null) === '', 'nothing stored → nothing');
+  assert(sanitizeNoteHtml('<div>x</div><div></div>') === '<div>x</div>', 'empty element without a <br> dropped');
+});
+
+test('sanitizeNoteHtml on hostile input', () => {
+  const clean = html => sanitizeNoteHtml(html);
+  const safe  = out => !/<(?!\/?(div|span|strong|em|code|a|br|hr|input)\b)/i.test(out) &&
+                       !/\son\w+=|style=|javascript:|data:|src=/i.test(out);
+  const hostile = [
+    '<img src=x onerror=alert(1)>',
+    '<script>alert(1)</script>',
+    '<svg onload=alert(1)><script>alert(1)</script></svg>',
+    '<style>body{display:none}</style>',
+    '<iframe src="https://evil.io"></iframe>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<div class="note-h1" onclick="alert(1)" style="color:red">x</div>',
+    '<div class="note-h1 x onmouseover=alert(1)">x</div>',
+    '<input type="checkbox" onclick="alert(1)" checked>todo',
+    '<input type="text" value="x" autofocus onfocus="alert(1)">',
+    '<<script>script>alert(1)</script>',
+    '<!-- <img src=x onerror=alert(1)> -->',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<p title="a>b" onclick=alert(1)>x</p>',
+    '<form action="https://evil.io"><button formaction="javascript:alert(1)">go</button></form>',
+    '<object data="x.swf"></object><embed src="x.swf">',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '&lt;script&gt;alert(1)&lt;/script&gt;',
+    '<b onmouseover=alert(1)>bold',
+    '<a href="https://ok.io" onclick="alert(1)" style="x">ok</a>',
+    '<div class="note-code"><img src=x onerror=alert(1)>code</div>',
+  ];
+  hostile.forEach(html => assert(safe(clean(html)), `safe: ${html}`));
+
+  assert(clean('<script>alert(1)</script>after') === '<div>after</div>',      'script dropped with its content');
+  assert(clean('&lt;script&gt;') === '<div>&lt;script&gt;</div>',             'escaped text stays text');
+  assert(clean('<a href="javascript:alert(1)">x</a>') === '<div>x</div>',      'unsafe link keeps its text');
+  assert(clean('<div class="note-h2 evil" style="x" onclick="y">t</div>') === '<div class="note-h2">t</div>',
+                                                                               'only the editor\'s class kept');
+  assert(clean('<input type="checkbox" onclick="x" checked> do') ===
+    '<div class="note-todo note-done"><input type="checkbox" checked=""><span>do</span></div>', 'checkbox kept, bare');
+  assert(clean('<b onmouseover=alert(1)>bold') === '<div><strong>bold</strong></div>', 'unclosed mark closed');
+  assert(clean('<<script>x') === '<div>&lt;</div>',                            'stray < is text');
+  assert(clean('&#0;&#xD800;&#x110000;') === '<div>���</div>',  'bad character references');
+});
+
+test('htmlToBlocks flattens rich text', () => {
+  const page =
+    '<html><head><title>T</title><style>p{}</style></head><body>' +
+    '<h1 style="font-size:40px">Title</h1>\n' +
+    '<p>Some <span style="color:red">red</span> and <b>bold</b>,\n  <i>spread</i>\n over lines.</p>' +
+    '<ul>\n  <li>one</li>\n  <li><input type="checkbox" disabled checked> task</li>\n</ul>' +
+    '<ol><li>first<ul><li>nested</li></ul></li></ol>' +
+    '<blockquote><p>quoted</p></blockquote>' +
+    '<pre><code class="lang-js">let a = 1;\nlet b = 2;\n</code></pre>' +
+    '<h6>deep</h6><hr><table><tr><td>a</td><td>b</td></tr></table>' +
+    '<p><a href="https://x.io/a b">link</a> <img src="x.png" alt="pic"></p>' +
+    '</body></html>';
+  const want = [
+    { type: 'h1', text: 'Title' },
+    { type: 'p', text: 'Some red and **bold**, *spread* over lines.' },
+    { type: 'bullet', text: 'one' },
+    { type: 'todo', text: 'task', done: true },
+    { type: 'numbered', text: 'first' },
+    { type: 'bullet', text: 'nested' },
+    { type: 'quote', text: 'quoted' },
+    { type: 'code', text: 'let a = 1;' },
+    { type: 'code', text: 'let b = 2;' },
+    { type: 'h4', text: 'deep' },
+    { type: 'divider', text: '' },
+    { type: 'p', text: 'a b' },
+    { type: 'p', text: '[link](https://x.io/a%20b)' },
+  ];
+  assert(JSON.stringify(htmlToBlocks(page)) === JSON.stringify(want), 'blocks from a web page');
+  assert(JSON.stringify(htmlToBlocks('<b>a<div>b</div>c</b>')) ===
+    JSON.stringify([{ type: 'p', text: '**a**' }, { type: 'p', text: '**b**' }, { type: 'p', text: '**c**' }]),
+                                                                               'marks carry across lines');
+  assert(htmlToBlocks('<code>a*b <b>c</b></code>')[0].text === '`a*b c`',     'code kept as typed');
+});
+
+test('looksLikeMarkdown', () => {
+  assert(looksLikeMarkdown('intro\n- item'),     'a list line');
+  assert(looksLikeMarkdown('# Title'),           'a heading');
+  assert(!looksLikeMarkdown('just words'),       'plain text');
+  assert(looksLikeMarkdown('see [docs](x.io)'),   'a link');
+  assert(looksLikeMarkdown('**bold** words'),    'bold');
+  assert(!looksLikeMarkdown('#tag and -5'),      'no block marker');
+  assert(!looksLikeMarkdown('2 * 3 * 4'),        'stars that aren\'t bold');
+});
+
+test('blocksToHtml', () => {
+  const html = blocksToHtml([
+    { type: 'h2', text: '<b>&' },
+    { type: 'p', text: '' },
+    { type: 'todo', text: 'x "y"', done: true },
+    { type: 'bullet', text: 'z' },
+  ]);
+  assert(html === '<div class="note-h2">&lt;b&gt;&amp;</div><div><br></div>' +
+                  '<div class="note-todo note-done"><input type="checkbox" checked=""><span>x &quot;y&quot;</span></div>' +
+                  '<div class="note-bullet">z</div>', 'editor markup, escaped');
+  assert(notePreview(html) === '<b>&', 'escaped text reads back as written');
+});
+
+test('markdownFileName', () => {
+  assert(markdownFileName('Plan: Q3/Q4?') === 'Plan Q3 Q4.md', 'unsafe characters dropped');
+  assert(markdownFileName('  ') === 'note.md',                 'falls back to note');
+  assert(markdownFileName('x'.repeat(100)) === `${'x'.repeat(60)}.md`, 'capped length');
+});
+
 test('extractTodoText', () => {
   assert(extractTodoText('/todo buy milk')  === 'buy milk', 'extracts text');
   assert(extractTodoText('/todo  spaced')   === 'spaced',   'trims extra space');
@@ -323,6 +2939,13 @@ test('extractTodoText', () => {
 //  Summary
 // =============================================================================
 
-console.log(`\n${'─'.repeat(50)}`);
-console.log(`  ${passed} passed, ${failed} failed`);
-if (failed > 0) process.exit(1);
+(async () => {
+  for (const [name, fn] of asyncTests) {
+    console.log(`\n${name}`);
+    try { await fn(); } catch (e) { console.error(`  ✗  threw: ${e.message}`); failed++; }
+  }
+
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`  ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+})();